@@ -12,6 +12,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 //
+const Keystore = require('../../src/lib/keystore.js')
 let repl, fs
 
 function clog (msg) {
@@ -43,6 +44,16 @@ async function main (opts) {
 
   config.network = config.network || 'regtest'
 
+  // Seed is stored encrypted in config.json when WALLET_PASSPHRASE is set
+  const passphrase = process.env.WALLET_PASSPHRASE
+  if (config.encrypted_seed) {
+    if (!passphrase) {
+      console.log('Seed is encrypted. Set WALLET_PASSPHRASE to start the wallet')
+      return
+    }
+    config.seed = await Keystore.decryptSeed(config.encrypted_seed, passphrase)
+  }
+
   const wallet = await createWallet(config)
   if (!config.seed) {
     console.log('\n')
@@ -53,7 +64,15 @@ async function main (opts) {
     console.log('\n\n')
   }
 
-  config.seed = JSON.parse(wallet.exportSeed())
+  const seed = JSON.parse(wallet.exportSeed())
+  if (passphrase) {
+    await wallet.setPassphrase(passphrase)
+    config.encrypted_seed = await Keystore.encryptSeed(seed, passphrase)
+    delete config.seed
+  } else {
+    console.log('WALLET_PASSPHRASE is not set. Seed is stored in plain text')
+    config.seed = seed
+  }
   fs.writeFileSync(configFile, JSON.stringify(config, null, 2))
 
   wallet.on('new-tx', (asset, tx) => {
@@ -139,8 +158,20 @@ function startcli (wallet) {
     ],
     [
       'balance',
-      '.balance <asset> <token> --addr <address> - Get balance of entire asset or address of an asset.\n Usage: .balance ',
+      '.balance <asset> <token> --addr <address> - Get balance of entire asset or address of an asset. Without an asset, show balance of every asset and token.\n Usage: .balance ',
       async (args) => {
+        if (!args.trim()) {
+          const { assets } = await wallet.getPortfolio()
+          for (const [name, entry] of Object.entries(assets)) {
+            clog(`Balance of ${name}:`)
+            console.log(entry.error ? entry.error.message : entry.balance)
+            for (const [tName, tEntry] of Object.entries(entry.tokens)) {
+              clog(`Balance of ${name} token: ${tName}:`)
+              console.log(tEntry.error ? tEntry.error.message : tEntry.balance)
+            }
+          }
+          return
+        }
         const { token, name, address, err } = parseArgs(args, wallet)
         if (err) return
         const opts = {}
@@ -182,10 +213,37 @@ function startcli (wallet) {
         console.log(tx)
       }
     ],
+    [
+      'lock',
+      '.lock - Lock the wallet. Sending is disabled until the wallet is unlocked. Requires WALLET_PASSPHRASE\n Usage: .lock',
+      async () => {
+        await wallet.lock()
+        clog('wallet locked')
+      }
+    ],
+    [
+      'unlock',
+      '.unlock <passphrase> - Unlock the wallet\n Usage: .unlock <passphrase>',
+      async (args) => {
+        await wallet.unlock(args.trim())
+        clog('wallet unlocked')
+      }
+    ],
     [
       'history',
-      '.history <asset> <token> - Get history of transactions in this wallet.\n Usage .history btc',
+      '.history <asset> <token> - Get history of transactions in this wallet. Without an asset, show history of every asset and token.\n Usage .history btc',
       async (args) => {
+        if (!args.trim()) {
+          let cursor
+          do {
+            const res = await wallet.getTransactions({ cursor })
+            res.transactions.forEach((tx) => {
+              console.log(`${tx.asset}${tx.token ? ':' + tx.token : ''} ${tx.direction} ${tx.amount?.toMainUnit()} ${tx.txid} height: ${tx.height}`)
+            })
+            cursor = res.cursor
+          } while (cursor)
+          return
+        }
         const { token, name, err } = parseArgs(args, wallet)
         if (err) return console.log(err)
         const opts = {}
@@ -194,6 +252,21 @@ function startcli (wallet) {
           console.log(tx)
         })
       }
+    ],
+    [
+      'export',
+      '.export <csv|json> <file> <asset> - Export history of transactions for accounting. Without an asset, export every asset and token.\n Usage .export csv ./history.csv btc',
+      async (args) => {
+        const [format, file, name] = args.trim().split(' ')
+        if (!file) return console.log('Please provide format and file')
+        if (name && !wallet.pay[name]) return console.log('Please provide valid asset name')
+        const out = fs.createWriteStream(file)
+        for await (const chunk of wallet.exportHistory({ format, assets: name ? [name] : undefined })) {
+          out.write(chunk)
+        }
+        await new Promise((resolve) => out.end(resolve))
+        clog(`history exported to ${file}`)
+      }
     ]
   ]
   commands.forEach(([cmd, msg, fn]) => {
@@ -19,17 +19,15 @@
 const WHISPR = 'http://localhost/whispr/audio/transcriptions'
 const OLLAMA = 'http://localhost:11434/api/chat'
 
-// Example address book
-const book = {
-  bob: {
-    btc: 'bcrt1qrfd2ujntu7la5vjqpjr69u8tc8rl6fxvx6hrzm'
-  },
-  alice: {
-    btc: 'bcrt1q7mm7seyccvf4dyc2je97zumh4aes7xhgetwc6m',
-    eth: {
-      usdt: '0x9ede22b627388b5db43c3488f27480b45d22d238'
-    }
-  }
+// Example contacts. Added to the wallet address book on first run
+const exampleContacts = {
+  bob: [
+    { asset: 'btc', address: 'bcrt1qrfd2ujntu7la5vjqpjr69u8tc8rl6fxvx6hrzm' }
+  ],
+  alice: [
+    { asset: 'btc', address: 'bcrt1q7mm7seyccvf4dyc2je97zumh4aes7xhgetwc6m' },
+    { asset: 'eth', token: 'usdt', address: '0x9ede22b627388b5db43c3488f27480b45d22d238' }
+  ]
 }
 //
 // Seed phrase
@@ -49,25 +47,27 @@ const wconfig = {
       mnemonic : PHRASE
     }
 }
+// Sync in the background every minute and on new blocks
+wconfig.sync_interval = 60 * 1000
 
 
 
 
 
-function renderAddressBook (book) {
+function renderAddressBook (contacts) {
   const container = document.createElement('div')
   container.className = 'address-book'
 
-  for (const [name, addresses] of Object.entries(book)) {
+  for (const contact of contacts) {
     const personElement = document.createElement('div')
     personElement.className = 'person'
 
     const nameElement = document.createElement('h3')
-    nameElement.textContent = name
+    nameElement.textContent = contact.name
     personElement.appendChild(nameElement)
 
     const addressList = document.createElement('ul')
-    renderAddresses(addresses, addressList)
+    renderAddresses(contact.addresses, addressList)
     personElement.appendChild(addressList)
 
     container.appendChild(personElement)
@@ -76,28 +76,33 @@ function renderAddressBook (book) {
   node.appendChild(container)
 }
 
-function renderAddresses (addresses, parentElement, prefix = '') {
-  for (const [key, value] of Object.entries(addresses)) {
+function renderAddresses (addresses, parentElement) {
+  for (const entry of addresses) {
     const listItem = document.createElement('li')
-
-    if (typeof value === 'string') {
-      listItem.textContent = `${prefix}${key}: ${value}`
-    } else if (typeof value === 'object') {
-      listItem.textContent = `${prefix}${key}:`
-      const nestedList = document.createElement('ul')
-      renderAddresses(value, nestedList, '  ')
-      listItem.appendChild(nestedList)
-    }
-
+    const target = entry.token ? `${entry.asset} ${entry.token}` : entry.asset
+    listItem.textContent = `${target}: ${entry.address}`
     parentElement.appendChild(listItem)
   }
 }
 
+async function loadAddressBook (wallet) {
+  for (const [name, addresses] of Object.entries(exampleContacts)) {
+    if (await wallet.addressBook.get(name)) continue
+    await wallet.addressBook.addContact(name, { addresses })
+  }
+  const contacts = await wallet.addressBook.list()
+  renderAddressBook(contacts)
+  return contacts
+}
+
 async function initWallet () {
-  renderAddressBook(book)
   const w = await window.wallet(wconfig)
+  window.contacts = await loadAddressBook(w)
 
-  await w.syncHistory({ all: true });
+  w.on('sync-error', (asset, err, retryIn) => {
+    setStatus(`${asset} sync failed: ${err.message}. Retrying in ${Math.round(retryIn / 1000)}s`)
+  })
+  await w.syncManager.syncNow();
   (document.getElementById('seed')).textContent = w.seed.mnemonic
   window.demoWallet = w
 
@@ -110,12 +115,33 @@ async function walletAction (msg) {
   const asset = wallet.pay[msg.asset.toLowerCase()]
   if (!asset) return setStatus(`asset: ${msg.asset} is not supported`)
   if (!asset[msg.action]) return setStatus(`action ${msg.action} not supported by wallet`)
+  // Only single sends are reviewed below. Other signing calls are not run for the model
+  if (['sendBatch', 'prepareTransaction', 'confirmTransaction'].includes(msg.action)) {
+    return setStatus(`action ${msg.action} is not allowed`)
+  }
 
   if (msg.args) {
     msg.args.fee = 10
   }
 
-  const res = await wallet.pay[msg.asset.toLowerCase()][msg.action]({ token: msg.token?.toLowerCase() }, msg.args)
+  let res
+  if (msg.action === 'sendTransaction' && asset.canPrepare()) {
+    // Show the transaction before it is signed
+    const draft = await wallet.prepareTransaction({ asset: msg.asset.toLowerCase(), token: msg.token?.toLowerCase() }, msg.args)
+    const ok = window.confirm(`Send ${draft.amount.toString()} to ${draft.recipient}?\nFee: ${draft.fee?.toString()}\nTotal: ${draft.total.toString()}`)
+    if (!ok) {
+      wallet.discardTransaction(draft.id)
+      return setStatus('transaction cancelled')
+    }
+    res = await wallet.confirmTransaction(draft.id)
+  } else if (msg.action === 'sendTransaction') {
+    // Assets without drafts: the request of the model is shown as is
+    const ok = window.confirm(`Send with ${msg.asset}${msg.token ? ' ' + msg.token : ''}?\n${JSON.stringify(msg.args, null, 1)}`)
+    if (!ok) return setStatus('transaction cancelled')
+    res = await asset.sendTransaction({ token: msg.token?.toLowerCase() }, msg.args)
+  } else {
+    res = await asset[msg.action]({ token: msg.token?.toLowerCase() }, msg.args)
+  }
 
   try {
     setStatus(JSON.stringify(res, null, 1))
@@ -211,7 +237,7 @@ the text is about a person interacting with a multi chain cryptocurrency wallet
 only output JSON string as output in the following format. nothing additional should be provided. 
 the output will be parsed with Javascript's JSON.parse. Dont wrap JSON in any formatting. provide valid json as output. outpout is used to call a js lib like : lib[asset][action]({token}, args)
 Tokens: Tether is a stablecoin that exists on various blockchains. example phrase: New tether on ethereum address: asset: ethereum, token : usdt, action: getNewAddress  
-My address book of recipients is: JSON ${JSON.stringify(book, null, 2)} parse the sender's address from this JSON.
+My address book contacts are: ${window.contacts.map((c) => c.name).join(', ')}. if the recipient is one of them, set args.contact to the name.
 { asset: (Required. ticker of the asset, blockchain we are using. example btc, eth. must be 3 letters)
  token: (optional. ticker of the token, example usdt, Tether)
  action: (required. must be one of:  getNewAddress, sendTransaction, get history, syncHistory, getBalance),
@@ -219,6 +245,7 @@ My address book of recipients is: JSON ${JSON.stringify(book, null, 2)} parse th
  amount: (if action is sending this is required),
  unit: ( the unit of the amount getting sent. must be main or base)
  address: (optional. this is recipient)
+ contact: (optional. name of the recipient from the address book)
  }
 }
 the text is: ${txt}
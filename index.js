@@ -16,11 +16,26 @@ const Currency = require('./src/lib/currency.js')
 const WalletPay = require('./src/lib/wallet-pay.js')
 const Wallet = require('./src/lib/wallet.js')
 const HdWallet = require('./src/modules/hdwallet.js')
+const HdPath = require('./src/modules/hd-path.js')
 const TetherCurrency = require('./src/tether-currency.js')
+const { ERROR_CODES, WalletError, WalletPayError, HdWalletError, ProviderError, PolicyError } = require('./src/lib/errors.js')
+const { Logger, MemoryLogger } = require('./src/lib/logger.js')
+const { PriceOracle, StaticPriceOracle } = require('./src/lib/price-oracle.js')
 module.exports = {
   Currency,
   WalletPay,
   Wallet,
   HdWallet,
-  TetherCurrency
+  HdPath,
+  TetherCurrency,
+  ERROR_CODES,
+  WalletError,
+  WalletPayError,
+  HdWalletError,
+  ProviderError,
+  PolicyError,
+  Logger,
+  MemoryLogger,
+  PriceOracle,
+  StaticPriceOracle
 }
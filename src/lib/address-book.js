@@ -0,0 +1,215 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { WalletError, ERROR_CODES } = require('./errors.js')
+const { StoreCache } = require('./utils.js')
+
+const BOOK_KEY = 'address_book'
+
+function copy (contact) {
+  return {
+    ...contact,
+    addresses: contact.addresses.map((addr) => ({ ...addr }))
+  }
+}
+
+function sameTarget (entry, asset, token) {
+  return entry.asset === asset && (entry.token || null) === (token || null)
+}
+
+/**
+* @desc Contacts and their addresses, kept in the wallet store.
+* A contact can have many addresses for each asset and token. Addresses are validated
+* with the asset's isValidAddress before they are saved.
+* @example
+* {
+*   name: 'alice',
+*   label: 'Alice',
+*   note: 'landlord',
+*   addresses: [{ asset: 'eth', token: 'usdt', address: '0x...', label: 'rent', note: null }]
+* }
+*/
+class AddressBook {
+  /**
+  * @param {Object} config
+  * @param {Object} config.store - wallet store
+  * @param {AssetList} config.assets - assets of the wallet, used for address validation
+  */
+  constructor (config) {
+    this.store = config.store
+    this.assets = config.assets
+    this._book = new StoreCache(() => this.store.get(BOOK_KEY).then((res) => new Map(Object.entries(res || {}))))
+  }
+
+  _load () {
+    return this._book.get()
+  }
+
+  // Changes that were not saved are dropped. Contacts are loaded again from the store
+  async _save () {
+    const data = Object.fromEntries(await this._load())
+    await this._book.save(() => this.store.put(BOOK_KEY, data), { reload: true })
+  }
+
+  async _getContact (name) {
+    const book = await this._load()
+    const contact = book.get(name)
+    if (!contact) throw new WalletError(`contact not found: ${name}`, ERROR_CODES.CONTACT_NOT_FOUND)
+    return contact
+  }
+
+  async _validate (entry) {
+    const { asset: assetName, token, address } = entry
+    if (!assetName) throw new WalletError('asset is required', ERROR_CODES.BAD_ARGS)
+    if (!address || typeof address !== 'string') throw new WalletError('address is required', ERROR_CODES.BAD_ARGS)
+    const asset = this.assets[assetName]
+    if (!asset) throw new WalletError(`asset does not exist: ${assetName}`, ERROR_CODES.ASSET_NOT_FOUND)
+    if (token && !asset.getTokens().has(token)) {
+      throw new WalletError(`token does not exist: ${assetName}:${token}`, ERROR_CODES.TOKEN_NOT_FOUND)
+    }
+    let valid
+    try {
+      valid = await asset.isValidAddress(address)
+    } catch (err) {
+      throw new WalletError(`invalid ${assetName} address: ${address}`, ERROR_CODES.INVALID_ADDRESS, { cause: err })
+    }
+    if (!valid) throw new WalletError(`invalid ${assetName} address: ${address}`, ERROR_CODES.INVALID_ADDRESS)
+    return {
+      asset: assetName,
+      token: token || null,
+      address,
+      label: entry.label || null,
+      note: entry.note || null
+    }
+  }
+
+  /**
+  * @description all contacts
+  * @returns {Array} contacts
+  */
+  async list () {
+    const book = await this._load()
+    return Array.from(book.values()).map(copy)
+  }
+
+  /**
+  * @returns {Object|null} contact
+  */
+  async get (name) {
+    const book = await this._load()
+    const contact = book.get(name)
+    return contact ? copy(contact) : null
+  }
+
+  /**
+  * @description add a new contact
+  * @param {String} name - unique name of the contact
+  * @param {Object} opts - { label, note, addresses: [{ asset, token, address, label, note }] }
+  */
+  async addContact (name, opts = {}) {
+    if (!name || typeof name !== 'string') throw new WalletError('contact name is required', ERROR_CODES.BAD_ARGS)
+    const book = await this._load()
+    if (book.has(name)) throw new WalletError(`contact already exists: ${name}`, ERROR_CODES.CONTACT_EXISTS)
+    const addresses = []
+    for (const entry of opts.addresses || []) {
+      addresses.push(await this._validate(entry))
+    }
+    const contact = {
+      name,
+      label: opts.label || null,
+      note: opts.note || null,
+      addresses
+    }
+    // Validation is async, check again before writing
+    if (book.has(name)) throw new WalletError(`contact already exists: ${name}`, ERROR_CODES.CONTACT_EXISTS)
+    book.set(name, contact)
+    await this._save()
+    return copy(contact)
+  }
+
+  /**
+  * @description update label or note of a contact
+  * @param {Object} opts - { label, note }
+  */
+  async updateContact (name, opts = {}) {
+    const contact = await this._getContact(name)
+    if (opts.label !== undefined) contact.label = opts.label
+    if (opts.note !== undefined) contact.note = opts.note
+    await this._save()
+    return copy(contact)
+  }
+
+  /**
+  * @returns {Boolean} true if the contact existed
+  */
+  async removeContact (name) {
+    const book = await this._load()
+    if (!book.delete(name)) return false
+    await this._save()
+    return true
+  }
+
+  /**
+  * @description add an address to a contact
+  * @param {String} name - contact name
+  * @param {Object} entry - { asset, token, address, label, note }
+  */
+  async addAddress (name, entry) {
+    await this._getContact(name)
+    const addr = await this._validate(entry)
+    const contact = await this._getContact(name)
+    const exists = contact.addresses.some((a) => sameTarget(a, addr.asset, addr.token) && a.address === addr.address)
+    if (exists) throw new WalletError(`address already exists for ${name}: ${addr.address}`, ERROR_CODES.ADDRESS_EXISTS)
+    contact.addresses.push(addr)
+    await this._save()
+    return copy(contact)
+  }
+
+  /**
+  * @description remove an address from a contact
+  * @param {String} name - contact name
+  * @param {Object} entry - { asset, token, address }
+  * @returns {Boolean} true if the address existed
+  */
+  async removeAddress (name, entry) {
+    const contact = await this._getContact(name)
+    const count = contact.addresses.length
+    contact.addresses = contact.addresses.filter((a) => {
+      return !(sameTarget(a, entry.asset, entry.token) && a.address === entry.address)
+    })
+    if (contact.addresses.length === count) return false
+    await this._save()
+    return true
+  }
+
+  /**
+  * @description address of a contact for an asset or token. When there are many, the first one added is used.
+  * @param {String} name - contact name
+  * @param {String} asset - asset name
+  * @param {String} token - optional token name
+  * @returns {String} address
+  */
+  async resolve (name, asset, token) {
+    const contact = await this._getContact(name)
+    const entry = contact.addresses.find((a) => sameTarget(a, asset, token))
+    if (!entry) {
+      const target = token ? `${asset}:${token}` : asset
+      throw new WalletError(`contact ${name} has no ${target} address`, ERROR_CODES.ADDRESS_NOT_FOUND)
+    }
+    return entry.address
+  }
+}
+
+module.exports = AddressBook
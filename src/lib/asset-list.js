@@ -13,6 +13,8 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
 // Simple data structure for iterating assets
 class AssetList {
   constructor () {
@@ -30,13 +32,29 @@ class AssetList {
   }
 
   set (k, v) {
-    if (this.exists(k)) throw new Error('Asset already exists ' + k)
+    if (this.exists(k)) throw new WalletError('Asset already exists ' + k, ERROR_CODES.ASSET_EXISTS)
     this.size++
     this[k] = v
     this.keys.push(k)
     return v
   }
 
+  // Keeps the position of the asset in the list
+  replace (k, v) {
+    if (!this.exists(k)) throw new WalletError('Asset does not exist ' + k, ERROR_CODES.ASSET_NOT_FOUND)
+    this[k] = v
+    return v
+  }
+
+  delete (k) {
+    if (!this.exists(k)) throw new WalletError('Asset does not exist ' + k, ERROR_CODES.ASSET_NOT_FOUND)
+    const v = this[k]
+    delete this[k]
+    this.size--
+    this.keys.splice(this.keys.indexOf(k), 1)
+    return v
+  }
+
   async each (fn) {
     const data = Object.keys(this)
     return Promise.all(data.map((k) => {
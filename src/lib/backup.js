@@ -0,0 +1,116 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const SecretBox = require('./secret-box.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+const BACKUP_TYPE = 'lib-wallet-backup'
+const BACKUP_VERSION = 1
+
+/**
+* @desc Encrypted wallet backup. Contains the seed, or the watch keys of a watch-only wallet,
+* and the contents of the wallet and asset stores,
+* so a wallet can be restored without a full rescan.
+* Stores must implement entries(fn) to be backed up.
+*/
+class Backup {
+  static async _readStore (store) {
+    if (typeof store.entries !== 'function') {
+      throw new WalletError('store does not support reading entries', ERROR_CODES.NOT_IMPLEMENTED)
+    }
+    const entries = []
+    await store.entries((key, value) => {
+      entries.push([key, value])
+    })
+    return entries
+  }
+
+  static async _writeStore (store, entries) {
+    if (!store.ready) await store.init()
+    for (const [key, value] of entries) {
+      await store.put(key, value)
+    }
+  }
+
+  /**
+  * @param {Wallet} wallet
+  * @param {String} passphrase
+  * @returns {String} encrypted bundle
+  */
+  static async create (wallet, passphrase) {
+    const assets = {}
+    for (const asset of wallet.pay) {
+      // Assets using the wallet's store are included in the wallet entries
+      if (!asset.store || asset.store === wallet.store) continue
+      assets[asset.assetName] = await Backup._readStore(asset.store)
+    }
+
+    const payload = {
+      type: BACKUP_TYPE,
+      version: BACKUP_VERSION,
+      created_at: Date.now(),
+      seed: wallet.isWatchOnly ? null : JSON.parse(wallet.exportSeed()),
+      watch: wallet.isWatchOnly ? wallet._watch : null,
+      stores: {
+        wallet: await Backup._readStore(wallet.store),
+        assets
+      }
+    }
+    const box = await SecretBox.encrypt(Buffer.from(JSON.stringify(payload)), passphrase)
+    return JSON.stringify({ type: BACKUP_TYPE, version: BACKUP_VERSION, box })
+  }
+
+  /**
+  * @param {String|Object} bundle - bundle returned from create
+  * @param {String} passphrase
+  * @returns {Object} decrypted backup payload
+  */
+  static async open (bundle, passphrase) {
+    let data = bundle
+    if (typeof bundle === 'string') {
+      try {
+        data = JSON.parse(bundle)
+      } catch (err) {
+        throw new WalletError('invalid backup bundle', ERROR_CODES.BAD_ARGS, { cause: err })
+      }
+    }
+    if (data?.type !== BACKUP_TYPE) throw new WalletError('invalid backup bundle', ERROR_CODES.BAD_ARGS)
+    if (data.version !== BACKUP_VERSION) {
+      throw new WalletError(`unsupported backup version: ${data.version}`, ERROR_CODES.BAD_ARGS)
+    }
+    const payload = JSON.parse((await SecretBox.decrypt(data.box, passphrase)).toString())
+    if (payload.type !== BACKUP_TYPE || payload.version !== data.version) {
+      throw new WalletError('invalid backup bundle', ERROR_CODES.BAD_ARGS)
+    }
+    return payload
+  }
+
+  /**
+  * @description write backup store entries into the wallet store and asset stores
+  * @param {Object} payload - payload returned from open
+  * @param {Object} store - wallet store
+  * @param {Array} assets - assets of the restored wallet
+  */
+  static async restoreStores (payload, store, assets = []) {
+    await Backup._writeStore(store, payload.stores.wallet)
+    for (const asset of assets) {
+      const entries = payload.stores.assets[asset.assetName]
+      if (!entries) continue
+      await Backup._writeStore(asset.store || store, entries)
+    }
+  }
+}
+
+module.exports = Backup
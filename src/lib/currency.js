@@ -15,6 +15,7 @@
 //
 
 const BN = require('bignumber.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
 const inspect = Symbol.for('nodejs.util.inspect.custom')
 
 BN.config({ EXPONENTIAL_AT: [-20, 40] })
@@ -25,7 +26,7 @@ class Currency {
   static _BN = BN
   constructor () {
     const { amount, type, config } = this._parseConstArg(...arguments)
-    if (type !== 'base' && type !== 'main') throw new Error("Currency type must be either 'base' or 'main'")
+    if (type !== 'base' && type !== 'main') throw new WalletError("Currency type must be either 'base' or 'main'", ERROR_CODES.BAD_ARGS)
     this.amount = amount
     this.config = config
     this.type = type
@@ -138,8 +139,24 @@ class Currency {
     return new BN(thisBase).gte(amountBase)
   }
 
+  /**
+  * @description value of the amount in another currency, like USD
+  * @param {Number|String|Object} rate - price of 1 main unit. Or the result of PriceOracle.getRate
+  * @returns {String} value, not rounded
+  */
+  toFiat (rate) {
+    let value
+    try {
+      value = new BN(rate !== null && typeof rate === 'object' && !BN.isBigNumber(rate) ? rate.rate : rate)
+    } catch (err) {
+      throw new WalletError(`invalid rate: ${rate}`, ERROR_CODES.BAD_ARGS, { cause: err })
+    }
+    if (value.isNaN() || value.isNegative()) throw new WalletError(`invalid rate: ${rate}`, ERROR_CODES.BAD_ARGS)
+    return new BN(this.toMainUnit()).times(value).toString()
+  }
+
   isUnitOf () {
-    throw new Error('method not implemented')
+    throw new WalletError('method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
   }
 }
 
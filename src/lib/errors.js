@@ -0,0 +1,120 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+* @desc Stable, machine readable error codes. Applications should branch on err.code, not on messages.
+*/
+const ERROR_CODES = Object.freeze({
+  // Invalid or missing arguments or config
+  BAD_ARGS: 'BAD_ARGS',
+  // Asset is not loaded in the wallet
+  ASSET_NOT_FOUND: 'ASSET_NOT_FOUND',
+  // Asset with the same name is already loaded
+  ASSET_EXISTS: 'ASSET_EXISTS',
+  // Token is not loaded in the asset
+  TOKEN_NOT_FOUND: 'TOKEN_NOT_FOUND',
+  // Token with the same name is already loaded
+  TOKEN_EXISTS: 'TOKEN_EXISTS',
+  // Method must be implemented by the asset
+  NOT_IMPLEMENTED: 'NOT_IMPLEMENTED',
+  // Invalid HD path or address path type
+  INVALID_PATH: 'INVALID_PATH',
+  // Address has already been generated
+  ADDRESS_EXISTS: 'ADDRESS_EXISTS',
+  // Connection to the block source is closed
+  PROVIDER_DISCONNECTED: 'PROVIDER_DISCONNECTED',
+  // One or more assets failed to initialize
+  ASSET_INIT_FAILED: 'ASSET_INIT_FAILED',
+  // Method is not allowed in the current wallet state
+  INVALID_STATE: 'INVALID_STATE',
+  // Wallet has been destroyed
+  WALLET_DESTROYED: 'WALLET_DESTROYED',
+  // Invalid passphrase or corrupted encrypted data
+  DECRYPT_FAILED: 'DECRYPT_FAILED',
+  // Wallet is locked. Unlock it with the passphrase
+  LOCKED: 'LOCKED',
+  // Payment rejected by the spending policy. err.rule has the name of the rule
+  POLICY_VIOLATION: 'POLICY_VIOLATION',
+  // Transaction draft does not exist, or has been confirmed or discarded
+  DRAFT_NOT_FOUND: 'DRAFT_NOT_FOUND',
+  // Transaction draft has expired. Prepare a new one
+  DRAFT_EXPIRED: 'DRAFT_EXPIRED',
+  // Transaction draft is being confirmed by another call
+  DRAFT_CONFIRMING: 'DRAFT_CONFIRMING',
+  // Address is not valid for the asset
+  INVALID_ADDRESS: 'INVALID_ADDRESS',
+  // Address book entry for the asset or token does not exist
+  ADDRESS_NOT_FOUND: 'ADDRESS_NOT_FOUND',
+  // Contact is not in the address book
+  CONTACT_NOT_FOUND: 'CONTACT_NOT_FOUND',
+  // Contact with the same name already exists
+  CONTACT_EXISTS: 'CONTACT_EXISTS',
+  // Payment URI is malformed or uses an unsupported scheme
+  INVALID_PAYMENT_URI: 'INVALID_PAYMENT_URI',
+  // Invoice does not exist
+  INVOICE_NOT_FOUND: 'INVOICE_NOT_FOUND',
+  // Price oracle has no rate for the currency pair
+  RATE_NOT_FOUND: 'RATE_NOT_FOUND',
+  // Exchange rate is older than the allowed age
+  STALE_RATE: 'STALE_RATE',
+  // Balance is lower than the amount to send
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  // Payment schedule does not exist
+  SCHEDULE_NOT_FOUND: 'SCHEDULE_NOT_FOUND',
+  // Wallet is watch-only. It has no seed and can not sign
+  WATCH_ONLY: 'WATCH_ONLY',
+  // Operation was cancelled with an AbortSignal
+  ABORTED: 'ABORTED'
+})
+
+class WalletError extends Error {
+  /**
+  * @param {String} message - human readable message
+  * @param {String} code - one of ERROR_CODES
+  * @param {Object} opts - optional. opts.cause: underlying error
+  */
+  constructor (message, code = ERROR_CODES.BAD_ARGS, opts) {
+    super(message, opts)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+class WalletPayError extends WalletError {}
+
+class HdWalletError extends WalletError {}
+
+class ProviderError extends WalletError {}
+
+class PolicyError extends WalletError {
+  /**
+  * @param {String} message
+  * @param {String} rule - name of the violated rule
+  */
+  constructor (message, rule, opts) {
+    super(message, ERROR_CODES.POLICY_VIOLATION, opts)
+    this.rule = rule
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  WalletError,
+  WalletPayError,
+  HdWalletError,
+  ProviderError,
+  PolicyError
+}
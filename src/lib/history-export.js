@@ -0,0 +1,120 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+const FORMATS = ['csv', 'json']
+
+const COLUMNS = [
+  'date',
+  'timestamp',
+  'height',
+  'asset',
+  'token',
+  'currency',
+  'txid',
+  'direction',
+  'amount',
+  'amount_base',
+  'fee',
+  'fee_base',
+  'counterparty',
+  'label',
+  'note',
+  'tags'
+]
+
+function address (addr) {
+  if (addr === undefined || addr === null) return null
+  return Array.isArray(addr) ? addr.join(' ') : String(addr)
+}
+
+// Quote fields for CSV. Text starting with a formula character is escaped, so spreadsheets do not run it.
+function csvField (value) {
+  if (value === null || value === undefined) return ''
+  let str = String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str) && isNaN(Number(str))) str = "'" + str
+  if (/[",\r\n]/.test(str)) return '"' + str.replace(/"/g, '""') + '"'
+  return str
+}
+
+/**
+* @desc Convert normalized history records into rows for accounting tools.
+* Amounts are written in main and base unit. The counterparty is the sender of incoming
+* transactions and the recipient of other transactions.
+*/
+class HistoryExport {
+  static FORMATS = FORMATS
+  static COLUMNS = COLUMNS
+
+  /**
+  * @param {Object} record - record from TxHistory.normalize
+  * @returns {Object} row with a value for every column
+  */
+  static toRow (record) {
+    const currency = record.amount || record.fee
+    return {
+      date: record.timestamp === null ? null : new Date(record.timestamp).toISOString(),
+      timestamp: record.timestamp,
+      height: record.height,
+      asset: record.asset,
+      token: record.token,
+      currency: currency ? currency.name || null : null,
+      txid: record.txid,
+      direction: record.direction,
+      amount: record.amount ? record.amount.toMainUnit() : null,
+      amount_base: record.amount ? record.amount.toBaseUnit() : null,
+      fee: record.fee ? record.fee.toMainUnit() : null,
+      fee_base: record.fee ? record.fee.toBaseUnit() : null,
+      counterparty: address(record.direction === 'incoming' ? record.from : record.to),
+      label: record.label ?? null,
+      note: record.note ?? null,
+      tags: record.tags || []
+    }
+  }
+
+  static csvLine (values) {
+    return values.map(csvField).join(',') + '\r\n'
+  }
+
+  /**
+  * @description write records as text chunks
+  * @param {Iterable|AsyncIterable} records - normalized records, in the order they are written
+  * @param {String} format - csv or json
+  * @returns {AsyncGenerator} chunks of text. Joined together they are a CSV file or a JSON array
+  */
+  static async * stream (records, format) {
+    if (!FORMATS.includes(format)) throw new WalletError(`export format must be one of: ${FORMATS.join(', ')}`, ERROR_CODES.BAD_ARGS)
+    if (format === 'csv') {
+      yield HistoryExport.csvLine(COLUMNS)
+      for await (const record of records) {
+        const row = HistoryExport.toRow(record)
+        row.tags = row.tags.join(';')
+        yield HistoryExport.csvLine(COLUMNS.map((col) => row[col]))
+      }
+      return
+    }
+
+    yield '['
+    let first = true
+    for await (const record of records) {
+      yield (first ? '\n' : ',\n') + JSON.stringify(HistoryExport.toRow(record))
+      first = false
+    }
+    yield '\n]\n'
+  }
+}
+
+module.exports = HistoryExport
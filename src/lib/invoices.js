@@ -0,0 +1,259 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { EventEmitter } = require('events')
+const Currency = require('./currency.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+const { randomId, SerialQueue, StoreCache } = require('./utils.js')
+
+const INDEX_KEY = 'invoice_index'
+
+const STATUS = Object.freeze({
+  UNPAID: 'unpaid',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  OVERPAID: 'overpaid',
+  EXPIRED: 'expired'
+})
+
+// Invoices in these states are checked when new transactions arrive
+const OPEN = [STATUS.UNPAID, STATUS.PARTIALLY_PAID]
+
+// Default time to pay an invoice
+const INVOICE_TTL = 60 * 60 * 1000
+
+// Default time expired invoices are still checked, for payments sent just before the expiry
+const GRACE_PERIOD = 24 * 60 * 60 * 1000
+
+/**
+* @desc Payment requests with a fresh receive address each.
+* The amount received on the invoice address is checked when the wallet emits 'new-tx' for the asset.
+* A payment that reaches the amount marks the invoice paid, even when it is seen after the expiry.
+* Invoices are checked until the grace period after the expiry has passed.
+*
+* Events:
+* - invoice-update (invoice): status or received amount changed
+* - invoice-paid (invoice): invoice is paid or overpaid
+*/
+class Invoices extends EventEmitter {
+  static STATUS = STATUS
+
+  /**
+  * @param {Object} config
+  * @param {Wallet} config.wallet - wallet that owns the invoices
+  * @param {Object} config.clock - optional clock with now()
+  * @param {Number} config.grace_period - ms expired invoices are still checked. Default 24 hours
+  */
+  constructor (config) {
+    super()
+    this.wallet = config.wallet
+    this.clock = config.clock || Date
+    this._gracePeriod = config.grace_period ?? GRACE_PERIOD
+    this._invoices = new StoreCache(async () => {
+      const invoices = new Map()
+      for (const id of await this.wallet.store.get(INDEX_KEY) || []) {
+        invoices.set(id, await this.wallet.store.get('invoice:' + id))
+      }
+      return invoices
+    })
+    this._checking = new SerialQueue()
+
+    this.wallet.on('new-tx', (assetName) => {
+      this.checkAsset(assetName).catch((err) => {
+        this.wallet.logger.error('failed to check invoices', { asset: assetName, err })
+      })
+    })
+  }
+
+  _load () {
+    return this._invoices.get()
+  }
+
+  _save (invoice, isNew) {
+    const store = this.wallet.store
+    return this._invoices.save(async () => {
+      await store.put('invoice:' + invoice.id, invoice)
+      if (isNew) {
+        const invoices = await this._load()
+        await store.put(INDEX_KEY, Array.from(invoices.keys()))
+      }
+    })
+  }
+
+  _asset (name) {
+    const asset = this.wallet.pay[name]
+    if (!asset) throw new WalletError(`asset does not exist: ${name}`, ERROR_CODES.ASSET_NOT_FOUND)
+    return asset
+  }
+
+  // Invoices are stored with base unit amounts and returned with Currency amounts.
+  // Invoices of removed assets keep their base unit amounts.
+  // Open invoices past their expiry are returned as expired until the next check updates them.
+  _format (invoice) {
+    const Curr = this.wallet.pay[invoice.asset]?.getCurrency(invoice.token)
+    const expired = OPEN.includes(invoice.status) && this.clock.now() > invoice.expires_at
+    return {
+      ...invoice,
+      status: expired ? STATUS.EXPIRED : invoice.status,
+      amount: Curr ? new Curr(invoice.amount, 'base') : invoice.amount,
+      received: Curr ? new Curr(invoice.received, 'base') : invoice.received
+    }
+  }
+
+  /**
+  * @description Create an invoice with a new receive address
+  * @param {Object} opts
+  * @param {String} opts.asset - asset name
+  * @param {String} opts.token - optional token name
+  * @param {String|Currency} opts.amount - expected amount
+  * @param {String} opts.unit - unit of amount. default: main
+  * @param {Number} opts.expires_in - milliseconds to pay the invoice. default: 1 hour
+  * @param {String} opts.label - optional
+  * @returns {Object} invoice
+  * { id, asset, token, address, amount, received, status, label, created_at, expires_at, paid_at }
+  */
+  async create (opts) {
+    const asset = this._asset(opts.asset)
+    if (opts.amount === undefined || opts.amount === null) throw new WalletError('amount is required', ERROR_CODES.BAD_ARGS)
+    const Curr = asset.getCurrency(opts.token)
+    const amount = opts.amount instanceof Currency ? opts.amount : new Curr(opts.amount, opts.unit || 'main')
+    if (Currency.BN(amount.toBaseUnit()).lte(0)) {
+      throw new WalletError('amount must be more than 0', ERROR_CODES.BAD_ARGS)
+    }
+
+    const res = await asset.getNewAddress()
+    const now = this.clock.now()
+    const invoice = {
+      id: randomId(),
+      asset: asset.assetName,
+      token: opts.token || null,
+      address: typeof res === 'string' ? res : res.address,
+      amount: amount.toBaseUnit(),
+      received: '0',
+      status: STATUS.UNPAID,
+      label: opts.label || null,
+      created_at: now,
+      expires_at: now + (opts.expires_in || INVOICE_TTL),
+      paid_at: null
+    }
+    const invoices = await this._load()
+    invoices.set(invoice.id, invoice)
+    try {
+      await this._save(invoice, true)
+    } catch (err) {
+      invoices.delete(invoice.id)
+      throw err
+    }
+    return this._format(invoice)
+  }
+
+  /**
+  * @returns {Object|null} invoice
+  */
+  async get (id) {
+    const invoices = await this._load()
+    const invoice = invoices.get(id)
+    return invoice ? this._format(invoice) : null
+  }
+
+  /**
+  * @param {Object} opts - optional filters { asset, token, status }
+  * @returns {Array} invoices, oldest first
+  */
+  async list (opts = {}) {
+    const invoices = await this._load()
+    return Array.from(invoices.values())
+      .map((inv) => this._format(inv))
+      .filter((inv) => {
+        if (opts.asset && inv.asset !== opts.asset) return false
+        if (opts.token !== undefined && inv.token !== (opts.token || null)) return false
+        if (opts.status && inv.status !== opts.status) return false
+        return true
+      })
+  }
+
+  _status (invoice, received) {
+    const amount = Currency.BN(invoice.amount)
+    if (received.gt(amount)) return STATUS.OVERPAID
+    if (received.eq(amount)) return STATUS.PAID
+    if (this.clock.now() > invoice.expires_at) return STATUS.EXPIRED
+    if (received.gt(0)) return STATUS.PARTIALLY_PAID
+    return STATUS.UNPAID
+  }
+
+  async _check (invoice) {
+    const asset = this._asset(invoice.asset)
+    const balance = await asset.getBalance({ token: invoice.token || undefined }, invoice.address)
+    const received = Currency.BN(balance.consolidated.toBaseUnit())
+    // Funds moved out of the invoice address do not reduce what was received
+    const total = received.gt(invoice.received) ? received : Currency.BN(invoice.received)
+    const status = this._status(invoice, total)
+    if (status === invoice.status && total.eq(invoice.received)) return false
+
+    invoice.received = total.toFixed()
+    invoice.status = status
+    if ((status === STATUS.PAID || status === STATUS.OVERPAID) && !invoice.paid_at) {
+      invoice.paid_at = this.clock.now()
+    }
+    await this._save(invoice)
+    const res = this._format(invoice)
+    this.emit('invoice-update', res)
+    if (status === STATUS.PAID || status === STATUS.OVERPAID) this.emit('invoice-paid', res)
+    return true
+  }
+
+  // Open and expired invoices, until the grace period after the expiry has passed
+  _isWatched (invoice) {
+    if (!OPEN.includes(invoice.status) && invoice.status !== STATUS.EXPIRED) return false
+    return this.clock.now() <= invoice.expires_at + this._gracePeriod
+  }
+
+  // Checks run one at a time, so an invoice is not reported paid twice
+  _queue (fn) {
+    return this._checking.push(fn)
+  }
+
+  /**
+  * @description Check the amount received for an invoice
+  * @returns {Object} invoice
+  */
+  async check (id) {
+    return this._queue(async () => {
+      const invoices = await this._load()
+      const invoice = invoices.get(id)
+      if (!invoice) throw new WalletError(`invoice not found: ${id}`, ERROR_CODES.INVOICE_NOT_FOUND)
+      if (this._isWatched(invoice)) await this._check(invoice)
+      return this._format(invoice)
+    })
+  }
+
+  /**
+  * @description Check all open and recently expired invoices of an asset. Called on the wallet's new-tx event.
+  * @returns {Array} invoices that changed
+  */
+  async checkAsset (assetName) {
+    return this._queue(async () => {
+      const invoices = await this._load()
+      const changed = []
+      for (const invoice of invoices.values()) {
+        if (invoice.asset !== assetName || !this._isWatched(invoice)) continue
+        if (await this._check(invoice)) changed.push(this._format(invoice))
+      }
+      return changed
+    })
+  }
+}
+
+module.exports = Invoices
@@ -0,0 +1,67 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const SecretBox = require('./secret-box.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+const KEYSTORE_KEY = 'wallet_keystore'
+
+/**
+* @desc Keeps the exported seed encrypted under a passphrase in the wallet store.
+*/
+class Keystore {
+  /**
+  * @param {Object} config
+  * @param {Object} config.store - wallet store
+  */
+  constructor (config) {
+    this.store = config.store
+  }
+
+  /**
+  * @description encrypt an exported seed.
+  * @param {Object} seed - exported seed. example: JSON.parse(seed.exportSeed())
+  * @param {String} passphrase
+  * @returns {Object} encrypted seed, safe to write to disk
+  */
+  static async encryptSeed (seed, passphrase) {
+    return SecretBox.encrypt(Buffer.from(JSON.stringify(seed)), passphrase)
+  }
+
+  /**
+  * @description decrypt a seed encrypted with encryptSeed
+  * @returns {Object} exported seed
+  */
+  static async decryptSeed (box, passphrase) {
+    const data = await SecretBox.decrypt(box, passphrase)
+    return JSON.parse(data.toString())
+  }
+
+  async exists () {
+    return !!(await this.store.get(KEYSTORE_KEY))
+  }
+
+  async save (seed, passphrase) {
+    return this.store.put(KEYSTORE_KEY, await Keystore.encryptSeed(seed, passphrase))
+  }
+
+  async load (passphrase) {
+    const box = await this.store.get(KEYSTORE_KEY)
+    if (!box) throw new WalletError('Keystore is empty', ERROR_CODES.INVALID_STATE)
+    return Keystore.decryptSeed(box, passphrase)
+  }
+}
+
+module.exports = Keystore
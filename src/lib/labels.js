@@ -0,0 +1,216 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { WalletError, ERROR_CODES } = require('./errors.js')
+const { StoreCache } = require('./utils.js')
+
+const LABELS_KEY = 'labels'
+
+// Record types of BIP-329
+const TYPES = Object.freeze({
+  TX: 'tx',
+  ADDR: 'addr',
+  PUBKEY: 'pubkey',
+  INPUT: 'input',
+  OUTPUT: 'output',
+  XPUB: 'xpub'
+})
+
+const TYPE_LIST = Object.values(TYPES)
+
+function key (type, ref) {
+  return `${type}:${ref}`
+}
+
+function copy (record) {
+  return { ...record, tags: record.tags.slice() }
+}
+
+function normalizeTags (tags) {
+  if (tags === null) return []
+  if (!Array.isArray(tags)) throw new WalletError('tags must be an array', ERROR_CODES.BAD_ARGS)
+  return Array.from(new Set(tags.map((tag) => {
+    if (typeof tag !== 'string' || !tag.trim()) throw new WalletError(`invalid tag: ${tag}`, ERROR_CODES.BAD_ARGS)
+    return tag.trim()
+  })))
+}
+
+/**
+* @desc Labels, notes and tags for transactions and addresses, kept in the wallet store.
+* Records follow BIP-329: { type, ref, label, origin, spendable }. Notes and tags are stored
+* as extra fields, which other wallets ignore on import.
+* @example
+* { type: 'tx', ref: '<txid>', label: 'Rent', note: 'paid for march', tags: ['housing'] }
+*/
+class Labels {
+  static TYPES = TYPES
+
+  /**
+  * @param {Object} config
+  * @param {Object} config.store - wallet store
+  */
+  constructor (config) {
+    this.store = config.store
+    this._labels = new StoreCache(() => this.store.get(LABELS_KEY).then((res) => new Map(Object.entries(res || {}))))
+  }
+
+  _load () {
+    return this._labels.get()
+  }
+
+  // Changes that were not saved are dropped. Labels are loaded again from the store
+  async _save () {
+    const data = Object.fromEntries(await this._load())
+    await this._labels.save(() => this.store.put(LABELS_KEY, data), { reload: true })
+  }
+
+  static _validate (type, ref) {
+    if (!TYPE_LIST.includes(type)) throw new WalletError(`label type must be one of: ${TYPE_LIST.join(', ')}`, ERROR_CODES.BAD_ARGS)
+    if (!ref || typeof ref !== 'string') throw new WalletError('label ref is required', ERROR_CODES.BAD_ARGS)
+  }
+
+  /**
+  * @description add or update metadata of a transaction or address.
+  * Fields that are not passed are kept. Pass null to clear a field.
+  * @param {String} type - tx or addr. Other BIP-329 types are accepted
+  * @param {String} ref - txid or address
+  * @param {Object} data - { label, note, tags, origin, spendable }
+  * @returns {Object} record
+  */
+  async set (type, ref, data = {}) {
+    Labels._validate(type, ref)
+    const labels = await this._load()
+    const current = labels.get(key(type, ref)) || { type, ref, label: null, note: null, tags: [] }
+    const record = { ...current }
+    for (const field of ['label', 'note', 'origin', 'spendable']) {
+      if (data[field] !== undefined) record[field] = data[field]
+    }
+    if (data.tags !== undefined) record.tags = normalizeTags(data.tags)
+    labels.set(key(type, ref), record)
+    await this._save()
+    return copy(record)
+  }
+
+  /**
+  * @returns {Object|null} record
+  */
+  async get (type, ref) {
+    const labels = await this._load()
+    const record = labels.get(key(type, ref))
+    return record ? copy(record) : null
+  }
+
+  /**
+  * @returns {Boolean} true if the record existed
+  */
+  async remove (type, ref) {
+    const labels = await this._load()
+    if (!labels.delete(key(type, ref))) return false
+    await this._save()
+    return true
+  }
+
+  /**
+  * @param {String} type - optional type filter
+  * @returns {Array} records
+  */
+  async list (type) {
+    const labels = await this._load()
+    return Array.from(labels.values())
+      .filter((record) => !type || record.type === type)
+      .map(copy)
+  }
+
+  /**
+  * @description records of a type keyed by ref
+  * @returns {Map} ref -> record
+  */
+  async getMap (type) {
+    const records = await this.list(type)
+    return new Map(records.map((record) => [record.ref, record]))
+  }
+
+  /**
+  * @param {String} tag
+  * @param {String} type - optional type filter
+  * @returns {Array} records with the tag
+  */
+  async findByTag (tag, type) {
+    const records = await this.list(type)
+    return records.filter((record) => record.tags.includes(tag))
+  }
+
+  /**
+  * @description export all records as BIP-329 JSON lines
+  * @returns {String}
+  */
+  async exportBip329 () {
+    const records = await this.list()
+    return records.map((record) => {
+      const line = { type: record.type, ref: record.ref }
+      for (const [field, value] of Object.entries(record)) {
+        if (field === 'type' || field === 'ref') continue
+        if (value === null || value === undefined) continue
+        if (field === 'tags' && !value.length) continue
+        line[field] = value
+      }
+      return JSON.stringify(line) + '\n'
+    }).join('')
+  }
+
+  /**
+  * @description import BIP-329 JSON lines. Lines are validated before anything is saved.
+  * @param {String} jsonl
+  * @param {Object} opts
+  * @param {Boolean} opts.overwrite - replace existing records. Default false, existing records are kept
+  * @returns {Number} number of records imported
+  */
+  async importBip329 (jsonl, opts = {}) {
+    const records = []
+    jsonl.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return
+      let data
+      try {
+        data = JSON.parse(line)
+      } catch (err) {
+        throw new WalletError(`invalid label on line ${i + 1}`, ERROR_CODES.BAD_ARGS, { cause: err })
+      }
+      try {
+        Labels._validate(data.type, data.ref)
+        records.push({
+          ...data,
+          label: data.label ?? null,
+          note: data.note ?? null,
+          tags: normalizeTags(data.tags ?? null)
+        })
+      } catch (err) {
+        throw new WalletError(`invalid label on line ${i + 1}: ${err.message}`, ERROR_CODES.BAD_ARGS, { cause: err })
+      }
+    })
+
+    const labels = await this._load()
+    let count = 0
+    for (const record of records) {
+      const k = key(record.type, record.ref)
+      if (labels.has(k) && !opts.overwrite) continue
+      labels.set(k, record)
+      count++
+    }
+    if (count) await this._save()
+    return count
+  }
+}
+
+module.exports = Labels
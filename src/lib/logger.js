@@ -0,0 +1,142 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+const LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+})
+
+/**
+* @desc Structured logger. Records are passed to the write function:
+* { time, level, msg, ...context, data }
+* Child loggers add context, like the asset or module name, to every record.
+*/
+class Logger {
+  static LEVELS = LEVELS
+
+  /**
+  * @param {Object} config
+  * @param {String} config.level - min level to write. debug, info, warn, error or silent. Default info
+  * @param {Function} config.write - called with each record. Nothing is written without it
+  * @param {Object} config.context - added to every record
+  */
+  constructor (config = {}) {
+    if (config.level && !LEVELS[config.level]) throw new WalletError('invalid log level: ' + config.level, ERROR_CODES.BAD_ARGS)
+    this.level = config.level || 'info'
+    this.context = config.context || {}
+    this._write = config.write || null
+  }
+
+  /**
+  * @description logger that does not write anything. Default logger of all modules
+  */
+  static silent () {
+    return new Logger({ level: 'silent' })
+  }
+
+  /**
+  * @description logger that writes to the console
+  */
+  static console (config = {}) {
+    return new Logger({
+      ...config,
+      write: (record) => {
+        const { level, msg, ...rest } = record
+        console[level === 'debug' ? 'log' : level](`[${level}] ${msg}`, rest)
+      }
+    })
+  }
+
+  child (context) {
+    return new Logger({
+      level: this.level,
+      write: this._write,
+      context: { ...this.context, ...context }
+    })
+  }
+
+  isLevelEnabled (level) {
+    return !!this._write && LEVELS[level] >= LEVELS[this.level]
+  }
+
+  log (level, msg, data) {
+    if (!this.isLevelEnabled(level)) return
+    const record = {
+      time: Date.now(),
+      level,
+      msg,
+      ...this.context
+    }
+    if (data !== undefined) record.data = data
+    this._write(record)
+  }
+
+  debug (msg, data) {
+    this.log('debug', msg, data)
+  }
+
+  info (msg, data) {
+    this.log('info', msg, data)
+  }
+
+  warn (msg, data) {
+    this.log('warn', msg, data)
+  }
+
+  error (msg, data) {
+    this.log('error', msg, data)
+  }
+}
+
+/**
+* @desc Logger that keeps records in memory. Useful for tests.
+* Records of child loggers are kept in the parent.
+*/
+class MemoryLogger extends Logger {
+  constructor (config = {}) {
+    const records = []
+    super({
+      level: 'debug',
+      ...config,
+      write: (record) => records.push(record)
+    })
+    this.records = records
+  }
+
+  /**
+  * @description records that match every field of the query
+  * @param {Object} query - example: { level: 'error', asset: 'btc' }
+  */
+  find (query = {}) {
+    return this.records.filter((record) => {
+      return Object.entries(query).every(([k, v]) => record[k] === v)
+    })
+  }
+
+  clear () {
+    this.records.length = 0
+  }
+}
+
+module.exports = {
+  Logger,
+  MemoryLogger
+}
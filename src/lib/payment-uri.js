@@ -0,0 +1,172 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const Currency = require('./currency.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+// URI scheme of each asset
+const SCHEMES = Object.freeze({
+  btc: 'bitcoin',
+  eth: 'ethereum'
+})
+
+function invalid (uri, reason) {
+  return new WalletError(`invalid payment uri: ${reason}. ${uri}`, ERROR_CODES.INVALID_PAYMENT_URI)
+}
+
+function encodeQuery (params) {
+  const query = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+    .join('&')
+  return query ? '?' + query : ''
+}
+
+function decodeQuery (uri, query) {
+  const params = {}
+  if (!query) return params
+  for (const pair of query.split('&')) {
+    if (!pair) continue
+    const i = pair.indexOf('=')
+    const key = i === -1 ? pair : pair.slice(0, i)
+    const value = i === -1 ? '' : pair.slice(i + 1)
+    if (key in params) throw invalid(uri, `duplicate parameter ${key}`)
+    try {
+      params[key] = decodeURIComponent(value)
+    } catch (err) {
+      throw invalid(uri, `bad encoding of ${key}`)
+    }
+  }
+  return params
+}
+
+// EIP-681 numbers can be written with an exponent. example: 2.014e18
+function parseNumber (uri, key, value) {
+  const num = Currency.BN(value)
+  if (num.isNaN() || num.isNegative()) throw invalid(uri, `${key} is not a number`)
+  return num.toFixed()
+}
+
+/**
+* @desc Build and parse payment request URIs.
+* BIP21 for bitcoin: bitcoin:<address>?amount=<main unit>&label=&message=
+* EIP-681 for ethereum: ethereum:<address>[@chain_id]?value=<wei>
+* and for ERC20 transfers: ethereum:<contract>[@chain_id]/transfer?address=<recipient>&uint256=<base unit>
+*/
+class PaymentUri {
+  static SCHEMES = SCHEMES
+
+  /**
+  * @param {Object} opts
+  * @param {String} opts.address - recipient
+  * @param {String} opts.amount - amount in main unit. optional
+  * @param {String} opts.label - optional
+  * @param {String} opts.message - optional
+  */
+  static bip21 (opts) {
+    if (!opts.address) throw new WalletError('address is required', ERROR_CODES.BAD_ARGS)
+    return `${SCHEMES.btc}:${opts.address}` + encodeQuery({
+      amount: opts.amount,
+      label: opts.label,
+      message: opts.message
+    })
+  }
+
+  /**
+  * @param {Object} opts
+  * @param {String} opts.address - recipient
+  * @param {String} opts.amount - amount in base unit. optional
+  * @param {String} opts.contract - ERC20 contract for token transfers. optional
+  * @param {Number} opts.chain_id - optional
+  */
+  static eip681 (opts) {
+    if (!opts.address) throw new WalletError('address is required', ERROR_CODES.BAD_ARGS)
+    const chain = opts.chain_id ? `@${opts.chain_id}` : ''
+    if (opts.contract) {
+      return `${SCHEMES.eth}:${opts.contract}${chain}/transfer` + encodeQuery({
+        address: opts.address,
+        uint256: opts.amount
+      })
+    }
+    return `${SCHEMES.eth}:${opts.address}${chain}` + encodeQuery({ value: opts.amount })
+  }
+
+  /**
+  * @description parse a BIP21 or EIP-681 uri
+  * @returns {Object} { scheme, address, chain_id, contract, amount, label, message }
+  * amount is a string, in main unit for bitcoin and base unit for ethereum.
+  */
+  static parse (uri) {
+    if (typeof uri !== 'string') throw invalid(uri, 'not a string')
+    const i = uri.indexOf(':')
+    if (i === -1) throw invalid(uri, 'missing scheme')
+    const scheme = uri.slice(0, i).toLowerCase()
+    const [path, query] = uri.slice(i + 1).split('?')
+    const params = decodeQuery(uri, query)
+
+    if (scheme === SCHEMES.btc) return PaymentUri._parseBip21(uri, path, params)
+    if (scheme === SCHEMES.eth) return PaymentUri._parseEip681(uri, path, params)
+    throw invalid(uri, `unsupported scheme ${scheme}`)
+  }
+
+  static _parseBip21 (uri, path, params) {
+    if (!path) throw invalid(uri, 'missing address')
+    for (const key of Object.keys(params)) {
+      // Unknown required parameters make the uri invalid
+      if (key.startsWith('req-')) throw invalid(uri, `unsupported parameter ${key}`)
+    }
+    const res = {
+      scheme: SCHEMES.btc,
+      address: path,
+      chain_id: null,
+      contract: null,
+      amount: null,
+      label: params.label || null,
+      message: params.message || null
+    }
+    if (params.amount !== undefined) {
+      if (!/^\d*\.?\d+$/.test(params.amount)) throw invalid(uri, 'amount is not a number')
+      res.amount = Currency.BN(params.amount).toFixed()
+    }
+    return res
+  }
+
+  static _parseEip681 (uri, path, params) {
+    const match = path.match(/^(?:pay-)?([^@/]+)(?:@(\d+))?(?:\/(\w+))?$/)
+    if (!match) throw invalid(uri, 'bad target address')
+    const [, target, chainId, fn] = match
+    const res = {
+      scheme: SCHEMES.eth,
+      address: target,
+      chain_id: chainId ? Number(chainId) : null,
+      contract: null,
+      amount: null,
+      label: null,
+      message: null
+    }
+    if (!fn) {
+      if (params.value !== undefined) res.amount = parseNumber(uri, 'value', params.value)
+      return res
+    }
+    if (fn !== 'transfer') throw invalid(uri, `unsupported function ${fn}`)
+    if (!params.address) throw invalid(uri, 'missing transfer address')
+    res.contract = target
+    res.address = params.address
+    if (params.uint256 !== undefined) res.amount = parseNumber(uri, 'uint256', params.uint256)
+    return res
+  }
+}
+
+module.exports = PaymentUri
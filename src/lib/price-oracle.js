@@ -0,0 +1,102 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const Currency = require('./currency.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+/**
+* @desc Source of exchange rates. Extend this class to connect a price feed.
+*/
+class PriceOracle {
+  /**
+  * @description price of 1 unit of base currency in quote currency
+  * @param {String} base - currency name. example: BTC
+  * @param {String} quote - currency name. example: USD
+  * @returns {Object} { rate: String, timestamp: Number } timestamp is when the rate was observed, in milliseconds
+  */
+  async getRate (base, quote) {
+    throw new WalletError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
+  }
+}
+
+/**
+* @desc Price oracle with fixed rates. For offline use and tests.
+* @example
+* new StaticPriceOracle({ rates: { 'BTC/USD': 60000, 'USDT/USD': 1 } })
+*/
+class StaticPriceOracle extends PriceOracle {
+  /**
+  * @param {Object} config
+  * @param {Object} config.rates - rates keyed by "BASE/QUOTE"
+  * @param {Number} config.timestamp - time of the rates. default: the time of each read, so rates are never stale
+  * @param {Object} config.clock - optional clock with now()
+  */
+  constructor (config = {}) {
+    super()
+    this.clock = config.clock || Date
+    this._rates = new Map()
+    const timestamp = config.timestamp ?? null
+    for (const [pair, rate] of Object.entries(config.rates || {})) {
+      const [base, quote] = pair.split('/')
+      this.setRate(base, quote, rate, timestamp)
+    }
+  }
+
+  static _key (base, quote) {
+    return `${base.toUpperCase()}/${quote.toUpperCase()}`
+  }
+
+  /**
+  * @description set or update a rate
+  * @param {Number} timestamp - default: the time of each read
+  */
+  setRate (base, quote, rate, timestamp) {
+    let num
+    try {
+      num = Currency.BN(rate)
+    } catch (err) {
+      throw new WalletError(`invalid rate for ${base}/${quote}: ${rate}`, ERROR_CODES.BAD_ARGS, { cause: err })
+    }
+    if (num.isNaN() || !num.gt(0)) throw new WalletError(`invalid rate for ${base}/${quote}: ${rate}`, ERROR_CODES.BAD_ARGS)
+    this._rates.set(StaticPriceOracle._key(base, quote), {
+      rate: num.toString(),
+      timestamp: timestamp ?? null
+    })
+  }
+
+  // Rates without a timestamp are current
+  _read (entry) {
+    return { rate: entry.rate, timestamp: entry.timestamp ?? this.clock.now() }
+  }
+
+  async getRate (base, quote) {
+    if (base.toUpperCase() === quote.toUpperCase()) return { rate: '1', timestamp: this.clock.now() }
+    const rate = this._rates.get(StaticPriceOracle._key(base, quote))
+    if (rate) return this._read(rate)
+    const inverse = this._rates.get(StaticPriceOracle._key(quote, base))
+    if (inverse) {
+      return {
+        rate: Currency.BN(1).div(inverse.rate).toString(),
+        timestamp: this._read(inverse).timestamp
+      }
+    }
+    throw new WalletError(`rate not found: ${base}/${quote}`, ERROR_CODES.RATE_NOT_FOUND)
+  }
+}
+
+module.exports = {
+  PriceOracle,
+  StaticPriceOracle
+}
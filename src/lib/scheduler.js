@@ -0,0 +1,324 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { EventEmitter } = require('events')
+const Currency = require('./currency.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+const { randomId, SerialQueue, StoreCache } = require('./utils.js')
+
+const INDEX_KEY = 'schedule_index'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const REPEAT = Object.freeze({
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+})
+
+const STATUS = Object.freeze({
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+})
+
+// Default time between checks for due payments
+const CHECK_INTERVAL = 60 * 1000
+
+function toTime (time) {
+  return time instanceof Date ? time.getTime() : time
+}
+
+// Months are added in UTC. The day is capped at the end of shorter months: Jan 31 -> Feb 28
+function addMonths (time, count) {
+  const date = new Date(time)
+  const day = date.getUTCDate()
+  date.setUTCDate(1)
+  date.setUTCMonth(date.getUTCMonth() + count)
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+  date.setUTCDate(Math.min(day, lastDay))
+  return date.getTime()
+}
+
+/**
+* @desc Scheduled and recurring payments, kept in the wallet store.
+* Due payments are sent with the asset's sendTransaction, so lock, address book and spending policy apply.
+* When payments were missed, for example while the app was closed, a schedule pays once and moves to its next future date.
+* Due payments wait while the wallet is locked, and are sent when it is unlocked.
+* Scheduled sends do not reset the wallet's auto lock timer.
+*
+* Events:
+* - scheduled-payment ({ id, status, txid, error, schedule }): status is sent or failed
+*/
+class Scheduler extends EventEmitter {
+  static REPEAT = REPEAT
+  static STATUS = STATUS
+
+  /**
+  * @param {Object} config
+  * @param {Wallet} config.wallet - wallet that sends the payments
+  * @param {Object} config.clock - optional clock with now()
+  * @param {Number} config.interval - ms between checks for due payments. Default 1 minute
+  */
+  constructor (config) {
+    super()
+    this.wallet = config.wallet
+    this.clock = config.clock || Date
+    this._interval = config.interval ?? CHECK_INTERVAL
+    this._timer = null
+    this._schedules = new StoreCache(async () => {
+      const schedules = new Map()
+      for (const id of await this.wallet.store.get(INDEX_KEY) || []) {
+        schedules.set(id, await this.wallet.store.get('schedule:' + id))
+      }
+      return schedules
+    })
+    this._running = new SerialQueue()
+
+    this.wallet.on('unlock', () => {
+      if (!this._timer) return
+      this.runDue().catch((err) => this.wallet.logger.error('failed to run scheduled payments', { err }))
+    })
+  }
+
+  _load () {
+    return this._schedules.get()
+  }
+
+  _save (schedule, isNew) {
+    const store = this.wallet.store
+    return this._schedules.save(async () => {
+      await store.put('schedule:' + schedule.id, schedule)
+      if (isNew) {
+        const schedules = await this._load()
+        await store.put(INDEX_KEY, Array.from(schedules.keys()))
+      }
+    })
+  }
+
+  _format (schedule) {
+    const Curr = this.wallet.pay[schedule.asset]?.getCurrency(schedule.token)
+    return {
+      ...schedule,
+      amount: Curr ? new Curr(schedule.amount, 'base') : schedule.amount
+    }
+  }
+
+  /**
+  * @description time of an occurrence of a schedule
+  * @param {Object} schedule
+  * @param {Number} index - 0 is the first payment
+  */
+  static occurrence (schedule, index) {
+    switch (schedule.repeat) {
+      case REPEAT.DAILY: return schedule.start_at + index * DAY
+      case REPEAT.WEEKLY: return schedule.start_at + index * 7 * DAY
+      case REPEAT.MONTHLY: return addMonths(schedule.start_at, index)
+      default: return index === 0 ? schedule.start_at : null
+    }
+  }
+
+  /**
+  * @description schedule a payment
+  * @param {Object} opts
+  * @param {String} opts.asset - asset name
+  * @param {String} opts.token - optional token name
+  * @param {String} opts.address - recipient. Or contact
+  * @param {String} opts.contact - address book contact, resolved when the payment is sent
+  * @param {String|Currency} opts.amount
+  * @param {String} opts.unit - unit of amount. Default main
+  * @param {Number|Date} opts.at - time of the first payment. Default now
+  * @param {String} opts.repeat - optional. daily, weekly or monthly
+  * @param {Number|Date} opts.end_at - optional. no payments after this time
+  * @param {String} opts.label - optional
+  * @returns {Object} schedule
+  */
+  async create (opts) {
+    if (this.wallet.isWatchOnly) throw new WalletError('Wallet is watch-only', ERROR_CODES.WATCH_ONLY)
+    const asset = this.wallet.pay[opts.asset]
+    if (!asset) throw new WalletError(`asset does not exist: ${opts.asset}`, ERROR_CODES.ASSET_NOT_FOUND)
+    const Curr = asset.getCurrency(opts.token)
+    if (opts.amount === undefined || opts.amount === null) throw new WalletError('amount is required', ERROR_CODES.BAD_ARGS)
+    const amount = opts.amount instanceof Currency ? opts.amount : new Curr(opts.amount, opts.unit || 'main')
+    if (Currency.BN(amount.toBaseUnit()).lte(0)) throw new WalletError('amount must be more than 0', ERROR_CODES.BAD_ARGS)
+    if (!opts.address && !opts.contact) throw new WalletError('address or contact is required', ERROR_CODES.BAD_ARGS)
+    if (opts.repeat && !Object.values(REPEAT).includes(opts.repeat)) {
+      throw new WalletError(`repeat must be one of: ${Object.values(REPEAT).join(', ')}`, ERROR_CODES.BAD_ARGS)
+    }
+    const now = this.clock.now()
+    const startAt = toTime(opts.at) ?? now
+    const endAt = toTime(opts.end_at) ?? null
+    if (typeof startAt !== 'number' || Number.isNaN(startAt)) throw new WalletError('invalid payment time', ERROR_CODES.BAD_ARGS)
+    if (endAt !== null && endAt < startAt) throw new WalletError('end_at is before the first payment', ERROR_CODES.BAD_ARGS)
+
+    const schedule = {
+      id: randomId(),
+      asset: asset.assetName,
+      token: opts.token || null,
+      address: opts.address || null,
+      contact: opts.contact || null,
+      amount: amount.toBaseUnit(),
+      repeat: opts.repeat || null,
+      label: opts.label || null,
+      status: STATUS.ACTIVE,
+      created_at: now,
+      start_at: startAt,
+      end_at: endAt,
+      next_run: startAt,
+      // Index of the next occurrence
+      index: 0,
+      last_run: null,
+      runs: 0
+    }
+    const schedules = await this._load()
+    schedules.set(schedule.id, schedule)
+    try {
+      await this._save(schedule, true)
+    } catch (err) {
+      schedules.delete(schedule.id)
+      throw err
+    }
+    return this._format(schedule)
+  }
+
+  /**
+  * @returns {Object|null} schedule
+  */
+  async get (id) {
+    const schedules = await this._load()
+    const schedule = schedules.get(id)
+    return schedule ? this._format(schedule) : null
+  }
+
+  /**
+  * @param {Object} opts - optional filters { asset, status }
+  * @returns {Array} schedules
+  */
+  async list (opts = {}) {
+    const schedules = await this._load()
+    return Array.from(schedules.values())
+      .filter((s) => (!opts.asset || s.asset === opts.asset) && (!opts.status || s.status === opts.status))
+      .map((s) => this._format(s))
+  }
+
+  /**
+  * @description stop future payments of a schedule
+  * @returns {Boolean} true if an active schedule was cancelled
+  */
+  async cancel (id) {
+    return this._queue(async () => {
+      const schedules = await this._load()
+      const schedule = schedules.get(id)
+      if (!schedule) throw new WalletError(`schedule not found: ${id}`, ERROR_CODES.SCHEDULE_NOT_FOUND)
+      if (schedule.status !== STATUS.ACTIVE) return false
+      schedule.status = STATUS.CANCELLED
+      schedule.next_run = null
+      await this._save(schedule)
+      return true
+    })
+  }
+
+  // Move a schedule to its next occurrence after now
+  _advance (schedule, now) {
+    let index = schedule.index + 1
+    let next = Scheduler.occurrence(schedule, index)
+    while (next !== null && next <= now) {
+      index++
+      next = Scheduler.occurrence(schedule, index)
+    }
+    schedule.index = index
+    if (next === null || (schedule.end_at !== null && next > schedule.end_at)) {
+      schedule.next_run = null
+      schedule.status = STATUS.COMPLETED
+    } else {
+      schedule.next_run = next
+    }
+  }
+
+  async _run (schedule, now) {
+    // Saved before sending. If the app stops during the send, the payment is not repeated
+    this._advance(schedule, now)
+    schedule.last_run = now
+    schedule.runs++
+    await this._save(schedule)
+
+    const outgoing = { amount: schedule.amount, unit: 'base' }
+    if (schedule.address) outgoing.address = schedule.address
+    else outgoing.contact = schedule.contact
+    const res = { id: schedule.id, status: 'sent', txid: null, error: null, schedule: null }
+    try {
+      const asset = this.wallet.pay[schedule.asset]
+      if (!asset) throw new WalletError(`asset does not exist: ${schedule.asset}`, ERROR_CODES.ASSET_NOT_FOUND)
+      const sent = await this.wallet._unattended(() => {
+        return asset.sendTransaction(schedule.token ? { token: schedule.token } : {}, outgoing)
+      })
+      res.txid = sent?.txid || null
+    } catch (err) {
+      res.status = 'failed'
+      res.error = err
+      if (!schedule.repeat) {
+        schedule.status = STATUS.FAILED
+        await this._save(schedule)
+      }
+      this.wallet.logger.error('scheduled payment failed', { id: schedule.id, asset: schedule.asset, err })
+    }
+    res.schedule = this._format(schedule)
+    this.emit('scheduled-payment', res)
+    return res
+  }
+
+  // Runs are serialized, so a payment is never sent twice
+  _queue (fn) {
+    return this._running.push(fn)
+  }
+
+  /**
+  * @description send payments that are due. Called on an interval after start(), and on unlock.
+  * Nothing is sent while the wallet is locked. Due payments stay due.
+  * @returns {Array} results of the payments that were sent or failed
+  */
+  async runDue () {
+    return this._queue(async () => {
+      const schedules = await this._load()
+      const now = this.clock.now()
+      const results = []
+      for (const schedule of schedules.values()) {
+        if (schedule.status !== STATUS.ACTIVE || schedule.next_run > now) continue
+        if (this.wallet.isLocked) break
+        results.push(await this._run(schedule, now))
+      }
+      return results
+    })
+  }
+
+  start () {
+    if (this._timer || !this._interval) return
+    const tick = () => {
+      this.runDue().catch((err) => this.wallet.logger.error('failed to run scheduled payments', { err }))
+    }
+    this._timer = setInterval(tick, this._interval)
+    if (this._timer.unref) this._timer.unref()
+    tick()
+  }
+
+  async stop () {
+    if (this._timer) clearInterval(this._timer)
+    this._timer = null
+    await this._running.idle()
+  }
+}
+
+module.exports = Scheduler
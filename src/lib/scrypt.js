@@ -0,0 +1,147 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const sodium = require('sodium-javascript')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+const { sha256 } = require('./utils.js')
+
+// scrypt key derivation (RFC 7914) on top of the sodium SHA-256.
+// Node, Bare and browsers do not share a scrypt implementation, so it is done in JS.
+
+const HASH_BYTES = 32
+const HMAC_BLOCK_BYTES = 64
+// Iterations between yields to the event loop
+const YIELD_EVERY = 4096
+// Max memory of the derivation, like maxmem of Node crypto.scrypt. Params may come from stored data
+const MAX_MEMORY = 64 * 1024 * 1024
+
+function hmacSha256 (key, data) {
+  if (key.length > HMAC_BLOCK_BYTES) key = sha256(key)
+  const ipad = Buffer.alloc(HMAC_BLOCK_BYTES, 0x36)
+  const opad = Buffer.alloc(HMAC_BLOCK_BYTES, 0x5c)
+  for (let i = 0; i < key.length; i++) {
+    ipad[i] ^= key[i]
+    opad[i] ^= key[i]
+  }
+  return sha256(opad, sha256(ipad, data))
+}
+
+// PBKDF2-HMAC-SHA256 with one iteration, the only count scrypt uses
+function pbkdf2 (password, salt, length) {
+  const out = Buffer.alloc(length)
+  const counter = Buffer.alloc(4)
+  for (let i = 1, pos = 0; pos < length; i++, pos += HASH_BYTES) {
+    counter.writeUInt32BE(i)
+    hmacSha256(password, Buffer.concat([salt, counter])).copy(out, pos)
+  }
+  return out
+}
+
+function R (a, b) {
+  return (a << b) | (a >>> (32 - b))
+}
+
+// Salsa20/8 core, in place on 16 words. x is scratch space
+function salsa208 (B, x) {
+  x.set(B)
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9)
+    x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18)
+    x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9)
+    x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18)
+    x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9)
+    x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18)
+    x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9)
+    x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18)
+
+    x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9)
+    x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18)
+    x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9)
+    x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18)
+    x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9)
+    x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18)
+    x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9)
+    x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18)
+  }
+  for (let i = 0; i < 16; i++) B[i] = B[i] + x[i]
+}
+
+// BlockMix of 2r blocks of 16 words, in place. Y, X and x are scratch space
+function blockMix (B, Y, X, x, r) {
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16))
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) X[k] ^= B[i * 16 + k]
+    salsa208(X, x)
+    // Even blocks go to the first half of the output, odd blocks to the second half
+    Y.set(X, ((i >> 1) + (i & 1) * r) * 16)
+  }
+  B.set(Y)
+}
+
+async function roMix (B, N, r) {
+  const words = 32 * r
+  const V = new Uint32Array(words * N)
+  const Y = new Uint32Array(words)
+  const X = new Uint32Array(16)
+  const x = new Uint32Array(16)
+  for (let i = 0; i < N; i++) {
+    V.set(B, i * words)
+    blockMix(B, Y, X, x, r)
+    if (i % YIELD_EVERY === YIELD_EVERY - 1) await nextTick()
+  }
+  for (let i = 0; i < N; i++) {
+    const j = B[(2 * r - 1) * 16] & (N - 1)
+    for (let k = 0; k < words; k++) B[k] ^= V[j * words + k]
+    blockMix(B, Y, X, x, r)
+    if (i % YIELD_EVERY === YIELD_EVERY - 1) await nextTick()
+  }
+  V.fill(0)
+  Y.fill(0)
+}
+
+function nextTick () {
+  return new Promise((resolve) => setTimeout(resolve, 0))
+}
+
+/**
+* @description derive a key from a passphrase. Same result as Node crypto.scrypt
+* @param {String|Buffer} passphrase
+* @param {Buffer} salt
+* @param {Number} length - key length in bytes
+* @param {Object} opts - { N, r, p }. N must be a power of 2. 128 * r * (N + p) bytes must fit in 64 MiB
+* @returns {Buffer} key
+*/
+async function scrypt (passphrase, salt, length, opts) {
+  const { N, r, p } = opts
+  if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) throw new WalletError('scrypt N must be a power of 2', ERROR_CODES.BAD_ARGS)
+  if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) throw new WalletError('invalid scrypt parameters', ERROR_CODES.BAD_ARGS)
+  if (128 * r * (N + p) > MAX_MEMORY) throw new WalletError('scrypt parameters exceed the memory limit', ERROR_CODES.BAD_ARGS)
+  const password = Buffer.from(passphrase)
+  const blockBytes = 128 * r
+  const B = pbkdf2(password, salt, p * blockBytes)
+  const block = new Uint32Array(32 * r)
+  for (let i = 0; i < p; i++) {
+    const offset = i * blockBytes
+    for (let k = 0; k < block.length; k++) block[k] = B.readUInt32LE(offset + k * 4)
+    await roMix(block, N, r)
+    for (let k = 0; k < block.length; k++) B.writeUInt32LE(block[k], offset + k * 4)
+  }
+  block.fill(0)
+  const key = pbkdf2(password, B, length)
+  sodium.sodium_memzero(B)
+  return key
+}
+
+module.exports = scrypt
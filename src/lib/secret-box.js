@@ -0,0 +1,107 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const sodium = require('sodium-javascript')
+const scrypt = require('./scrypt.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+const VERSION = 1
+const CIPHER = 'chacha20poly1305-ietf'
+const KDF = {
+  name: 'scrypt',
+  N: 32768,
+  r: 8,
+  p: 1
+}
+
+/**
+* @desc Passphrase based authenticated encryption.
+* Key is derived with scrypt, data is encrypted with ChaCha20-Poly1305.
+* The header (version, kdf params, nonce) is authenticated as additional data.
+*/
+class SecretBox {
+  static _deriveKey (passphrase, kdf) {
+    if (typeof passphrase !== 'string' || !passphrase) {
+      throw new WalletError('passphrase is required', ERROR_CODES.BAD_ARGS)
+    }
+    const salt = Buffer.from(kdf.salt, 'hex')
+    return scrypt(passphrase, salt, sodium.crypto_aead_chacha20poly1305_ietf_KEYBYTES, { N: kdf.N, r: kdf.r, p: kdf.p })
+  }
+
+  // kdf params come from the encrypted data. Only the params used by encrypt are derived,
+  // so crafted data can not make scrypt allocate unbounded memory
+  static _checkKdf (kdf) {
+    const valid = kdf.N === KDF.N && kdf.r === KDF.r && kdf.p === KDF.p &&
+      typeof kdf.salt === 'string' && /^[0-9a-f]{32}$/.test(kdf.salt)
+    if (!valid) throw new WalletError('failed to decrypt. invalid key derivation parameters', ERROR_CODES.DECRYPT_FAILED)
+  }
+
+  static _header (box) {
+    return Buffer.from(JSON.stringify([box.version, box.cipher, box.kdf, box.nonce]))
+  }
+
+  /**
+  * @param {Buffer} data - data to encrypt
+  * @param {String} passphrase
+  * @returns {Object} box that can be serialized to JSON
+  */
+  static async encrypt (data, passphrase) {
+    const salt = Buffer.alloc(16)
+    const nonce = Buffer.alloc(sodium.crypto_aead_chacha20poly1305_ietf_NPUBBYTES)
+    sodium.randombytes_buf(salt)
+    sodium.randombytes_buf(nonce)
+
+    const box = {
+      version: VERSION,
+      cipher: CIPHER,
+      kdf: { ...KDF, salt: salt.toString('hex') },
+      nonce: nonce.toString('hex')
+    }
+    const key = await SecretBox._deriveKey(passphrase, box.kdf)
+    const cipher = Buffer.alloc(data.length + sodium.crypto_aead_chacha20poly1305_ietf_ABYTES)
+    sodium.crypto_aead_chacha20poly1305_ietf_encrypt(cipher, data, SecretBox._header(box), null, nonce, key)
+    sodium.sodium_memzero(key)
+    box.data = cipher.toString('base64')
+    return box
+  }
+
+  /**
+  * @param {Object} box - box returned from encrypt
+  * @param {String} passphrase
+  * @returns {Buffer} decrypted data
+  */
+  static async decrypt (box, passphrase) {
+    if (!box || box.version !== VERSION || box.cipher !== CIPHER || box.kdf?.name !== KDF.name) {
+      throw new WalletError('unsupported encrypted data format', ERROR_CODES.BAD_ARGS)
+    }
+    SecretBox._checkKdf(box.kdf)
+    const key = await SecretBox._deriveKey(passphrase, box.kdf)
+    const cipher = Buffer.from(box.data, 'base64')
+    if (cipher.length < sodium.crypto_aead_chacha20poly1305_ietf_ABYTES) {
+      throw new WalletError('failed to decrypt. invalid passphrase or corrupted data', ERROR_CODES.DECRYPT_FAILED)
+    }
+    const data = Buffer.alloc(cipher.length - sodium.crypto_aead_chacha20poly1305_ietf_ABYTES)
+    try {
+      sodium.crypto_aead_chacha20poly1305_ietf_decrypt(data, null, cipher, SecretBox._header(box), Buffer.from(box.nonce, 'hex'), key)
+    } catch (err) {
+      throw new WalletError('failed to decrypt. invalid passphrase or corrupted data', ERROR_CODES.DECRYPT_FAILED, { cause: err })
+    } finally {
+      sodium.sodium_memzero(key)
+    }
+    return data
+  }
+}
+
+module.exports = SecretBox
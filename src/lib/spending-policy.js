@@ -0,0 +1,199 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const Currency = require('./currency.js')
+const { PolicyError } = require('./errors.js')
+const { StoreCache } = require('./utils.js')
+
+const DAY = 24 * 60 * 60 * 1000
+const WEEK = 7 * DAY
+
+const RULES = Object.freeze({
+  MAX_PAYMENT: 'max_payment',
+  DAILY_LIMIT: 'daily_limit',
+  WEEKLY_LIMIT: 'weekly_limit',
+  ALLOWLIST: 'allowlist',
+  DENYLIST: 'denylist',
+  VELOCITY: 'velocity'
+})
+
+/**
+* @desc Spending limits checked before every payment.
+* Rules are keyed by asset name, "asset:token" for tokens, or "*" for defaults of every asset and token.
+* Amounts are in main unit of the asset or token.
+* @example
+* {
+*   '*': { deny: ['bc1q...'] },
+*   btc: { max_payment: '0.1', daily_limit: '0.5', weekly_limit: '1' },
+*   'eth:USDT': { allow: ['0x...'], velocity: { max_count: 5, window: 3600000 } }
+* }
+*
+* Spent amounts are kept in the store, so limits survive restarts.
+*/
+class SpendingPolicy {
+  static RULES = RULES
+
+  /**
+  * @param {Object} config
+  * @param {Object} config.store - wallet store
+  * @param {Object} config.rules - rules per asset and token
+  * @param {Object} config.clock - optional clock with now()
+  */
+  constructor (config) {
+    this.store = config.store
+    this.rules = config.rules || {}
+    this.clock = config.clock || Date
+    this._history = new StoreCache((key) => this.store.get('policy_spent:' + key).then((res) => res || []))
+    this._pending = new Map()
+  }
+
+  static key (asset, token) {
+    return token ? `${asset}:${token}` : asset
+  }
+
+  getRules (asset, token) {
+    return this._keyRules(SpendingPolicy.key(asset, token))
+  }
+
+  _keyRules (key) {
+    return {
+      ...this.rules['*'],
+      ...this.rules[key]
+    }
+  }
+
+  // Payments are kept for the longest window of the rules, and at least a week
+  _retention (key) {
+    const velocity = this._keyRules(key).velocity
+    return Math.max(WEEK, velocity?.window || 0)
+  }
+
+  // Checks after loading the history of payments are synchronous
+  _load (key) {
+    return this._history.get(key)
+  }
+
+  _pendingOf (key) {
+    if (!this._pending.has(key)) this._pending.set(key, [])
+    return this._pending.get(key)
+  }
+
+  static _sameAddress (a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false
+    if (a.startsWith('0x')) return a.toLowerCase() === b.toLowerCase()
+    return a === b
+  }
+
+  _checkAddress (rules, address) {
+    const match = (list) => list.some((addr) => SpendingPolicy._sameAddress(addr, address))
+    if (rules.deny && match(rules.deny)) {
+      throw new PolicyError(`recipient ${address} is in the deny list`, RULES.DENYLIST)
+    }
+    if (rules.allow && rules.allow.length && !match(rules.allow)) {
+      throw new PolicyError(`recipient ${address} is not in the allow list`, RULES.ALLOWLIST)
+    }
+  }
+
+  _checkLimit (rule, limit, entries, payment, period) {
+    if (limit === undefined || limit === null) return
+    const Curr = payment.amount.constructor
+    const since = this.clock.now() - period
+    const total = entries
+      .filter((entry) => entry.time > since)
+      .reduce((sum, entry) => sum.add(entry.amount), payment.amount)
+    if (!total.lte(new Curr(limit, 'main'))) {
+      throw new PolicyError(`payment exceeds ${rule} of ${limit}`, rule)
+    }
+  }
+
+  _checkVelocity (velocity, entries) {
+    if (!velocity) return
+    const since = this.clock.now() - velocity.window
+    const count = entries.filter((entry) => entry.time > since).length
+    if (count >= velocity.max_count) {
+      throw new PolicyError(`more than ${velocity.max_count} payments in ${velocity.window}ms`, RULES.VELOCITY)
+    }
+  }
+
+  /**
+  * @description check a payment against the rules and reserve its amount until it is committed or released.
+  * @param {Object} payment - { asset, token, address, amount: Currency }
+  * @returns {Object} reservation
+  */
+  async reserve (payment) {
+    const key = SpendingPolicy.key(payment.asset, payment.token)
+    const rules = this.getRules(payment.asset, payment.token)
+    const history = await this._load(key)
+    const pending = this._pendingOf(key)
+    const Curr = payment.amount.constructor
+
+    this._checkAddress(rules, payment.address)
+    if (rules.max_payment !== undefined && !payment.amount.lte(new Curr(rules.max_payment, 'main'))) {
+      throw new PolicyError(`payment exceeds max_payment of ${rules.max_payment}`, RULES.MAX_PAYMENT)
+    }
+
+    const entries = history
+      .map((entry) => ({ time: entry.time, amount: new Curr(entry.amount, 'base') }))
+      .concat(pending)
+    this._checkLimit(RULES.DAILY_LIMIT, rules.daily_limit, entries, payment, DAY)
+    this._checkLimit(RULES.WEEKLY_LIMIT, rules.weekly_limit, entries, payment, WEEK)
+    this._checkVelocity(rules.velocity, entries)
+
+    const reservation = { key, time: this.clock.now(), amount: payment.amount }
+    pending.push(reservation)
+    return reservation
+  }
+
+  /**
+  * @description drop a reservation of a payment that was not sent
+  */
+  release (reservation) {
+    const pending = this._pendingOf(reservation.key)
+    const i = pending.indexOf(reservation)
+    if (i >= 0) pending.splice(i, 1)
+  }
+
+  /**
+  * @description record a sent payment
+  */
+  async commit (reservation) {
+    const history = await this._load(reservation.key)
+    const since = this.clock.now() - this._retention(reservation.key)
+    const kept = history.filter((entry) => entry.time > since)
+    kept.push({ time: reservation.time, amount: reservation.amount.toBaseUnit() })
+    history.splice(0, history.length, ...kept)
+    this.release(reservation)
+
+    const data = history.slice()
+    return this._history.save(() => this.store.put('policy_spent:' + reservation.key, data))
+  }
+
+  /**
+  * @description amount spent in a period, in base unit
+  * @param {String} asset
+  * @param {String} token
+  * @param {Number} period - ms. Default 1 day
+  */
+  async getSpent (asset, token, period = DAY) {
+    const history = await this._load(SpendingPolicy.key(asset, token))
+    const since = this.clock.now() - period
+    return history
+      .filter((entry) => entry.time > since)
+      .reduce((sum, entry) => sum.plus(entry.amount), Currency.BN(0))
+      .toString()
+  }
+}
+
+module.exports = SpendingPolicy
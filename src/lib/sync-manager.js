@@ -0,0 +1,254 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { EventEmitter } = require('events')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+// First retry after a failed sync. Doubled on every failure
+const BACKOFF = 5 * 1000
+const MAX_BACKOFF = 10 * 60 * 1000
+
+/**
+* @desc Background sync of the wallet assets.
+* Each asset is synced on its own interval and again when it reports a new block.
+* A failed sync is retried with exponential backoff until it succeeds.
+* Syncs of the same asset never overlap. A new block seen during a sync starts another sync after it.
+*
+* Events:
+* - sync-error (assetName, err, retryIn): sync failed, retried in retryIn ms
+*/
+class SyncManager extends EventEmitter {
+  /**
+  * @param {Object} config
+  * @param {Wallet} config.wallet - wallet to sync
+  * @param {Number} config.interval - ms between syncs of an asset. Default 0: background sync is off,
+  * except for assets with an interval in config.intervals
+  * @param {Object} config.intervals - optional interval by asset name. example: { btc: 60000 }
+  * @param {Number} config.backoff - ms before the first retry of a failed sync. Default 5 seconds
+  * @param {Number} config.max_backoff - longest time between retries. Default 10 minutes
+  * @param {Object} config.clock - optional clock with now()
+  */
+  constructor (config) {
+    super()
+    this.wallet = config.wallet
+    this.clock = config.clock || Date
+    this._interval = config.interval || 0
+    this._intervals = config.intervals || {}
+    this._backoff = config.backoff || BACKOFF
+    this._maxBackoff = config.max_backoff || MAX_BACKOFF
+    this._assets = new Map()
+    this._started = false
+    this._paused = false
+
+    this.wallet.on('new-block', (assetName) => {
+      const state = this._assets.get(assetName)
+      // Failed assets wait for their retry
+      if (state && !state.failures) this._schedule(assetName, 0)
+    })
+  }
+
+  get isPaused () {
+    return this._paused
+  }
+
+  get isStarted () {
+    return this._started
+  }
+
+  _getInterval (assetName) {
+    return this._intervals[assetName] ?? this._interval
+  }
+
+  _state (assetName) {
+    let state = this._assets.get(assetName)
+    if (!state) {
+      state = {
+        timer: null,
+        running: null,
+        again: false,
+        failures: 0,
+        last_sync: null,
+        last_error: null,
+        next_sync: null
+      }
+      this._assets.set(assetName, state)
+    }
+    return state
+  }
+
+  _schedule (assetName, delay) {
+    const state = this._assets.get(assetName)
+    if (!state || !this._started || this._paused || !this._getInterval(assetName)) return
+    if (state.running) {
+      if (delay === 0) state.again = true
+      return
+    }
+    clearTimeout(state.timer)
+    state.next_sync = this.clock.now() + delay
+    state.timer = setTimeout(() => {
+      this._sync(assetName)
+    }, delay)
+    if (state.timer.unref) state.timer.unref()
+  }
+
+  _retryIn (failures) {
+    return Math.min(this._maxBackoff, this._backoff * 2 ** (failures - 1))
+  }
+
+  _sync (assetName) {
+    const state = this._state(assetName)
+    if (state.running) {
+      state.again = true
+      return state.running
+    }
+    clearTimeout(state.timer)
+    state.timer = null
+    state.next_sync = null
+
+    state.running = (async () => {
+      let error = null
+      try {
+        await this.wallet.syncHistory({ asset: assetName, all: true })
+        state.failures = 0
+        state.last_error = null
+        state.last_sync = this.clock.now()
+      } catch (err) {
+        error = err
+      }
+      state.running = null
+      // Aborted syncs, like on wallet destroy, and syncs stopped by pause are not failures
+      const stopped = error?.code === ERROR_CODES.ABORTED || (this._paused && error?.code === ERROR_CODES.INVALID_STATE)
+      if (error && !stopped) {
+        state.failures++
+        state.last_error = error
+      }
+
+      if (!this._assets.has(assetName) || stopped) return error
+      let delay = this._getInterval(assetName)
+      if (error) {
+        delay = this._retryIn(state.failures)
+        this.wallet.logger.error('asset sync failed', { asset: assetName, failures: state.failures, retry_in: delay, err: error })
+        this.emit('sync-error', assetName, error, delay)
+      } else if (state.again) {
+        delay = 0
+      }
+      state.again = false
+      this._schedule(assetName, delay)
+      return error
+    })()
+    return state.running
+  }
+
+  /**
+  * @description Start background sync. Every asset is synced right away, then on its interval.
+  */
+  start () {
+    if (this._started || (!this._interval && !Object.values(this._intervals).some(Boolean))) return
+    this._started = true
+    for (const asset of this.wallet.pay) this.add(asset.assetName)
+  }
+
+  /**
+  * @description Stop background sync and wait for running syncs to finish
+  */
+  async stop () {
+    this._started = false
+    const running = []
+    for (const state of this._assets.values()) {
+      clearTimeout(state.timer)
+      state.timer = null
+      state.next_sync = null
+      if (state.running) running.push(state.running)
+    }
+    await Promise.all(running)
+  }
+
+  /**
+  * @description Sync an asset added after start
+  */
+  add (assetName) {
+    this._state(assetName)
+    this._schedule(assetName, 0)
+  }
+
+  remove (assetName) {
+    const state = this._assets.get(assetName)
+    if (!state) return
+    clearTimeout(state.timer)
+    this._assets.delete(assetName)
+  }
+
+  /**
+  * @description Stop syncing. Running syncs are stopped with the asset's pauseSync.
+  */
+  async pause () {
+    if (this._paused) return
+    this._paused = true
+    const running = []
+    for (const state of this._assets.values()) {
+      clearTimeout(state.timer)
+      state.timer = null
+      state.next_sync = null
+      if (state.running) running.push(state.running)
+    }
+    await this.wallet.pay.each((asset) => asset.pauseSync())
+    await Promise.all(running)
+  }
+
+  /**
+  * @description Continue syncing after pause. Assets are synced right away.
+  */
+  async resume () {
+    if (!this._paused) return
+    this._paused = false
+    await this.wallet.pay.each((asset) => asset.resumeSync())
+    for (const assetName of this._assets.keys()) this._schedule(assetName, 0)
+  }
+
+  /**
+  * @description Sync now, without waiting for the interval. Rejects when the sync fails.
+  * @param {String} assetName - optional. Default all assets
+  */
+  async syncNow (assetName) {
+    if (this._paused) throw new WalletError('Sync is paused', ERROR_CODES.INVALID_STATE)
+    if (assetName && !this.wallet.pay[assetName]) {
+      throw new WalletError(`asset does not exist: ${assetName}`, ERROR_CODES.ASSET_NOT_FOUND)
+    }
+    const names = assetName ? [assetName] : this.wallet.pay.keys.slice()
+    const errors = await Promise.all(names.map((name) => this._sync(name)))
+    const failed = errors.filter(Boolean)
+    if (failed.length) throw failed[0]
+  }
+
+  /**
+  * @description sync status of each asset
+  * @returns {Object} { btc: { syncing, failures, last_sync, last_error, next_sync } }
+  */
+  status () {
+    const res = {}
+    for (const [assetName, state] of this._assets) {
+      res[assetName] = {
+        syncing: !!state.running,
+        failures: state.failures,
+        last_sync: state.last_sync,
+        last_error: state.last_error,
+        next_sync: state.next_sync
+      }
+    }
+    return res
+  }
+}
+
+module.exports = SyncManager
@@ -0,0 +1,184 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const Currency = require('./currency.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+
+const DIRECTIONS = {
+  0: 'incoming',
+  1: 'outgoing',
+  2: 'internal',
+  in: 'incoming',
+  out: 'outgoing',
+  self: 'internal',
+  incoming: 'incoming',
+  outgoing: 'outgoing',
+  internal: 'internal'
+}
+
+const DEFAULT_LIMIT = 50
+
+/**
+* @desc Normalize, filter and paginate transactions of multiple assets into one feed.
+* Records are ordered newest first. Transactions without a timestamp (mempool) are treated as newest.
+*/
+class TxHistory {
+  /**
+  * @description convert an asset's transaction into the normalized record shape
+  * @param {Object} ctx
+  * @param {String} ctx.asset - asset name
+  * @param {String} ctx.token - token name
+  * @param {Currency} ctx.Currency - currency class of the asset/token. Raw amounts are in base unit.
+  * @param {Object} tx - transaction returned by the asset's getTransactions
+  */
+  static normalize (ctx, tx) {
+    return {
+      asset: ctx.asset,
+      token: ctx.token || null,
+      txid: tx.txid || tx.hash || tx.tx_hash || null,
+      amount: TxHistory._toCurrency(ctx.Currency, tx.amount ?? tx.value),
+      fee: TxHistory._toCurrency(ctx.Currency, tx.fee),
+      direction: DIRECTIONS[tx.direction] || null,
+      height: TxHistory._toNumber(tx.height ?? tx.blockNumber),
+      timestamp: TxHistory._toTimestamp(tx.timestamp ?? tx.time ?? tx.blocktime),
+      from: tx.from_address || tx.from || null,
+      to: tx.to_address || tx.to || null,
+      // Filled from wallet labels
+      label: null,
+      note: null,
+      tags: [],
+      raw: tx
+    }
+  }
+
+  static _toCurrency (Curr, amount) {
+    if (amount === undefined || amount === null) return null
+    if (amount instanceof Currency) return amount
+    if (!Curr) return null
+    return new Curr(amount, 'base')
+  }
+
+  static _toNumber (num) {
+    if (num === undefined || num === null || num === '') return null
+    const n = Number(num)
+    return Number.isFinite(n) ? n : null
+  }
+
+  // Timestamps are returned in milliseconds. Values that look like seconds are converted.
+  static _toTimestamp (ts) {
+    if (ts instanceof Date) return ts.getTime()
+    const n = TxHistory._toNumber(ts)
+    if (n === null) return null
+    return n < 1e12 ? n * 1000 : n
+  }
+
+  static matches (record, opts = {}) {
+    if (opts.tag && !record.tags.includes(opts.tag)) return false
+    if (opts.direction && record.direction !== (DIRECTIONS[opts.direction] || opts.direction)) return false
+    const from = TxHistory._toTimestamp(opts.from)
+    const to = TxHistory._toTimestamp(opts.to)
+    if (from !== null && record.timestamp !== null && record.timestamp < from) return false
+    if (to !== null && (record.timestamp === null || record.timestamp > to)) return false
+    return true
+  }
+
+  static _sortKey (record) {
+    return [
+      record.timestamp ?? Infinity,
+      record.height ?? Infinity,
+      record.asset,
+      record.token || '',
+      record.txid || ''
+    ]
+  }
+
+  // Compare 2 sort keys. Returns negative when a comes first in the feed.
+  // Timestamp and height are newest first, the position of equal records is in order.
+  static _compareKeys (a, b) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) continue
+      if (typeof a[i] === 'number') return i < 2 ? b[i] - a[i] : a[i] - b[i]
+      return a[i] < b[i] ? -1 : 1
+    }
+    return 0
+  }
+
+  // Records with the same key, like a transaction listed twice, are told apart by their position.
+  // The position is added as the last part of the key, so cursors are unique.
+  static _sortWithKeys (records) {
+    const sorted = records
+      .map((record) => [TxHistory._sortKey(record), record])
+      .sort((a, b) => TxHistory._compareKeys(a[0], b[0]))
+    let prev = null
+    for (const entry of sorted) {
+      const same = prev && TxHistory._compareKeys(entry[0], prev.slice(0, -1)) === 0
+      entry[0].push(same ? prev[prev.length - 1] + 1 : 0)
+      prev = entry[0]
+    }
+    return sorted
+  }
+
+  /**
+  * @description sort records in feed order, newest first
+  * @returns {Array} new sorted array
+  */
+  static sort (records) {
+    return TxHistory._sortWithKeys(records).map(([, record]) => record)
+  }
+
+  static _encodeCursor (key) {
+    return Buffer.from(JSON.stringify(key.map((v) => v === Infinity ? null : v))).toString('base64')
+  }
+
+  static decodeCursor (cursor) {
+    let key
+    try {
+      key = JSON.parse(Buffer.from(cursor, 'base64').toString())
+    } catch (err) {
+      throw new WalletError('invalid cursor', ERROR_CODES.BAD_ARGS)
+    }
+    if (!Array.isArray(key) || key.length !== 6) throw new WalletError('invalid cursor', ERROR_CODES.BAD_ARGS)
+    return key.map((v, i) => i < 2 && v === null ? Infinity : v)
+  }
+
+  /**
+  * @description sort records and return the page after the cursor
+  * @param {Array} records - normalized records
+  * @param {Object} opts
+  * @param {Number} opts.limit - max number of records in the page
+  * @param {String} opts.cursor - cursor returned by the previous page
+  * @returns {Object} { transactions, cursor } cursor is null when there are no more pages
+  */
+  static paginate (records, opts = {}) {
+    const limit = opts.limit || DEFAULT_LIMIT
+    const sorted = TxHistory._sortWithKeys(records)
+
+    let start = 0
+    if (opts.cursor) {
+      const after = TxHistory.decodeCursor(opts.cursor)
+      start = sorted.findIndex(([key]) => TxHistory._compareKeys(key, after) > 0)
+      if (start === -1) start = sorted.length
+    }
+
+    const page = sorted.slice(start, start + limit)
+    const hasMore = start + limit < sorted.length
+    return {
+      transactions: page.map(([, record]) => record),
+      cursor: hasMore ? TxHistory._encodeCursor(page[page.length - 1][0]) : null
+    }
+  }
+}
+
+module.exports = TxHistory
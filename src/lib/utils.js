@@ -0,0 +1,180 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const sodium = require('sodium-javascript')
+
+/**
+* @description random 16 byte id in hex. Used for drafts, invoices and schedules
+*/
+function randomId () {
+  const buf = Buffer.alloc(16)
+  sodium.randombytes_buf(buf)
+  return buf.toString('hex')
+}
+
+/**
+* @description SHA-256 of the concatenated buffers
+* @returns {Buffer} 32 byte hash
+*/
+function sha256 (...parts) {
+  const out = Buffer.alloc(sodium.crypto_hash_sha256_BYTES)
+  sodium.crypto_hash_sha256(out, Buffer.concat(parts))
+  return out
+}
+
+/**
+* @description Iterate the values a producer passes to a callback, like asset.getTransactions(opts, fn).
+* Values are queued in order. fn(value) resolves when the value is read, so a producer that awaits fn
+* reads only as fast as the values are used. Producers that do not await fn are buffered.
+* When the reader stops early, queued and later callbacks reject so the producer stops too.
+* @param {Function} run - async (fn) => {}. Calls fn(value) for each value
+* @returns {AsyncGenerator} values
+*/
+async function * iterateCallback (run) {
+  const queue = []
+  let done = false
+  let error = null
+  let stopped = false
+  let wake = null
+  const notify = () => {
+    if (wake) wake()
+    wake = null
+  }
+
+  run((value) => {
+    const read = new Promise((resolve, reject) => {
+      if (stopped) return reject(new Error('iteration stopped'))
+      queue.push({ value, resolve, reject })
+      notify()
+    })
+    // Producers that do not await fn must not see unhandled rejections
+    read.catch(() => {})
+    return read
+  }).then(() => {
+    done = true
+    notify()
+  }, (err) => {
+    error = err
+    done = true
+    notify()
+  })
+
+  try {
+    while (true) {
+      if (queue.length) {
+        const entry = queue.shift()
+        try {
+          yield entry.value
+        } finally {
+          entry.resolve()
+        }
+        continue
+      }
+      if (done) break
+      await new Promise((resolve) => { wake = resolve })
+    }
+    if (error) throw error
+  } finally {
+    stopped = true
+    for (const { reject } of queue.splice(0)) reject(new Error('iteration stopped'))
+  }
+}
+
+/**
+* @desc Run async functions one at a time, in the order they are added.
+* Used to keep store writes in order. A failed function rejects only its own call, later functions still run.
+*/
+class SerialQueue {
+  constructor () {
+    this._last = Promise.resolve()
+  }
+
+  /**
+  * @param {Function} fn - async function
+  * @returns {Promise} result of fn
+  */
+  push (fn) {
+    const res = this._last.then(fn)
+    this._last = res.catch(() => {})
+    return res
+  }
+
+  /**
+  * @description resolves when the functions added so far have run. Never rejects
+  */
+  idle () {
+    return this._last
+  }
+}
+
+/**
+* @desc Data of the store that is loaded once and kept in memory, by key. Concurrent loads share one read.
+* A failed load is not kept, the next get reads the store again. Writes run one at a time, in order.
+*/
+class StoreCache {
+  /**
+  * @param {Function} load - async (key) => data
+  */
+  constructor (load) {
+    this._load = load
+    this._values = new Map()
+    this._writes = new SerialQueue()
+  }
+
+  /**
+  * @param {String} key - optional
+  * @returns {Promise} loaded data
+  */
+  get (key = null) {
+    if (!this._values.has(key)) {
+      const value = this._load(key)
+      this._values.set(key, value)
+      value.catch(() => {
+        if (this._values.get(key) === value) this._values.delete(key)
+      })
+    }
+    return this._values.get(key)
+  }
+
+  /**
+  * @description drop the loaded data. The next get reads the store again
+  */
+  clear (key = null) {
+    this._values.delete(key)
+  }
+
+  /**
+  * @param {Function} fn - async write to the store
+  * @param {Object} opts
+  * @param {Boolean} opts.reload - when the write fails, drop the loaded data, so changes that were not saved are dropped
+  * @param {String} opts.key - key of the data to drop
+  */
+  async save (fn, opts = {}) {
+    try {
+      return await this._writes.push(fn)
+    } catch (err) {
+      if (opts.reload) this.clear(opts.key)
+      throw err
+    }
+  }
+}
+
+module.exports = {
+  randomId,
+  sha256,
+  iterateCallback,
+  SerialQueue,
+  StoreCache
+}
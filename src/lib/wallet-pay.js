@@ -14,8 +14,17 @@
 // limitations under the License.
 //
 const { EventEmitter } = require('events')
+const Currency = require('./currency.js')
+const { WalletPayError, ERROR_CODES } = require('./errors.js')
+const { Logger } = require('./logger.js')
+const { randomId } = require('./utils.js')
+const HdWallet = require('../modules/hdwallet.js')
 
-class WalletPayError extends Error {}
+// Methods that sign with the wallet keys or spend funds. They run through signing hooks.
+const SIGNING_METHODS = ['sendTransaction', 'prepareTransaction', 'confirmTransaction', 'sendBatch']
+
+// Default time a transaction draft can be confirmed
+const DRAFT_TTL = 5 * 60 * 1000
 
 function createBalance (Currency) {
   return class Balance {
@@ -33,34 +42,166 @@ class WalletPay extends EventEmitter {
   constructor (config) {
     super()
 
-    if (!config.asset_name) throw new WalletPayError('Asset name is required')
-    if (!config.network) throw new WalletPayError('network is required')
+    if (!config.asset_name) throw new WalletPayError('Asset name is required', ERROR_CODES.BAD_ARGS)
+    if (!config.network) throw new WalletPayError('network is required', ERROR_CODES.BAD_ARGS)
     this.assetName = config.asset_name
     this.provider = config.provider
     this.keyManager = config.key_manager || null
     this.store = config.store || null
     this.network = config.network
+    // EIP-155 chain id of the network. Optional, used to check payment uris
+    this.chainId = config.chain_id ?? null
     this.seed = config.seed || null
+    this.watchOnly = false
+    this._syncPaused = false
+    this._ownLogger = !!config.logger
+    this._ownClock = !!config.clock
+    this.clock = config.clock || Date
+    this.logger = (config.logger || Logger.silent()).child({ asset: this.assetName })
     this.ready = false
     this._tokens = new Map()
+    this._signingHooks = []
+    this._drafts = new Map()
+    this._draftTtl = config.draft_ttl || DRAFT_TTL
     if (config.token) {
       this.loadToken(config.token)
     }
+    this._wrapSigningMethods()
+    this._wrapSync()
+  }
+
+  // Syncs started while sync is paused reject without syncing
+  _wrapSync () {
+    const fn = this.syncTransactions
+    this.syncTransactions = async (...args) => {
+      if (this._syncPaused) throw new WalletPayError('Sync is paused', ERROR_CODES.INVALID_STATE)
+      return fn.apply(this, args)
+    }
+  }
+
+  _wrapSigningMethods () {
+    for (const method of SIGNING_METHODS) {
+      const fn = this[method]
+      this[method] = async (...args) => {
+        const ctx = { method, asset: this, args }
+        const hooks = this._signingHooks.slice()
+        const ran = []
+        let res
+        try {
+          for (const hook of hooks) {
+            if (hook.before) await hook.before(ctx)
+            ran.push(hook)
+          }
+          res = await fn.apply(this, ctx.args)
+        } catch (err) {
+          for (const hook of ran) {
+            if (hook.error) await hook.error(ctx, err)
+          }
+          throw err
+        }
+        for (const hook of hooks) {
+          if (hook.after) await hook.after(ctx, res)
+        }
+        return res
+      }
+    }
+  }
+
+  /**
+  * @description Add a hook that runs around every signing method, like sendTransaction.
+  * Throwing in before() rejects the call. before() may modify ctx.args
+  * error() is called for hooks that passed before(), when the call fails.
+  * @param {Object} hook - { before(ctx), after(ctx, result), error(ctx, err) }. ctx: { method, asset, args }
+  * @returns {Function} remove the hook
+  */
+  addSigningHook (hook) {
+    this._signingHooks.push(hook)
+    return () => {
+      this._signingHooks = this._signingHooks.filter((h) => h !== hook)
+    }
   }
 
   async initialize (ctx = {}) {
     if (!ctx.wallet) return
     const wallet = ctx.wallet
-    if (!this.store && !wallet.store) throw new Error('store is missing')
-    if (!this.seed && !wallet.seed) throw new Error('seed is missing')
+    if (!this.store && !wallet.store) throw new WalletPayError('store is missing', ERROR_CODES.BAD_ARGS)
+    const watchKey = wallet.isWatchOnly ? wallet.getWatchKey(this.assetName) : null
+    if (wallet.isWatchOnly && !watchKey) throw new WalletPayError(`watch key is missing for asset: ${this.assetName}`, ERROR_CODES.BAD_ARGS)
+    if (!watchKey && !this.seed && !wallet.seed && !wallet.isLocked) throw new WalletPayError('seed is missing', ERROR_CODES.BAD_ARGS)
     // Use wallet's store for asset
     if (!this.store) this.store = wallet.store
-    // Use wallet's seed for asset
-    this.keyManager.setSeed(wallet.seed)
+    // Use wallet's logger for asset
+    if (!this._ownLogger && wallet.logger) this.logger = wallet.logger.child({ asset: this.assetName })
+    // Use wallet's clock for draft expiry
+    if (!this._ownClock && wallet.clock) this.clock = wallet.clock
+    if (watchKey) {
+      await this.loadWatchKey(watchKey)
+      this.watchOnly = true
+    } else if (!wallet.isLocked) {
+      // Use wallet's seed for asset. Assets added while the wallet is locked get the seed on unlock
+      this.keyManager.setSeed(wallet.seed)
+    }
+    // Report progress of address scans
+    if (this._hdWallet && !this._forwardProgress) {
+      this._forwardProgress = (progress) => this.emit('sync-progress', progress)
+      this._hdWallet.on('sync-progress', this._forwardProgress)
+    }
     // Add asset to wallet. Register itself
     await wallet.addAsset(this.assetName, this)
   }
 
+  /**
+  * @description Optional. Set up the asset to derive and watch addresses without a seed.
+  * Called by initialize instead of keyManager.setSeed in a watch-only wallet.
+  * The default passes an xpub to this._hdWallet and to keyManager.setWatchKey(parsedKey),
+  * and adds an address list to this._hdWallet.
+  * @param {Object} key - { xpub } account extended public key, or { addresses } list of addresses to watch
+  */
+  async loadWatchKey (key) {
+    if (!this.canWatch(key)) {
+      throw new WalletPayError(`asset ${this.assetName} does not support watch-only wallets`, ERROR_CODES.NOT_IMPLEMENTED)
+    }
+    if (!key.xpub) return this._hdWallet.importAddresses(key.addresses)
+
+    // Regtest and testnet use the testnet key versions
+    const network = this.network === 'mainnet' ? 'mainnet' : 'testnet'
+    const { prefix } = HdWallet.parseExtendedKey(key.xpub)
+    if (HdWallet.EXTENDED_KEYS[prefix].network !== network) {
+      throw new WalletPayError(`${prefix} key can not be used on ${this.network}`, ERROR_CODES.BAD_ARGS)
+    }
+    this._hdWallet.setWatchKey(key.xpub)
+    await this.keyManager.setWatchKey(this._hdWallet.watchKey)
+  }
+
+  /**
+  * @description true when loadWatchKey supports the watch key.
+  * Address lists need this._hdWallet. An xpub also needs a key manager with setWatchKey.
+  * @param {Object} key - { xpub } or { addresses }
+  */
+  canWatch (key) {
+    if (!this._hdWallet) return false
+    if (key?.xpub) return typeof this.keyManager?.setWatchKey === 'function'
+    return Array.isArray(key?.addresses)
+  }
+
+  /**
+  * @description Remove the seed from the key manager. Called when the wallet is locked.
+  * Key managers implement clearSeed() to drop the seed and keys derived from it, or accept setSeed(null).
+  */
+  async lockKeys () {
+    if (this.watchOnly || !this.keyManager) return
+    if (typeof this.keyManager.clearSeed === 'function') return this.keyManager.clearSeed()
+    this.keyManager.setSeed(null)
+  }
+
+  /**
+  * @description Give the seed back to the key manager. Called when the wallet is unlocked.
+  */
+  async unlockKeys (seed) {
+    if (this.watchOnly || !this.keyManager) return
+    this.keyManager.setSeed(seed)
+  }
+
   async updateProvider (config) {
     this.provider = new this.provider.constructor(config)
     await this.provider.connect()
@@ -73,45 +214,216 @@ class WalletPay extends EventEmitter {
   }
 
   async getNewAddress () {
-    throw new WalletPayError('Method not implemented')
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
   }
 
   async syncTransactions () {
-    throw new WalletPayError('Method not implemented')
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
   }
 
+  /**
+  * @description Stop a running syncTransactions and keep syncs stopped until resumeSync.
+  * The base class only sets isSyncPaused. New syncTransactions calls reject with INVALID_STATE while it is set,
+  * but a running sync only stops if it checks isSyncPaused between steps, like between addresses or blocks,
+  * and returns early. Callers wait for the running sync, so assets must check it.
+  * Assets may override this to stop the sync faster.
+  * Sync progress is kept, so the next sync continues where this one stopped.
+  */
   async pauseSync () {
-    throw new WalletPayError('Method not implemented')
+    this._syncPaused = true
+  }
+
+  async resumeSync () {
+    this._syncPaused = false
+  }
+
+  get isSyncPaused () {
+    return this._syncPaused
   }
 
   async getTransactions () {
-    throw new WalletPayError('Method not implemented')
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
   }
 
   async getBalance () {
-    throw new WalletPayError('Method not implemented')
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
   }
 
   async sendTransaction () {
-    throw new WalletPayError('Method not implemented')
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
+  }
+
+  /**
+  * @description Optional. true when sendBatch is implemented for the asset or token.
+  * @param {Object} opts - { token }
+  */
+  canBatch (opts = {}) {
+    return false
+  }
+
+  /**
+  * @description Optional. Pay many recipients in one transaction, like a bitcoin transaction with many outputs.
+  * The batch must be all or nothing. Implement canBatch too. For assets that can not batch,
+  * Wallet.sendBatch sends payments one by one.
+  * @param {Object} opts - same as sendTransaction
+  * @param {Array} outgoing - list of sendTransaction outgoing. [{ address, amount, unit }]
+  * @returns {Object} { txid }
+  */
+  async sendBatch () {
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
+  }
+
+  /**
+  * @description true when the asset implements prepareTransaction and confirmTransaction.
+  * Otherwise use sendTransaction.
+  */
+  canPrepare () {
+    return this._buildTransaction !== WalletPay.prototype._buildTransaction
+  }
+
+  /**
+  * @description Build a transaction without broadcasting it, so it can be reviewed before sending.
+  * @param {Object} opts - same as sendTransaction
+  * @param {Object} outgoing - same as sendTransaction. { address, amount, unit }
+  * @returns {Object} immutable draft:
+  * { id, asset, token, recipient, amount, fee, total, change, created_at, expires_at }
+  * amount, fee, total and change are Currency. total is amount + fee when they are the same currency.
+  */
+  async prepareTransaction (opts = {}, outgoing) {
+    const built = await this._buildTransaction(opts, outgoing)
+    const Curr = this.getCurrency(opts.token)
+    const amount = outgoing.amount instanceof Currency ? outgoing.amount : new Curr(outgoing.amount, outgoing.unit || 'main')
+    const fee = built.fee || null
+    const total = fee instanceof amount.constructor ? amount.add(fee) : amount
+    const id = randomId()
+    const now = this.clock.now()
+
+    const draft = Object.freeze({
+      id,
+      asset: this.assetName,
+      token: opts.token || null,
+      recipient: outgoing.address,
+      amount: Object.freeze(amount),
+      fee: fee && Object.freeze(fee),
+      total: Object.freeze(total),
+      change: built.change ? Object.freeze(built.change) : null,
+      created_at: now,
+      expires_at: now + this._draftTtl,
+      opts: Object.freeze({ ...opts }),
+      outgoing: Object.freeze({ ...outgoing })
+    })
+    this._drafts.set(id, { draft, tx: built.tx })
+    return draft
+  }
+
+  /**
+  * @description Sign and broadcast a prepared transaction. A draft can only be confirmed once.
+  * If the broadcast fails, the draft can be confirmed again until it expires.
+  * @param {String} draftId - id of the draft returned from prepareTransaction
+  */
+  async confirmTransaction (draftId) {
+    const entry = this._drafts.get(draftId)
+    if (!entry) throw new WalletPayError(`transaction draft not found: ${draftId}`, ERROR_CODES.DRAFT_NOT_FOUND)
+    if (this.clock.now() > entry.draft.expires_at) {
+      this._drafts.delete(draftId)
+      throw new WalletPayError(`transaction draft expired: ${draftId}`, ERROR_CODES.DRAFT_EXPIRED)
+    }
+    // Hold the draft while it is broadcast, so it is not confirmed twice
+    if (entry.confirming) throw new WalletPayError(`transaction draft is already being confirmed: ${draftId}`, ERROR_CODES.DRAFT_CONFIRMING)
+    entry.confirming = true
+    let res
+    try {
+      res = await this._broadcastTransaction(entry.draft, entry.tx)
+    } catch (err) {
+      entry.confirming = false
+      throw err
+    }
+    this._drafts.delete(draftId)
+    return res
+  }
+
+  /**
+  * @description Drop a prepared transaction
+  * @returns {Boolean} true if the draft existed
+  */
+  discardTransaction (draftId) {
+    return this._drafts.delete(draftId)
+  }
+
+  getDraft (draftId) {
+    return this._drafts.get(draftId)?.draft || null
+  }
+
+  /**
+  * @description Asset specific part of prepareTransaction. Build the transaction.
+  * @returns {Object} { fee: Currency, change: Currency, tx: built transaction passed to _broadcastTransaction }
+  */
+  async _buildTransaction () {
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
+  }
+
+  /**
+  * @description Asset specific part of confirmTransaction. Sign and broadcast a built transaction.
+  * @param {Object} draft - draft returned from prepareTransaction
+  * @param {Object} tx - tx returned from _buildTransaction
+  */
+  async _broadcastTransaction () {
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
+  }
+
+  /**
+  * @description Add the next HD account. Generate its addresses with getNewAddress({ account })
+  * @param {Object} opts - optional. { purpose } Default: preferred purpose
+  * @returns {Object} { purpose, account }
+  */
+  async createAccount (opts) {
+    if (!this._hdWallet) throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
+    return this._hdWallet.createAccount(opts)
+  }
+
+  /**
+  * @description Optional. BIP44 account discovery, used when a wallet is restored from a seed.
+  * Implement with this._hdWallet.discoverAccounts, checking each path for transactions.
+  * @param {Object} opts - { signal }
+  * @returns {Array} accounts with transactions. [{ purpose, account }]
+  */
+  async discoverAccounts () {
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
+  }
+
+  /**
+  * @description Balance of the addresses of an HD account
+  * @param {Object} opts - { account, purpose, token }
+  */
+  async getAccountBalance (opts = {}) {
+    if (!this._hdWallet) throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
+    const addresses = await this._hdWallet.getAccountAddresses(opts.account, opts.purpose)
+    const Curr = this.getCurrency(opts.token)
+    const Balance = opts.token ? WalletPay.createBalance(Curr) : this._Balance
+    let total = new Balance()
+    for (const addr of addresses) {
+      const bal = await this.getBalance({ token: opts.token }, addr.address)
+      total = new Balance(total.confirmed.add(bal.confirmed), total.pending.add(bal.pending), total.mempool.add(bal.mempool))
+    }
+    return total
   }
 
   async isValidAddress () {
-    throw new WalletPayError('Method not implemented')
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
   }
 
   parsePath () {
-    throw new WalletPayError('Method not implemented')
+    throw new WalletPayError('Method not implemented', ERROR_CODES.NOT_IMPLEMENTED)
   }
 
   addToken (token) {
-    if (!this._tokens.has(token.name)) throw new Error('Token already exists ' + token.name)
+    if (this._tokens.has(token.name)) throw new WalletPayError('Token already exists ' + token.name, ERROR_CODES.TOKEN_EXISTS)
     this._tokens.set(token.name, token)
   }
 
   loadToken (tokens) {
     tokens.forEach((t) => {
-      if (!t.name) throw new Error('token class missing name')
+      if (!t.name) throw new WalletPayError('token class missing name', ERROR_CODES.BAD_ARGS)
       this._tokens.set(t.name, t)
     })
   }
@@ -127,13 +439,13 @@ class WalletPay extends EventEmitter {
     let tokens
     if (!tokenName) tokens = Array.from(this._tokens.keys())
     else if (typeof tokenName === 'string') tokens = [tokenName]
-    else throw new Error(`invalid token name passed: ${tokenName}`)
+    else throw new WalletPayError(`invalid token name passed: ${tokenName}`, ERROR_CODES.BAD_ARGS)
 
     const res = await Promise.all(tokens.map((tName) => {
       const token = this._tokens.get(tName)
-      if (!token) throw new Error(`token with name: ${tName} does not exist in _tokens`)
+      if (!token) throw new WalletPayError(`token with name: ${tName} does not exist in _tokens`, ERROR_CODES.TOKEN_NOT_FOUND)
       const fn = token[method]
-      if (typeof fn !== 'function') throw new Error(`Method ${method} does not exist in token ${tName}`)
+      if (typeof fn !== 'function') throw new WalletPayError(`Method ${method} does not exist in token ${tName}`, ERROR_CODES.NOT_IMPLEMENTED)
       return fn.apply(token, argArr)
     }))
 
@@ -158,6 +470,17 @@ class WalletPay extends EventEmitter {
   getTokens () {
     return this._tokens
   }
+
+  /**
+  * @description currency class of the asset or one of its tokens
+  * @param {String} tokenName - optional token name
+  */
+  getCurrency (tokenName) {
+    if (!tokenName) return this._Curr
+    const token = this._tokens.get(tokenName)
+    if (!token) throw new WalletPayError(`token with name: ${tokenName} does not exist in _tokens`, ERROR_CODES.TOKEN_NOT_FOUND)
+    return token.currency || token._Curr
+  }
 }
 
 module.exports = WalletPay
@@ -16,37 +16,383 @@
 
 const { EventEmitter } = require('events')
 const AssetList = require('./asset-list.js')
-const WalletError = Error
+const Currency = require('./currency.js')
+const TxHistory = require('./tx-history.js')
+const Backup = require('./backup.js')
+const Keystore = require('./keystore.js')
+const { Logger } = require('./logger.js')
+const SpendingPolicy = require('./spending-policy.js')
+const AddressBook = require('./address-book.js')
+const PaymentUri = require('./payment-uri.js')
+const Invoices = require('./invoices.js')
+const HistoryExport = require('./history-export.js')
+const Labels = require('./labels.js')
+const Scheduler = require('./scheduler.js')
+const SyncManager = require('./sync-manager.js')
+const TetherCurrency = require('../tether-currency.js')
+const HdWallet = require('../modules/hdwallet.js')
+const { WalletError, ERROR_CODES } = require('./errors.js')
+const { iterateCallback } = require('./utils.js')
 
+const STATES = Object.freeze({
+  CREATED: 'created',
+  INITIALIZING: 'initializing',
+  // All assets are initialized
+  READY: 'ready',
+  // Wallet is usable, but one or more assets failed to initialize
+  DEGRADED: 'degraded',
+  DESTROYING: 'destroying',
+  DESTROYED: 'destroyed'
+})
+
+const ASSET_STATES = Object.freeze({
+  INITIALIZING: 'initializing',
+  READY: 'ready',
+  FAILED: 'failed'
+})
+
+const BATCH_STATUS = Object.freeze({
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  INVALID: 'invalid',
+  SKIPPED: 'skipped'
+})
+
+// Default currency of fiat values
+const FIAT_CURRENCY = 'USD'
+// Rates older than this are stale
+const RATE_MAX_AGE = 10 * 60 * 1000
+
+/**
+* @desc Wallet facade. Manages the lifecycle of all assets.
+* @event state-change (state, prevState)
+* @event asset-error (assetName, err) - asset failed to initialize
+* @event ready - initialization is complete. Check wallet.state for degraded assets
+* @event asset-removed (assetName)
+* @event lock
+* @event unlock
+* @event invoice-paid (invoice)
+* @event scheduled-payment ({ id, status, txid, error, schedule })
+* @event sync-error (assetName, err, retryIn) - background sync failed
+* @event sync-progress (assetName, progress) - progress of an asset sync.
+* progress: { asset, token, addr_type, path, gap, gap_end, scanned, tx_found, eta }
+*/
 class Wallet extends EventEmitter {
+  static STATES = STATES
+  static ASSET_STATES = ASSET_STATES
+
+  /**
+  * @param {Object} config
+  * @param {Object} config.store - wallet store
+  * @param {Object} config.seed - wallet seed. Not used with config.watch
+  * @param {Object} config.watch - watch-only keys by asset name, instead of a seed. Signing calls reject with WATCH_ONLY
+  * An xpub needs an asset that supports it, see WalletPay.canWatch
+  * example: { btc: { xpub: 'zpub...' }, eth: { addresses: ['0x...'] } }
+  * @param {Array} config.assets - list of WalletPay instances
+  * @param {Boolean} config.strict - reject initialize and destroy the wallet if any asset fails. Default false
+  * @param {Number} config.auto_lock - lock the wallet after this many ms without signing. Requires a passphrase
+  * @param {Object} config.seed_class - seed class with generate(mnemonic), used to unlock. Default wallet-seed-bip39
+  * @param {Logger} config.logger - optional logger. Assets without a logger use a child of this logger
+  * @param {Object} config.policy - optional spending policy rules. See SpendingPolicy
+  * @param {Object} config.clock - optional clock with now(). Default Date
+  * @param {PriceOracle} config.price_oracle - optional source of exchange rates for fiat values
+  * @param {String} config.fiat_currency - default currency of fiat values. Default USD
+  * @param {Number} config.rate_max_age - rates older than this many ms are rejected. Default 10 minutes
+  * @param {Number} config.invoice_grace_period - ms expired invoices are still checked for payments. Default 24 hours
+  * @param {Number} config.schedule_interval - ms between checks for scheduled payments. Default 1 minute. 0 disables the checks
+  * @param {Number} config.sync_interval - ms between background syncs of each asset. See SyncManager interval
+  * @param {Object} config.sync_intervals - optional sync interval by asset name. See SyncManager intervals
+  * @param {Number} config.sync_backoff - ms before retrying a failed sync. See SyncManager backoff
+  * @param {Number} config.sync_max_backoff - longest time between retries. See SyncManager max_backoff
+  */
   constructor (config) {
     super()
-    if (!config.store) throw new WalletError('Store not provided', 'BAD_ARGS')
-    if (!config.seed) throw new WalletError('Seed not provided', 'BAD_ARGS')
-    if (!Array.isArray(config.assets)) throw new WalletError('Assets must be an array', 'BAD_ARGS')
-    this.seed = config.seed
+    if (!config.store) throw new WalletError('Store not provided', ERROR_CODES.BAD_ARGS)
+    if (config.watch && config.seed) throw new WalletError('Watch-only wallet can not have a seed', ERROR_CODES.BAD_ARGS)
+    if (config.watch) Wallet._validateWatch(config.watch)
+    if (!config.seed && !config.watch) throw new WalletError('Seed not provided', ERROR_CODES.BAD_ARGS)
+    if (!Array.isArray(config.assets)) throw new WalletError('Assets must be an array', ERROR_CODES.BAD_ARGS)
+    this.seed = config.seed || null
+    this._watch = config.watch || null
     this.store = config.store
+    this.pay = new AssetList()
+    this.logger = config.logger || Logger.silent()
     this._assets = config.assets
+    this._strict = config.strict || false
+    this._state = STATES.CREATED
+    this._assetStatus = new Map()
+    this._assetListeners = new Map()
+    // New assets of replaceAsset. They are added to the asset list once they are initialized
+    this._replacing = new Map()
+    // Token being synced by each asset
+    this._syncingToken = new Map()
+    // Running syncHistory calls. Aborted on destroy
+    this._syncs = new Set()
+    this._keystore = new Keystore({ store: this.store })
+    this._autoLock = config.auto_lock || 0
+    this._autoLockTimer = null
+    this._hasPassphrase = false
+    // Number of running signing calls made by the wallet itself
+    this._unattendedCalls = 0
+    this._locked = false
+    this._Seed = config.seed_class || null
+    this.clock = config.clock || Date
+    this.policy = config.policy
+      ? new SpendingPolicy({ store: this.store, rules: config.policy, clock: this.clock })
+      : null
+    this.addressBook = new AddressBook({ store: this.store, assets: this.pay })
+    this.labels = new Labels({ store: this.store })
+    // Transactions collected for the first page of getTransactions, reused for the next pages
+    this._history = null
+    this._historyVersion = 0
+    for (const evName of ['new-tx', 'asset-synced', 'asset-removed']) this.on(evName, () => this._clearHistory())
+    this.scheduler = new Scheduler({ wallet: this, clock: this.clock, interval: config.schedule_interval })
+    this.scheduler.on('scheduled-payment', (res) => this.emit('scheduled-payment', res))
+    this.syncManager = new SyncManager({
+      wallet: this,
+      clock: this.clock,
+      interval: config.sync_interval,
+      intervals: config.sync_intervals,
+      backoff: config.sync_backoff,
+      max_backoff: config.sync_max_backoff
+    })
+    this.syncManager.on('sync-error', (...args) => this.emit('sync-error', ...args))
+    this.priceOracle = config.price_oracle || null
+    this._fiatCurrency = config.fiat_currency || FIAT_CURRENCY
+    this._rateMaxAge = config.rate_max_age ?? RATE_MAX_AGE
+    this.invoices = new Invoices({ wallet: this, clock: this.clock, grace_period: config.invoice_grace_period })
+    this.invoices.on('invoice-paid', (invoice) => this.emit('invoice-paid', invoice))
+  }
+
+  get state () {
+    return this._state
+  }
+
+  /**
+  * @description status of each asset. { btc: { state: 'ready', error: null } }
+  */
+  get assetStatus () {
+    return Object.fromEntries(this._assetStatus)
+  }
+
+  _setState (state) {
+    const prev = this._state
+    if (prev === state) return
+    this._state = state
+    this.logger.debug('wallet state changed', { state, prev })
+    this.emit('state-change', state, prev)
+  }
+
+  _setAssetStatus (name, state, error = null) {
+    this._assetStatus.set(name, { state, error })
+  }
+
+  // Ready or degraded, depending on the status of assets.
+  _refreshState () {
+    if (this._state !== STATES.READY && this._state !== STATES.DEGRADED) return
+    const failed = Array.from(this._assetStatus.values()).some((s) => s.state === ASSET_STATES.FAILED)
+    this._setState(failed ? STATES.DEGRADED : STATES.READY)
+  }
+
+  _assertActive () {
+    if (this._state === STATES.DESTROYING || this._state === STATES.DESTROYED) {
+      throw new WalletError('Wallet has been destroyed', ERROR_CODES.WALLET_DESTROYED)
+    }
+  }
+
+  _assertUnlocked () {
+    this._assertActive()
+    if (this._locked) throw new WalletError('Wallet is locked', ERROR_CODES.LOCKED)
+  }
+
+  // Signing and seed methods need a seed
+  _assertCanSign () {
+    this._assertActive()
+    if (this._watch) throw new WalletError('Wallet is watch-only', ERROR_CODES.WATCH_ONLY)
+    this._assertUnlocked()
+  }
+
+  static _validateWatch (watch) {
+    if (typeof watch !== 'object') throw new WalletError('watch must be an object of keys by asset name', ERROR_CODES.BAD_ARGS)
+    for (const [name, key] of Object.entries(watch)) {
+      const valid = typeof key?.xpub === 'string' || (Array.isArray(key?.addresses) && key.addresses.length)
+      if (!valid) throw new WalletError(`watch key for ${name} must have an xpub or a list of addresses`, ERROR_CODES.BAD_ARGS)
+      if (!key.xpub) continue
+      try {
+        HdWallet.parseExtendedKey(key.xpub)
+      } catch (err) {
+        throw new WalletError(`invalid watch key for ${name}: ${err.message}`, err.code, { cause: err })
+      }
+    }
+  }
+
+  get isWatchOnly () {
+    return !!this._watch
+  }
+
+  /**
+  * @returns {Object|null} watch key of an asset. { xpub } or { addresses }
+  */
+  getWatchKey (assetName) {
+    return this._watch?.[assetName] || null
   }
 
   async initialize () {
-    this.pay = new AssetList()
-    await Promise.all(this._assets.map((asset) => {
+    this._assertActive()
+    if (this._state !== STATES.CREATED) throw new WalletError('Wallet is already initialized', ERROR_CODES.INVALID_STATE)
+    this._setState(STATES.INITIALIZING)
+    const errors = await Promise.all(this._assets.map((asset) => {
       return this._initAsset(asset)
     }))
     this._assets = null
+
+    const failed = errors.filter(Boolean)
+    if (failed.length && this._strict) {
+      const names = Object.entries(this.assetStatus)
+        .filter(([, status]) => status.state === ASSET_STATES.FAILED)
+        .map(([name]) => name)
+      // Assets that did initialize are destroyed with the wallet, so nothing keeps running
+      await this.destroy()
+      throw new WalletError(`Failed to initialize assets: ${names.join(', ')}`, ERROR_CODES.ASSET_INIT_FAILED, { cause: failed[0] })
+    }
+    this._hasPassphrase = await this._keystore.exists()
+    this._resetAutoLock()
+    this.scheduler.start()
+    this.syncManager.start()
+    this._setState(failed.length ? STATES.DEGRADED : STATES.READY)
     this.emit('ready')
   }
 
+  /**
+  * @description initialize an asset. Errors are reported with asset-error event and returned.
+  */
   async _initAsset (asset) {
+    const name = asset.assetName
+    this._setAssetStatus(name, ASSET_STATES.INITIALIZING)
     try {
       await asset.initialize({ wallet: this })
     } catch (err) {
-      console.log(err)
+      this._setAssetStatus(name, ASSET_STATES.FAILED, err)
+      this.logger.error('asset failed to initialize', { asset: name, err })
+      this.emit('asset-error', name, err)
+      return err
+    }
+    this._setAssetStatus(name, ASSET_STATES.READY)
+
+    asset.addSigningHook({
+      before: () => {
+        this._assertCanSign()
+        if (!this._unattendedCalls) this._resetAutoLock()
+      }
+    })
+    asset.addSigningHook(this._contactHook())
+    if (this.policy) asset.addSigningHook(this._policyHook())
+
+    const listeners = [
+      ['new-tx', this._handleAssetEvent(asset.assetName, 'new-tx')],
+      ['new-block', this._handleAssetEvent(asset.assetName, 'new-block')],
+      ['sync-progress', (progress) => {
+        const token = progress.token ?? this._syncingToken.get(name) ?? null
+        this.emit('sync-progress', name, { ...progress, asset: name, token })
+      }]
+    ]
+    listeners.forEach(([evName, fn]) => asset.on(evName, fn))
+    this._assetListeners.set(name, listeners)
+    return null
+  }
+
+  /**
+  * @description payments made by a signing call
+  * @returns {Array} [{ asset, token, address, amount: Currency }]
+  */
+  _signingPayments (ctx) {
+    const { asset, method, args } = ctx
+    if (method === 'sendTransaction' || method === 'prepareTransaction') {
+      const [opts = {}, outgoing] = args
+      return [this._toPayment(asset, opts.token, outgoing)]
+    }
+    if (method === 'confirmTransaction') {
+      const draft = asset.getDraft(args[0])
+      if (!draft) return []
+      return [this._toPayment(asset, draft.token, draft.outgoing)]
+    }
+    if (method === 'sendBatch') {
+      const [opts = {}, outgoing = []] = args
+      return outgoing.map((out) => this._toPayment(asset, opts.token, out))
+    }
+    return []
+  }
+
+  _toPayment (asset, token, outgoing) {
+    const Curr = asset.getCurrency(token)
+    const amount = outgoing.amount instanceof Currency
+      ? outgoing.amount
+      : new Curr(outgoing.amount, outgoing.unit || 'main')
+    return {
+      asset: asset.assetName,
+      token: token || null,
+      address: outgoing.address,
+      amount
+    }
+  }
+
+  // Payments to { contact: 'alice' } are sent to the contact's address for the asset or token
+  _contactHook () {
+    return {
+      before: async (ctx) => {
+        const [opts = {}, outgoing] = ctx.args
+        const resolve = async (out) => {
+          if (!out?.contact) return out
+          const address = await this.addressBook.resolve(out.contact, ctx.asset.assetName, opts.token)
+          return { ...out, address }
+        }
+        if (ctx.method === 'sendTransaction' || ctx.method === 'prepareTransaction') {
+          ctx.args = [opts, await resolve(outgoing), ...ctx.args.slice(2)]
+        } else if (ctx.method === 'sendBatch' && Array.isArray(outgoing)) {
+          const resolved = []
+          for (const out of outgoing) resolved.push(await resolve(out))
+          ctx.args = [opts, resolved, ...ctx.args.slice(2)]
+        }
+      }
     }
+  }
 
-    asset.on('new-tx', this._handleAssetEvent(asset.assetName, 'new-tx'))
-    asset.on('new-block', this._handleAssetEvent(asset.assetName, 'new-block'))
+  _policyHook () {
+    const release = (ctx) => ctx.reservations.forEach((r) => this.policy.release(r))
+    return {
+      before: async (ctx) => {
+        ctx.reservations = []
+        try {
+          for (const payment of this._signingPayments(ctx)) {
+            ctx.reservations.push(await this.policy.reserve(payment))
+          }
+        } catch (err) {
+          release(ctx)
+          throw err
+        }
+        // Drafts are checked early, but only count once they are confirmed
+        if (ctx.method === 'prepareTransaction') release(ctx)
+      },
+      // The payment is already sent. A failed commit is logged, so the caller does not retry the payment
+      after: async (ctx) => {
+        if (ctx.method === 'prepareTransaction') return
+        for (const reservation of ctx.reservations) {
+          try {
+            await this.policy.commit(reservation)
+          } catch (err) {
+            this.logger.error('failed to save spent amount', { asset: ctx.asset.assetName, key: reservation.key, err })
+          }
+        }
+      },
+      error: release
+    }
+  }
+
+  _detachAsset (name, asset) {
+    const listeners = this._assetListeners.get(name) || []
+    listeners.forEach(([evName, fn]) => asset.off(evName, fn))
+    this._assetListeners.delete(name)
   }
 
   _handleAssetEvent (assetName, evName) {
@@ -56,46 +402,893 @@ class Wallet extends EventEmitter {
   }
 
   async destroy () {
+    if (this._state === STATES.DESTROYING || this._state === STATES.DESTROYED) return
+    this._setState(STATES.DESTROYING)
+    this._clearAutoLock()
+    // Stop running syncs before the assets and the store are closed
+    const syncs = Array.from(this._syncs)
+    syncs.forEach((sync) => sync.controller.abort())
+    await Promise.all(syncs.map((sync) => sync.done))
+    await this.scheduler.stop()
+    await this.syncManager.stop()
     await this.pay.forEach(asset => asset.destroy())
     this.seed = null
     await this.store.close()
     this.store = null
     this.pay = null
+    this._setState(STATES.DESTROYED)
   }
 
   async addAsset (k, assetObj) {
+    this._assertActive()
     if (typeof k !== 'string') {
-      return this._initAsset(k)
+      const err = await this._initAsset(k)
+      this._refreshState()
+      if (err) throw err
+      this.syncManager.add(k.assetName)
+      this._clearHistory()
+      return
     }
+    if (this._replacing.get(k) === assetObj) return
     this.pay.set(k, assetObj)
   }
 
+  /**
+  * @description Remove an asset from the wallet and destroy it.
+  * Assets that failed to initialize can also be removed.
+  * @param {String} name - asset name
+  */
+  async removeAsset (name) {
+    this._assertActive()
+    const asset = this.pay[name]
+    if (!asset && !this._assetStatus.has(name)) {
+      throw new WalletError(`asset does not exist: ${name}`, ERROR_CODES.ASSET_NOT_FOUND)
+    }
+    this._assetStatus.delete(name)
+    this.syncManager.remove(name)
+    if (asset) {
+      this._detachAsset(name, asset)
+      this.pay.delete(name)
+      await asset.destroy()
+    }
+    this._refreshState()
+    this.emit('asset-removed', name)
+  }
+
+  /**
+  * @description Replace an asset with a new instance. Used to switch network or provider of an asset.
+  * The new asset is initialized first. If it fails, the old asset is kept and the error is thrown.
+  * @param {String} name - asset name
+  * @param {WalletPay} asset - new asset instance, with the same asset name
+  */
+  async replaceAsset (name, asset) {
+    this._assertActive()
+    if (asset.assetName !== name) {
+      throw new WalletError(`asset name mismatch: ${name} - ${asset.assetName}`, ERROR_CODES.BAD_ARGS)
+    }
+    const old = this.pay[name]
+    // Nothing to keep when the asset failed to initialize
+    if (!old) {
+      await this.removeAsset(name)
+      return this.addAsset(asset)
+    }
+
+    const oldStatus = this._assetStatus.get(name)
+    const oldListeners = this._assetListeners.get(name)
+    this._replacing.set(name, asset)
+    let err
+    try {
+      err = await this._initAsset(asset)
+    } finally {
+      this._replacing.delete(name)
+    }
+    if (err) {
+      this._assetStatus.set(name, oldStatus)
+      await asset.destroy().catch((err) => this.logger.error('failed to destroy asset', { asset: name, err }))
+      throw err
+    }
+
+    oldListeners.forEach(([evName, fn]) => old.off(evName, fn))
+    this.pay.replace(name, asset)
+    this.syncManager.remove(name)
+    this.syncManager.add(name)
+    this._clearHistory()
+    this._refreshState()
+    try {
+      await old.destroy()
+    } catch (err) {
+      this.logger.error('failed to destroy asset', { asset: name, err })
+    }
+  }
+
+  static _abortError (signal) {
+    return new WalletError('Operation was aborted', ERROR_CODES.ABORTED, { cause: signal.reason })
+  }
+
+  // A sync paused while running returns early, it is not synced
+  static _assertSyncDone (asset) {
+    if (asset.isSyncPaused) throw new WalletError(`sync of ${asset.assetName} was paused`, ERROR_CODES.INVALID_STATE)
+  }
+
   async _sync (opts, asset) {
-    await asset.syncTransactions(opts)
-    this.emit('asset-synced', asset.assetName)
-    if (opts.all) {
-      const tokens = asset.getTokens()
-      for (const [token] of tokens) {
-        await asset.syncTransactions({ ...opts, token })
-        this.emit('asset-synced', asset.assetName, token)
+    const name = asset.assetName
+    const { signal } = opts
+    // Assets that do not read opts.signal are stopped with pauseSync
+    let pausing = null
+    const onAbort = () => {
+      if (asset.isSyncPaused) return
+      pausing = asset.pauseSync().catch((err) => this.logger.error('failed to pause sync', { asset: name, err }))
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+    try {
+      this._syncingToken.set(name, opts.token || null)
+      await asset.syncTransactions(opts)
+      if (signal.aborted) throw Wallet._abortError(signal)
+      Wallet._assertSyncDone(asset)
+      this.emit('asset-synced', name)
+      if (opts.all) {
+        const tokens = asset.getTokens()
+        for (const [token] of tokens) {
+          this._syncingToken.set(name, token)
+          await asset.syncTransactions({ ...opts, token })
+          if (signal.aborted) throw Wallet._abortError(signal)
+          Wallet._assertSyncDone(asset)
+          this.emit('asset-synced', name, token)
+        }
+      }
+    } finally {
+      signal.removeEventListener('abort', onAbort)
+      this._syncingToken.delete(name)
+      if (pausing) {
+        await pausing
+        await asset.resumeSync()
       }
     }
   }
 
+  /**
+  * @description Sync history of assets. Progress is kept, so an aborted sync continues where it stopped.
+  * @param {Object} opts - passed to asset.syncTransactions
+  * @param {String} opts.asset - optional. sync only this asset
+  * @param {Boolean} opts.all - sync tokens too
+  * @param {AbortSignal} opts.signal - optional. Stop the sync. syncHistory rejects with ABORTED
+  * Rejects with INVALID_STATE when the sync of an asset is paused, see WalletPay.pauseSync
+  */
   async syncHistory (opts = {}) {
-    if (opts.asset) {
-      const asset = this.pay[opts.asset]
-      if (!asset) throw new Error('asset does not exist')
-      return this._sync(opts, asset)
+    this._assertActive()
+    if (opts.signal?.aborted) throw Wallet._abortError(opts.signal)
+    const assets = opts.asset ? [this._getAsset(opts.asset)] : Array.from(this.pay)
+    const controller = new AbortController()
+    const abort = () => controller.abort(opts.signal.reason)
+    opts.signal?.addEventListener('abort', abort, { once: true })
+    const syncOpts = { ...opts, signal: controller.signal }
+
+    const runs = assets.map((asset) => this._sync(syncOpts, asset))
+    const sync = { controller, done: Promise.allSettled(runs) }
+    this._syncs.add(sync)
+    try {
+      const res = await Promise.all(runs)
+      return opts.asset ? res[0] : res
+    } finally {
+      this._syncs.delete(sync)
+      opts.signal?.removeEventListener('abort', abort)
+    }
+  }
+
+  /**
+  * @description BIP44 account discovery. Use after restoring a wallet from a seed, before syncHistory.
+  * Assets that do not support discovery are skipped.
+  * @param {Object} opts
+  * @param {String} opts.asset - optional. Default all assets
+  * @param {AbortSignal} opts.signal - optional
+  * @returns {Object} accounts with transactions by asset name. { btc: [{ purpose: "84'", account: "0'" }], eth: null }
+  */
+  async discoverAccounts (opts = {}) {
+    this._assertActive()
+    const assets = opts.asset ? [this._getAsset(opts.asset)] : Array.from(this.pay)
+    const res = {}
+    for (const asset of assets) {
+      try {
+        res[asset.assetName] = await asset.discoverAccounts({ signal: opts.signal })
+      } catch (err) {
+        if (err.code !== ERROR_CODES.NOT_IMPLEMENTED) throw err
+        res[asset.assetName] = null
+      }
+    }
+    return res
+  }
+
+  /**
+  * @description Get the balance of every asset and token in the wallet.
+  * Errors are reported per entry instead of failing the whole call.
+  * @param {Object} opts
+  * @param {Object} opts.rates - optional price of each asset/token in the reference currency.
+  * keyed by asset name, "asset:token" or token name. example: { btc: 60000, 'eth:USDT': 1 }
+  * @param {String} opts.currency - name of the reference currency. example: USD
+  * When rates are not passed, they are fetched from the price oracle of the wallet.
+  * @returns {Object} { assets: { btc: { balance, error, tokens: { USDT: { balance, error } } } }, total }
+  */
+  async getPortfolio (opts = {}) {
+    this._assertActive()
+    const entries = await this.pay.each(async (asset) => {
+      const tokenNames = Array.from(asset.getTokens().keys())
+      const [entry, tokens] = await Promise.all([
+        this._portfolioEntry(asset, {}),
+        Promise.all(tokenNames.map((token) => this._portfolioEntry(asset, { token })))
+      ])
+      entry.tokens = {}
+      tokenNames.forEach((token, i) => {
+        entry.tokens[token] = tokens[i]
+      })
+      return [asset.assetName, entry]
+    })
+
+    const portfolio = {
+      assets: Object.fromEntries(entries),
+      total: null
+    }
+    if (!opts.rates && opts.currency && this.priceOracle) {
+      opts = { ...opts, rates: await this._oracleRates(portfolio.assets, opts.currency) }
+    }
+    if (opts.rates) portfolio.total = this._portfolioTotal(portfolio.assets, opts)
+    return portfolio
+  }
+
+  // Rates for the portfolio from the price oracle. Missing or stale rates are left out.
+  async _oracleRates (assets, quote) {
+    const rates = {}
+    const addRate = async (key, entry) => {
+      if (entry.error) return
+      const base = entry.balance.consolidated.name
+      try {
+        rates[key] = (await this._getRate(base, quote)).rate
+      } catch (err) {
+        this.logger.warn('failed to get rate', { base, quote, err })
+      }
+    }
+    await Promise.all(Object.entries(assets).map(async ([assetName, entry]) => {
+      await addRate(assetName, entry)
+      for (const [token, tokenEntry] of Object.entries(entry.tokens)) {
+        await addRate(`${assetName}:${token}`, tokenEntry)
+      }
+    }))
+    return rates
+  }
+
+  async _portfolioEntry (asset, opts) {
+    try {
+      return { balance: await asset.getBalance(opts), error: null }
+    } catch (err) {
+      return { balance: null, error: err }
+    }
+  }
+
+  _portfolioTotal (assets, opts) {
+    const { rates } = opts
+    const missing = []
+    let total = Currency.BN(0)
+
+    const addEntry = (name, entry, rate) => {
+      if (entry.error || rate === undefined || rate === null) return missing.push(name)
+      total = total.plus(Currency.BN(entry.balance.consolidated.toMainUnit()).times(rate))
+    }
+
+    for (const [assetName, entry] of Object.entries(assets)) {
+      addEntry(assetName, entry, rates[assetName])
+      for (const [token, tokenEntry] of Object.entries(entry.tokens)) {
+        const name = `${assetName}:${token}`
+        addEntry(name, tokenEntry, rates[name] ?? rates[token])
+      }
+    }
+
+    return {
+      currency: opts.currency || null,
+      amount: total.toString(),
+      missing
+    }
+  }
+
+  async _getRate (base, quote, maxAge = this._rateMaxAge) {
+    if (!this.priceOracle) throw new WalletError('price oracle is not set', ERROR_CODES.INVALID_STATE)
+    const res = await this.priceOracle.getRate(base, quote)
+    // A rate without a valid timestamp can not be checked, it is stale
+    if (!Number.isFinite(res?.timestamp) || this.clock.now() - res.timestamp > maxAge) {
+      throw new WalletError(`rate for ${base}/${quote} is stale`, ERROR_CODES.STALE_RATE)
+    }
+    return res
+  }
+
+  /**
+  * @description Value of an amount or a getBalance result in a fiat currency, using the price oracle.
+  * @param {Currency|Balance} value - amount, or balance returned from getBalance
+  * @param {Object} opts
+  * @param {String} opts.quote - currency to value in. default: fiat_currency of the wallet
+  * @param {Number} opts.max_age - max age of the rate in milliseconds. default: rate_max_age of the wallet
+  * @returns {Object} { base, quote, rate, timestamp, amount } for amounts
+  * { base, quote, rate, timestamp, confirmed, pending, mempool, consolidated } for balances
+  */
+  async getFiatValue (value, opts = {}) {
+    this._assertActive()
+    const isBalance = !(value instanceof Currency)
+    const base = (isBalance ? value.consolidated : value).name
+    const quote = opts.quote || this._fiatCurrency
+    const { rate, timestamp } = await this._getRate(base, quote, opts.max_age)
+    const res = { base, quote, rate, timestamp }
+    if (!isBalance) {
+      res.amount = value.toFiat(rate)
+      return res
+    }
+    for (const key of ['confirmed', 'pending', 'mempool', 'consolidated']) {
+      res[key] = value[key].toFiat(rate)
+    }
+    return res
+  }
+
+  /**
+  * @description Get transactions of multiple assets and tokens as one feed, newest first.
+  * @param {Object} opts
+  * @param {Array} opts.assets - asset names to include. Default all assets
+  * @param {Array} opts.tokens - token names to include. When passed, only transactions of these tokens are returned.
+  * @param {String} opts.direction - incoming, outgoing or internal
+  * @param {String} opts.tag - only transactions with this tag
+  * @param {Number|Date} opts.from - only transactions at or after this time
+  * @param {Number|Date} opts.to - only transactions at or before this time
+  * @param {Number} opts.limit - page size
+  * @param {String} opts.cursor - cursor returned from the previous page.
+  * Next pages reuse the transactions read for the first page, until a new transaction is seen or an asset is synced.
+  * @returns {Object} { transactions, cursor }
+  */
+  async getTransactions (opts = {}) {
+    this._assertActive()
+    const labels = await this.labels.getMap(Labels.TYPES.TX)
+    const records = []
+    for (const record of await this._historyRecords(opts)) {
+      const res = Wallet._withLabels(record, labels)
+      if (TxHistory.matches(res, opts)) records.push(res)
     }
-    return await this.pay.each(async (asset) => {
-      return this._sync(opts, asset)
+    return TxHistory.paginate(records, opts)
+  }
+
+  async _historyRecords (opts) {
+    const key = JSON.stringify([opts.assets || null, opts.tokens || null])
+    if (opts.cursor && this._history?.key === key) return this._history.records
+    const version = this._historyVersion
+    const records = await this._collectAll(opts)
+    // Not kept when the history changed while it was read
+    if (version === this._historyVersion) this._history = { key, records }
+    return records
+  }
+
+  _clearHistory () {
+    this._history = null
+    this._historyVersion++
+  }
+
+  // Labels are added to a copy, so collected records can be reused
+  static _withLabels (record, labels) {
+    const meta = labels.get(record.txid)
+    if (!meta) return record
+    return { ...record, label: meta.label, note: meta.note, tags: meta.tags }
+  }
+
+  /**
+  * @description Export transaction history for accounting tools, oldest first.
+  * Rows have amounts and fees in main and base unit, direction, counterparty, block height and timestamp.
+  * Transactions are read from the assets while the export is written, so the whole history is not loaded.
+  * Rows are oldest first when assets return their transactions oldest first.
+  * @param {Object} opts
+  * @param {String} opts.format - csv or json. Default csv
+  * @param {Array} opts.assets - asset names to include. Default all assets
+  * @param {Array} opts.tokens - token names to include
+  * @param {Number|Date} opts.from - only transactions at or after this time
+  * @param {Number|Date} opts.to - only transactions at or before this time
+  * @param {String} opts.direction - incoming, outgoing or internal
+  * @param {String} opts.tag - only transactions with this tag
+  * @returns {AsyncGenerator} chunks of text
+  * @example
+  * for await (const chunk of wallet.exportHistory({ format: 'csv' })) file.write(chunk)
+  */
+  async * exportHistory (opts = {}) {
+    this._assertActive()
+    const format = opts.format || 'csv'
+    if (!HistoryExport.FORMATS.includes(format)) {
+      throw new WalletError(`export format must be one of: ${HistoryExport.FORMATS.join(', ')}`, ERROR_CODES.BAD_ARGS)
+    }
+    yield * HistoryExport.stream(this._iterateHistory(opts), format)
+  }
+
+  // Assets and tokens selected by opts.assets and opts.tokens. [[asset, token]]
+  _historySources (opts) {
+    const sources = []
+    for (const name of opts.assets || this.pay.keys) {
+      const asset = this._getAsset(name)
+      const tokenNames = Array.from(asset.getTokens().keys())
+      const tokens = opts.tokens ? tokenNames.filter((t) => opts.tokens.includes(t)) : [null, ...tokenNames]
+      tokens.forEach((token) => sources.push([asset, token]))
+    }
+    return sources
+  }
+
+  // Transactions of the assets and tokens selected by opts, without labels and other filters
+  async _collectAll (opts) {
+    const records = []
+    const sources = this._historySources(opts)
+    await Promise.all(sources.map(async ([asset, token]) => {
+      for await (const record of this._iterateTransactions(asset, token)) records.push(record)
+    }))
+    return records
+  }
+
+  async * _iterateTransactions (asset, token) {
+    const ctx = {
+      asset: asset.assetName,
+      token,
+      Currency: asset.getCurrency(token)
+    }
+    const opts = token ? { token } : {}
+    for await (const txs of iterateCallback((fn) => asset.getTransactions(opts, fn))) {
+      // Assets may return a single transaction or a list of transactions per call
+      for (const tx of [].concat(txs)) yield TxHistory.normalize(ctx, tx)
+    }
+  }
+
+  async * _filterTransactions (records, filter, labels) {
+    for await (const record of records) {
+      const res = Wallet._withLabels(record, labels)
+      if (TxHistory.matches(res, filter)) yield res
+    }
+  }
+
+  // Transactions of every asset and token, oldest first. One record of each is read at a time
+  // and the oldest is returned, so the feeds are merged without loading them.
+  async * _iterateHistory (opts) {
+    const labels = await this.labels.getMap(Labels.TYPES.TX)
+    const feeds = []
+    const next = async (feed) => {
+      const res = await feed.iter.next()
+      feed.record = res.done ? null : res.value
+      feed.key = res.done ? null : TxHistory._sortKey(res.value)
+    }
+    try {
+      for (const [asset, token] of this._historySources(opts)) {
+        const feed = { iter: this._filterTransactions(this._iterateTransactions(asset, token), opts, labels) }
+        feeds.push(feed)
+        await next(feed)
+      }
+      while (true) {
+        let oldest = null
+        for (const feed of feeds) {
+          if (feed.record && (!oldest || TxHistory._compareKeys(feed.key, oldest.key) > 0)) oldest = feed
+        }
+        if (!oldest) return
+        yield oldest.record
+        await next(oldest)
+      }
+    } finally {
+      await Promise.all(feeds.map((feed) => feed.iter.return()))
+    }
+  }
+
+  /**
+  * @description Pay many recipients. Every payment is validated and balances are checked before anything is sent.
+  * Payments of the same asset and token are sent in one transaction when the asset can batch them,
+  * otherwise one by one.
+  * @param {Array} payments - [{ asset, token, address, contact, amount, unit }] unit defaults to main
+  * @returns {Object} { ok, results: [{ asset, token, address, amount, status, txid, error }] }
+  * status is sent, failed, invalid or skipped. When a payment is invalid nothing is sent,
+  * and the other payments are skipped.
+  */
+  async sendBatch (payments) {
+    this._assertCanSign()
+    if (!Array.isArray(payments) || !payments.length) throw new WalletError('payments must be a non empty array', ERROR_CODES.BAD_ARGS)
+
+    const results = await Promise.all(payments.map((payment) => this._validatePayment(payment)))
+    await this._checkBatchFunds(results)
+    if (results.some((res) => res.status === BATCH_STATUS.INVALID)) {
+      results.forEach((res) => {
+        if (!res.error) res.status = BATCH_STATUS.SKIPPED
+      })
+      return { ok: false, results }
+    }
+
+    // Payments are grouped by asset and token, in the order they are first seen
+    const groups = new Map()
+    results.forEach((res, i) => {
+      const key = res.token ? `${res.asset}:${res.token}` : res.asset
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push([res, payments[i]])
+    })
+    for (const group of groups.values()) {
+      await this._sendGroup(group)
+    }
+    return {
+      ok: results.every((res) => res.status === BATCH_STATUS.SENT),
+      results
+    }
+  }
+
+  async _validatePayment (payment) {
+    const res = {
+      asset: payment.asset,
+      token: payment.token || null,
+      address: payment.address || null,
+      amount: null,
+      status: BATCH_STATUS.INVALID,
+      txid: null,
+      error: null
+    }
+    try {
+      const asset = this._getAsset(payment.asset)
+      if (res.token && !asset.getTokens().has(res.token)) {
+        throw new WalletError(`token does not exist: ${res.asset}:${res.token}`, ERROR_CODES.TOKEN_NOT_FOUND)
+      }
+      if (payment.amount === undefined || payment.amount === null) throw new WalletError('amount is required', ERROR_CODES.BAD_ARGS)
+      res.amount = this._toPayment(asset, res.token, payment).amount
+      if (Currency.BN(res.amount.toBaseUnit()).lte(0)) throw new WalletError('amount must be more than 0', ERROR_CODES.BAD_ARGS)
+      if (!res.address && payment.contact) {
+        res.address = await this.addressBook.resolve(payment.contact, res.asset, res.token)
+      }
+      if (!res.address) throw new WalletError('address or contact is required', ERROR_CODES.BAD_ARGS)
+      if (!(await asset.isValidAddress(res.address))) {
+        throw new WalletError(`invalid ${res.asset} address: ${res.address}`, ERROR_CODES.INVALID_ADDRESS)
+      }
+      res.status = BATCH_STATUS.PENDING
+    } catch (err) {
+      res.error = err
+    }
+    return res
+  }
+
+  // Total of each asset and token must be covered by its balance
+  async _checkBatchFunds (results) {
+    const totals = new Map()
+    for (const res of results) {
+      if (res.error) continue
+      const key = res.token ? `${res.asset}:${res.token}` : res.asset
+      const entry = totals.get(key)
+      if (entry) entry.total = entry.total.add(res.amount)
+      else totals.set(key, { asset: res.asset, token: res.token, total: res.amount })
+    }
+    await Promise.all(Array.from(totals.entries()).map(async ([key, entry]) => {
+      const asset = this._getAsset(entry.asset)
+      let err = null
+      try {
+        const balance = await asset.getBalance(entry.token ? { token: entry.token } : {})
+        if (!entry.total.lte(balance.consolidated)) {
+          err = new WalletError(`insufficient ${key} balance for batch: ${entry.total.toMainUnit()}`, ERROR_CODES.INSUFFICIENT_FUNDS)
+        }
+      } catch (e) {
+        err = e
+      }
+      if (!err) return
+      results.forEach((res) => {
+        if (!res.error && res.asset === entry.asset && res.token === entry.token) res.error = err
+      })
+    }))
+    results.forEach((res) => {
+      if (res.error) res.status = BATCH_STATUS.INVALID
+    })
+  }
+
+  // Send payments of one asset and token. group: [[result, payment]]
+  async _sendGroup (group) {
+    const [first] = group[0]
+    const asset = this._getAsset(first.asset)
+    const opts = first.token ? { token: first.token } : {}
+    // Extra fields of the payment, like fee, are passed to the asset
+    const outgoing = ([res, payment]) => {
+      const { asset, token, contact, amount, unit, ...rest } = payment
+      return { ...rest, address: res.address, amount: res.amount.toMainUnit(), unit: 'main' }
+    }
+    const done = (res, status, txid, error) => {
+      res.status = status
+      res.txid = txid
+      res.error = error
+    }
+
+    if (asset.canBatch(opts)) {
+      try {
+        const { txid } = await asset.sendBatch(opts, group.map(outgoing))
+        group.forEach(([res]) => done(res, BATCH_STATUS.SENT, txid, null))
+      } catch (err) {
+        group.forEach(([res]) => done(res, BATCH_STATUS.FAILED, null, err))
+      }
+      return
+    }
+
+    for (const entry of group) {
+      try {
+        const { txid } = await asset.sendTransaction(opts, outgoing(entry))
+        done(entry[0], BATCH_STATUS.SENT, txid, null)
+      } catch (err) {
+        done(entry[0], BATCH_STATUS.FAILED, null, err)
+      }
+    }
+  }
+
+  _getAsset (name) {
+    const asset = this.pay[name]
+    if (!asset) throw new WalletError(`asset does not exist: ${name}`, ERROR_CODES.ASSET_NOT_FOUND)
+    return asset
+  }
+
+  /**
+  * @description Build a transaction for review, without broadcasting it.
+  * @param {Object} opts - { asset, token, ...asset options }
+  * @param {Object} outgoing - { address, amount, unit }
+  * @returns {Object} immutable draft. See WalletPay.prepareTransaction
+  */
+  async prepareTransaction (opts, outgoing) {
+    this._assertActive()
+    const { asset, ...assetOpts } = opts
+    return this._getAsset(asset).prepareTransaction(assetOpts, outgoing)
+  }
+
+  _getDraftAsset (draftId) {
+    for (const asset of this.pay) {
+      if (asset.getDraft(draftId)) return asset
+    }
+    return null
+  }
+
+  /**
+  * @description Sign and broadcast a transaction draft
+  * @param {String} draftId
+  */
+  async confirmTransaction (draftId) {
+    this._assertActive()
+    const asset = this._getDraftAsset(draftId)
+    if (!asset) throw new WalletError(`transaction draft not found: ${draftId}`, ERROR_CODES.DRAFT_NOT_FOUND)
+    return asset.confirmTransaction(draftId)
+  }
+
+  /**
+  * @description Drop a transaction draft
+  * @returns {Boolean} true if the draft existed
+  */
+  discardTransaction (draftId) {
+    this._assertActive()
+    const asset = this._getDraftAsset(draftId)
+    if (!asset) return false
+    return asset.discardTransaction(draftId)
+  }
+
+  // Contract of an ERC20 token. Falls back to the USDT contract for tokens without token info
+  _tokenContract (asset, tokenName) {
+    const token = asset.getTokens().get(tokenName)
+    if (!token) throw new WalletError(`token does not exist: ${asset.assetName}:${tokenName}`, ERROR_CODES.TOKEN_NOT_FOUND)
+    const info = token.getTokenInfo ? token.getTokenInfo() : null
+    if (info?.contractAddress) return info.contractAddress
+    // The Tether contract is only known on mainnet
+    const usdt = TetherCurrency.ERC20()
+    if (asset.network === 'mainnet' && tokenName.toUpperCase() === usdt.name) return usdt.contractAddress
+    throw new WalletError(`token contract is unknown: ${tokenName}`, ERROR_CODES.BAD_ARGS)
+  }
+
+  /**
+  * @description Create a payment request URI. BIP21 for btc, EIP-681 for eth and ERC20 tokens.
+  * @param {Object} opts
+  * @param {String} opts.asset - asset name
+  * @param {String} opts.token - optional token name
+  * @param {String|Currency} opts.amount - optional amount
+  * @param {String} opts.unit - unit of amount. default: main
+  * @param {String} opts.address - optional. a new address is generated when missing
+  * @param {String} opts.label - optional. bitcoin only
+  * @param {String} opts.message - optional. bitcoin only
+  * @param {Number} opts.chain_id - optional. ethereum only. Default: chain id of the asset
+  * @returns {String} uri
+  */
+  async createPaymentRequest (opts) {
+    this._assertActive()
+    const asset = this._getAsset(opts.asset)
+    const scheme = PaymentUri.SCHEMES[asset.assetName]
+    if (!scheme) throw new WalletError(`payment uri is not supported for ${asset.assetName}`, ERROR_CODES.BAD_ARGS)
+
+    let address = opts.address
+    if (!address) {
+      const res = await asset.getNewAddress()
+      address = typeof res === 'string' ? res : res.address
+    }
+    const amount = opts.amount === undefined || opts.amount === null
+      ? null
+      : this._toPayment(asset, opts.token, { amount: opts.amount, unit: opts.unit }).amount
+
+    if (scheme === PaymentUri.SCHEMES.btc) {
+      if (opts.token) throw new WalletError('bitcoin payment uri does not support tokens', ERROR_CODES.BAD_ARGS)
+      return PaymentUri.bip21({
+        address,
+        amount: amount?.toMainUnit(),
+        label: opts.label,
+        message: opts.message
+      })
+    }
+    return PaymentUri.eip681({
+      address,
+      amount: amount?.toBaseUnit(),
+      contract: opts.token ? this._tokenContract(asset, opts.token) : null,
+      chain_id: opts.chain_id ?? asset.chainId
     })
   }
 
+  /**
+  * @description Parse a BIP21 or EIP-681 payment URI. The address is validated by the asset.
+  * The chain id of EIP-681 uris must match the chain_id of the asset. Uris with a chain id are rejected when the asset has none
+  * @param {String} uri
+  * @returns {Object} { asset, token, address, amount: Currency|null, label, message, chain_id }
+  */
+  async parsePaymentUri (uri) {
+    this._assertActive()
+    const parsed = PaymentUri.parse(uri)
+    const assetName = Object.keys(PaymentUri.SCHEMES).find((k) => PaymentUri.SCHEMES[k] === parsed.scheme)
+    const asset = this._getAsset(assetName)
+
+    if (parsed.chain_id !== null && parsed.chain_id !== asset.chainId) {
+      const reason = asset.chainId === null ? 'the chain id of the asset is not set' : `the chain id of the asset is ${asset.chainId}`
+      throw new WalletError(`payment uri chain id ${parsed.chain_id} can not be used: ${reason}`, ERROR_CODES.INVALID_PAYMENT_URI)
+    }
+
+    let token = null
+    if (parsed.contract) {
+      const contract = parsed.contract.toLowerCase()
+      for (const name of asset.getTokens().keys()) {
+        let tokenContract
+        try {
+          tokenContract = this._tokenContract(asset, name)
+        } catch (err) {
+          continue
+        }
+        if (tokenContract.toLowerCase() === contract) token = name
+      }
+      if (!token) throw new WalletError(`no token with contract: ${parsed.contract}`, ERROR_CODES.TOKEN_NOT_FOUND)
+    }
+
+    let valid
+    try {
+      valid = await asset.isValidAddress(parsed.address)
+    } catch (err) {
+      throw new WalletError(`invalid ${assetName} address: ${parsed.address}`, ERROR_CODES.INVALID_ADDRESS, { cause: err })
+    }
+    if (!valid) throw new WalletError(`invalid ${assetName} address: ${parsed.address}`, ERROR_CODES.INVALID_ADDRESS)
+
+    let amount = null
+    if (parsed.amount !== null) {
+      const Curr = asset.getCurrency(token)
+      // BIP21 amounts are in main unit, EIP-681 amounts in base unit
+      amount = new Curr(parsed.amount, parsed.scheme === PaymentUri.SCHEMES.btc ? 'main' : 'base')
+    }
+    return {
+      asset: assetName,
+      token,
+      address: parsed.address,
+      amount,
+      label: parsed.label,
+      message: parsed.message,
+      chain_id: parsed.chain_id
+    }
+  }
+
   exportSeed () {
+    this._assertCanSign()
     return this.seed.exportSeed()
   }
+
+  get isLocked () {
+    return this._locked
+  }
+
+  /**
+  * @description Store the seed encrypted with a passphrase. Required before the wallet can be locked.
+  * @param {String} passphrase
+  */
+  async setPassphrase (passphrase) {
+    this._assertCanSign()
+    await this._keystore.save(JSON.parse(this.seed.exportSeed()), passphrase)
+    this._hasPassphrase = true
+    this._resetAutoLock()
+  }
+
+  /**
+  * @description Lock the wallet. The seed is removed from the wallet and from the key managers of the assets.
+  * Signing calls reject with LOCKED until the wallet is unlocked. Read only calls keep working.
+  */
+  async lock () {
+    this._assertActive()
+    if (this._locked) return
+    if (!this._hasPassphrase) {
+      throw new WalletError('Set a passphrase before locking the wallet', ERROR_CODES.INVALID_STATE)
+    }
+    this._clearAutoLock()
+    this._locked = true
+    this.seed = null
+    await this.pay.each((asset) => asset.lockKeys())
+    this.emit('lock')
+  }
+
+  /**
+  * @description Unlock the wallet with the passphrase
+  * @param {String} passphrase
+  */
+  async unlock (passphrase) {
+    this._assertActive()
+    const data = await this._keystore.load(passphrase)
+    if (this._locked) {
+      const Seed = this._Seed || require('wallet-seed-bip39')
+      this.seed = await Seed.generate(data.mnemonic)
+      await this.pay.each((asset) => asset.unlockKeys(this.seed))
+      this._locked = false
+      this.emit('unlock')
+    }
+    this._resetAutoLock()
+  }
+
+  /**
+  * @description Run signing calls that are not made by the user, like scheduled payments.
+  * They do not reset the auto lock timer, so they do not keep the wallet unlocked.
+  * @param {Function} fn - async function
+  */
+  async _unattended (fn) {
+    this._unattendedCalls++
+    try {
+      return await fn()
+    } finally {
+      this._unattendedCalls--
+    }
+  }
+
+  _clearAutoLock () {
+    clearTimeout(this._autoLockTimer)
+    this._autoLockTimer = null
+  }
+
+  _resetAutoLock () {
+    this._clearAutoLock()
+    if (!this._autoLock || !this._hasPassphrase || this._locked) return
+    this._autoLockTimer = setTimeout(() => {
+      this.lock().catch((err) => this.emit('error', err))
+    }, this._autoLock)
+    if (this._autoLockTimer.unref) this._autoLockTimer.unref()
+  }
+
+  /**
+  * @description Create an encrypted backup of the seed and the wallet state.
+  * Watch-only wallets back up their watch keys instead of a seed.
+  * @param {String} passphrase - passphrase used to encrypt the backup
+  * @returns {String} encrypted backup bundle
+  */
+  async exportBackup (passphrase) {
+    if (this._watch) this._assertActive()
+    else this._assertCanSign()
+    return Backup.create(this, passphrase)
+  }
+
+  /**
+  * @description Restore a wallet from a backup bundle. Wallet state is written to the store
+  * before the assets are initialized, so the wallet does not need a full rescan.
+  * @param {String} bundle - backup from exportBackup
+  * @param {String} passphrase
+  * @param {Object} opts - Wallet config, without the seed or watch keys.
+  * @param {Object} opts.store - empty store for the restored wallet
+  * @param {Array} opts.assets - assets of the restored wallet
+  * @param {Object} opts.seed_class - seed class with generate(mnemonic). Default wallet-seed-bip39
+  * @returns {Wallet} initialized wallet
+  */
+  static async restoreBackup (bundle, passphrase, opts = {}) {
+    if (!opts.store) throw new WalletError('Store not provided', ERROR_CODES.BAD_ARGS)
+    const payload = await Backup.open(bundle, passphrase)
+    const assets = opts.assets || []
+    await Backup.restoreStores(payload, opts.store, assets)
+
+    let keys
+    if (payload.watch) {
+      keys = { watch: payload.watch }
+    } else {
+      const Seed = opts.seed_class || require('wallet-seed-bip39')
+      keys = { seed: await Seed.generate(payload.seed.mnemonic) }
+    }
+    const wallet = new Wallet({ ...opts, assets, ...keys })
+    await wallet.initialize()
+    return wallet
+  }
 }
 
 module.exports = Wallet
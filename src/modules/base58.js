@@ -0,0 +1,72 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { HdWalletError, ERROR_CODES } = require('../lib/errors.js')
+const { sha256 } = require('../lib/utils.js')
+
+// Base58Check, used by extended keys and legacy bitcoin addresses
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+const CHECKSUM_BYTES = 4
+
+function checksum (payload) {
+  return sha256(sha256(payload)).subarray(0, CHECKSUM_BYTES)
+}
+
+/**
+* @param {Buffer} payload
+* @returns {String} base58 string of the payload and its checksum
+*/
+function encodeCheck (payload) {
+  const bytes = Buffer.concat([payload, checksum(payload)])
+  let num = BigInt('0x' + (bytes.toString('hex') || '0'))
+  let str = ''
+  while (num > 0n) {
+    str = ALPHABET[Number(num % 58n)] + str
+    num /= 58n
+  }
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) str = '1' + str
+  return str
+}
+
+/**
+* @param {String} str - base58 string
+* @returns {Buffer} payload without the checksum
+* @throws {HdWalletError} BAD_ARGS when the string is not base58 or the checksum does not match
+*/
+function decodeCheck (str) {
+  if (typeof str !== 'string') throw new HdWalletError('base58 value must be a string', ERROR_CODES.BAD_ARGS)
+  let num = 0n
+  for (const char of str) {
+    const digit = ALPHABET.indexOf(char)
+    if (digit < 0) throw new HdWalletError('invalid base58 character: ' + char, ERROR_CODES.BAD_ARGS)
+    num = num * 58n + BigInt(digit)
+  }
+  let hex = num > 0n ? num.toString(16) : ''
+  if (hex.length % 2) hex = '0' + hex
+  let zeros = 0
+  while (str[zeros] === '1') zeros++
+  const bytes = Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')])
+  if (bytes.length < CHECKSUM_BYTES) throw new HdWalletError('base58 value is too short', ERROR_CODES.BAD_ARGS)
+  const payload = bytes.subarray(0, bytes.length - CHECKSUM_BYTES)
+  if (!checksum(payload).equals(bytes.subarray(bytes.length - CHECKSUM_BYTES))) {
+    throw new HdWalletError('invalid base58 checksum', ERROR_CODES.BAD_ARGS)
+  }
+  return payload
+}
+
+module.exports = {
+  encodeCheck,
+  decodeCheck
+}
@@ -0,0 +1,157 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { HdWalletError, ERROR_CODES } = require('../lib/errors.js')
+
+// Child numbers from this value are hardened. BIP32
+const HARDENED_OFFSET = 0x80000000
+// Depth is stored in one byte of an extended key
+const MAX_DEPTH = 255
+
+const SEGMENT = /^(0|[1-9]\d*)(['hH])?$/
+
+/**
+* @desc BIP32 derivation paths of any depth. Hardened segments can be written as 44' or 44h.
+* Paths are parsed into segments: { index, hardened }, where index is the child number without the hardened offset.
+* Serialized paths use ' unless another notation is passed.
+* @link: https://github.com/bitcoin/bips/blob/master/bip-0032.mediawiki
+* @example
+* HdPath.parse("m/44h/60'/0'/0") // [{ index: 44, hardened: true }, { index: 60, hardened: true }, ...]
+*/
+class HdPath {
+  static HARDENED_OFFSET = HARDENED_OFFSET
+  static MAX_DEPTH = MAX_DEPTH
+
+  /**
+  * @description parse one path segment
+  * @param {String|Number|Object} value - "44'", "44h", 0 or { index, hardened }
+  * @returns {Object} { index, hardened }
+  */
+  static segment (value) {
+    if (typeof value === 'number') {
+      return HdPath._checkIndex({ index: value, hardened: false }, value)
+    }
+    if (value && typeof value === 'object') {
+      return HdPath._checkIndex({ index: value.index, hardened: !!value.hardened }, value.index)
+    }
+    const match = SEGMENT.exec(String(value))
+    if (!match) throw new HdWalletError(`Invalid HD path segment: ${value}`, ERROR_CODES.INVALID_PATH)
+    return HdPath._checkIndex({ index: Number(match[1]), hardened: !!match[2] }, value)
+  }
+
+  static _checkIndex (segment, value) {
+    if (!Number.isSafeInteger(segment.index) || segment.index < 0 || segment.index >= HARDENED_OFFSET) {
+      throw new HdWalletError(`HD path index out of range: ${value}`, ERROR_CODES.INVALID_PATH)
+    }
+    return segment
+  }
+
+  /**
+  * @param {String} path - example: m/84'/0'/0'/0/1. M is accepted for public derivation
+  * @returns {Array} segments [{ index, hardened }]
+  */
+  static parse (path) {
+    if (typeof path !== 'string') throw new HdWalletError('HD path must be a string', ERROR_CODES.INVALID_PATH)
+    const parts = path.split('/')
+    const root = parts.shift()
+    if (root !== 'm' && root !== 'M') throw new HdWalletError('HD path must start with m: ' + path, ERROR_CODES.INVALID_PATH)
+    if (parts.length > MAX_DEPTH) throw new HdWalletError('HD path is too deep: ' + path, ERROR_CODES.INVALID_PATH)
+    try {
+      return parts.map((part) => HdPath.segment(part))
+    } catch (err) {
+      throw new HdWalletError(`Invalid HD path: ${path}. ${err.message}`, ERROR_CODES.INVALID_PATH, { cause: err })
+    }
+  }
+
+  /**
+  * @returns {Boolean} true if the path can be parsed
+  */
+  static validate (path) {
+    try {
+      HdPath.parse(path)
+      return true
+    } catch (err) {
+      return false
+    }
+  }
+
+  static formatSegment (segment, notation = "'") {
+    const { index, hardened } = HdPath.segment(segment)
+    return hardened ? index + notation : String(index)
+  }
+
+  /**
+  * @param {Array} segments - list of segments, in any form accepted by segment()
+  * @param {Object} opts - optional. { notation } hardened notation, ' or h. Default '
+  * @returns {String} path
+  */
+  static serialize (segments, opts = {}) {
+    const notation = opts.notation || "'"
+    if (notation !== "'" && notation !== 'h') throw new HdWalletError(`Invalid hardened notation: ${notation}`, ERROR_CODES.BAD_ARGS)
+    if (segments.length > MAX_DEPTH) throw new HdWalletError('HD path is too deep', ERROR_CODES.INVALID_PATH)
+    return ['m', ...segments.map((segment) => HdPath.formatSegment(segment, notation))].join('/')
+  }
+
+  /**
+  * @description rewrite a path with one hardened notation. m/44h/0H/0' -> m/44'/0'/0'
+  */
+  static normalize (path, opts) {
+    return HdPath.serialize(HdPath.parse(path), opts)
+  }
+
+  /**
+  * @param {String|Object} segment - "44'", "44h" or { index, hardened }
+  */
+  static isHardened (segment) {
+    return HdPath.segment(segment).hardened
+  }
+
+  /**
+  * @description child number of a segment, with the hardened offset. 44' -> 2147483692
+  */
+  static childNumber (segment) {
+    const { index, hardened } = HdPath.segment(segment)
+    return hardened ? index + HARDENED_OFFSET : index
+  }
+
+  static depth (path) {
+    return HdPath.parse(path).length
+  }
+
+  /**
+  * @description order paths by child number of each segment. A parent comes before its children.
+  * Normal children come before hardened children.
+  * @returns {Number} negative if a is first, positive if b is first, 0 if they are the same path
+  */
+  static compare (a, b) {
+    const pa = HdPath.parse(a)
+    const pb = HdPath.parse(b)
+    const len = Math.min(pa.length, pb.length)
+    for (let i = 0; i < len; i++) {
+      const diff = HdPath.childNumber(pa[i]) - HdPath.childNumber(pb[i])
+      if (diff) return Math.sign(diff)
+    }
+    return Math.sign(pa.length - pb.length)
+  }
+
+  /**
+  * @returns {Boolean} true if both are the same path, in any notation
+  */
+  static equals (a, b) {
+    return HdPath.compare(a, b) === 0
+  }
+}
+
+module.exports = HdPath
@@ -14,10 +14,32 @@
 // limitations under the License.
 //
 const { EventEmitter } = require('events')
+const { HdWalletError, ERROR_CODES } = require('../lib/errors.js')
+const { Logger } = require('../lib/logger.js')
+const HdPath = require('./hd-path.js')
+const { decodeCheck } = require('./base58.js')
 
 const EXTERNAL_ADDR = 'external'
 const INTERNAL_ADDR = 'internal'
 
+// Version prefixes of extended public keys. SLIP-0132
+const EXTENDED_KEYS = Object.freeze({
+  xpub: { purpose: "44'", network: 'mainnet', version: 0x0488b21e },
+  ypub: { purpose: "49'", network: 'mainnet', version: 0x049d7cb2 },
+  zpub: { purpose: "84'", network: 'mainnet', version: 0x04b24746 },
+  tpub: { purpose: "44'", network: 'testnet', version: 0x043587cf },
+  upub: { purpose: "49'", network: 'testnet', version: 0x044a5262 },
+  vpub: { purpose: "84'", network: 'testnet', version: 0x045f1cf6 }
+})
+// Taproot has no SLIP-0132 prefix. Its account keys are exported as xpub
+const XPUB_PURPOSES = ["44'", "86'"]
+// version, depth, parent fingerprint, child number, chain code, public key. BIP32
+const EXTENDED_KEY_BYTES = 78
+const ACCOUNT_DEPTH = 3
+const HARDENED = 0x80000000
+
+const PRIVATE_KEY_PREFIXES = ['xprv', 'yprv', 'zprv', 'tprv', 'uprv', 'vprv']
+
 class SyncState {
   constructor (config, gapLimit = 20, addrType) {
     if (!config) config = {}
@@ -60,22 +82,35 @@ class SyncState {
   * @link: https://github.com/bitcoin/bips/blob/master/bip-0084.mediawiki
   * @link: https://github.com/bitcoin/bips/blob/master/bip-0032.mediawiki
   * @desc:  m / purpose' / coin_type' / account' / change / address_index
+  * @event: reset-sync - gap limit reached in every account of both chains, sync state is reset
+  * @event: sync-progress ({ addr_type, path, gap, gap_end, scanned, tx_found, eta }) - emitted after each path in eachAccount
   */
 class HdWallet extends EventEmitter {
+  static EXTENDED_KEYS = EXTENDED_KEYS
+
   /**
   * @param: {Object} config
   * @param: {Object} config.store - store to save paths
+  * @param: {Logger} config.logger - optional logger
+  * @param: {String} config.watch_key - optional account extended public key, for watch-only wallets
+  * @param: {String} config.purpose - preferred purpose, used for new addresses. Default: first of purposes
+  * @param: {Array} config.purposes - optional. all purposes to sync. example: ["84'", "44'", "49'", "86'"]
   */
   constructor (config) {
     super()
     this.store = config.store
+    this.logger = (config.logger || Logger.silent()).child({ module: 'hdwallet' })
     this.coinType = config.coinType
     this._gapLimit = config.gapLimit || 20
     this._max_depth = config.max_depth || 100000
-    this.purpose = config.purpose
+    this.purpose = config.purpose || config.purposes?.[0]
     this.coinType = config.coinType
     this._checkCoinArg(this.coinType)
     this._checkCoinArg(this.purpose)
+    this.purposes = Array.from(new Set([this.purpose, ...(config.purposes || [])]))
+    this.purposes.forEach((purpose) => this._checkCoinArg(purpose))
+    this.watchKey = null
+    if (config.watch_key) this.setWatchKey(config.watch_key)
 
     this.INIT_EXTERNAL_PATH = `m/${this.purpose}/${this.coinType}/0'/0/0`
     this.INIT_INTERNAL_PATH = `m/${this.purpose}/${this.coinType}/0'/1/0`
@@ -87,9 +122,106 @@ class HdWallet extends EventEmitter {
     if (!currentPath) {
       await this.store.put('current_internal_path', this.INIT_INTERNAL_PATH)
       await this.store.put('current_external_path', this.INIT_EXTERNAL_PATH)
-      await this.store.put('account_index', [this._formatAccountPath(this.INIT_EXTERNAL_PATH)])
+      await this.store.put('account_index', this.purposes.map((purpose) => [purpose, "0'"]))
       await this.store.put('address_index', [])
+      return
+    }
+    await this._migrate(currentPath)
+  }
+
+  // Stores created with other purposes: add account 0 of new purposes,
+  // and keep the original path keys for the preferred purpose.
+  async _migrate (currentPath) {
+    const accounts = await this.getAccountIndex()
+    const missing = this.purposes.filter((purpose) => !accounts.some(([p]) => p === purpose))
+    if (missing.length) {
+      await this.store.put('account_index', accounts.concat(missing.map((purpose) => [purpose, "0'"])))
+    }
+
+    const prev = HdWallet.parsePath(currentPath).purpose
+    if (prev === this.purpose) return
+    for (const addrType of [EXTERNAL_ADDR, INTERNAL_ADDR]) {
+      const key = this._pathKey(addrType, this.purpose, "0'")
+      const prevKey = this._pathKey(addrType, prev, "0'")
+      const path = await this.store.get(`${key}:${this.purpose}/0'`)
+      await this.store.put(prevKey, await this.store.get(key))
+      await this.store.put(key, path || this._accountPath(addrType, this.purpose, "0'"))
+    }
+    this.logger.info('preferred purpose changed', { purpose: this.purpose, prev })
+  }
+
+  get isWatchOnly () {
+    return !!this.watchKey
+  }
+
+  /**
+  * @description Use an account extended public key. The wallet becomes watch-only.
+  * @param {String} key - account extended public key, for the preferred purpose
+  * @throws {HdWalletError} BAD_ARGS when the key is invalid or made for another purpose
+  */
+  setWatchKey (key) {
+    const parsed = HdWallet.parseExtendedKey(key)
+    const fits = parsed.purpose === this.purpose || (parsed.purpose === "44'" && XPUB_PURPOSES.includes(this.purpose))
+    if (!fits) {
+      throw new HdWalletError(`${parsed.prefix} is not a key for purpose ${this.purpose}`, ERROR_CODES.BAD_ARGS)
+    }
+    this.watchKey = parsed
+  }
+
+  /**
+  * @description Decode and check an account extended public key. Private keys are rejected.
+  * The type of the key is read from its prefix. SLIP-0132
+  * @param {String} key - xpub, ypub, zpub or their testnet versions
+  * @returns {Object} { key, prefix, purpose, network, account, chain_code, public_key }
+  */
+  static parseExtendedKey (key) {
+    if (typeof key !== 'string') throw new HdWalletError('extended public key must be a string', ERROR_CODES.BAD_ARGS)
+    const prefix = key.slice(0, 4)
+    if (PRIVATE_KEY_PREFIXES.includes(prefix)) {
+      throw new HdWalletError('extended private keys can not be used for watch-only wallets', ERROR_CODES.BAD_ARGS)
+    }
+    const info = EXTENDED_KEYS[prefix]
+    if (!info) throw new HdWalletError('invalid extended public key: ' + key, ERROR_CODES.BAD_ARGS)
+    let data
+    try {
+      data = decodeCheck(key)
+    } catch (err) {
+      throw new HdWalletError('invalid extended public key: ' + key, ERROR_CODES.BAD_ARGS, { cause: err })
+    }
+    const valid = data.length === EXTENDED_KEY_BYTES &&
+      data.readUInt32BE(0) === info.version &&
+      (data[45] === 0x02 || data[45] === 0x03)
+    if (!valid) throw new HdWalletError('invalid extended public key: ' + key, ERROR_CODES.BAD_ARGS)
+    const child = data.readUInt32BE(9)
+    if (data[4] !== ACCOUNT_DEPTH || child < HARDENED) {
+      throw new HdWalletError('extended public key is not an account key: ' + key, ERROR_CODES.BAD_ARGS)
+    }
+    return {
+      key,
+      prefix,
+      purpose: info.purpose,
+      network: info.network,
+      account: `${child - HARDENED}'`,
+      chain_code: data.subarray(13, 45),
+      public_key: data.subarray(45)
+    }
+  }
+
+  /**
+  * @description Add addresses that are not derived from a path, like a list of watched eth addresses.
+  * Addresses that already exist are skipped.
+  * @param {Array} addresses - list of address strings
+  * @returns {Number} number of addresses added
+  */
+  async importAddresses (addresses) {
+    if (!Array.isArray(addresses)) throw new HdWalletError('addresses must be an array', ERROR_CODES.BAD_ARGS)
+    let count = 0
+    for (const address of addresses) {
+      if (await this.getAddress(address)) continue
+      await this.addAddress({ address, path: null, imported: true })
+      count++
     }
+    return count
   }
 
   async close () {
@@ -97,21 +229,28 @@ class HdWallet extends EventEmitter {
   }
 
   _checkCoinArg (arg) {
-    if (!arg || arg[arg.length - 1] !== "'") throw new Error("coinType and purpose are required and must be like: 84' ")
+    if (!arg || arg[arg.length - 1] !== "'") throw new HdWalletError("coinType and purpose are required and must be like: 84' ", ERROR_CODES.BAD_ARGS)
   }
 
   async getSyncState (addrType) {
     const state = await this.store.get('sync_state_' + addrType)
     if (!state) {
-      return this._newSyncState(addrType)
+      return this._firstSyncState(addrType)
     }
     return new SyncState(state, this._gapLimit, addrType)
   }
 
-  _newSyncState (addrType) {
+  // Sync starts at the first account of the account index
+  async _firstSyncState (addrType) {
+    const [first] = await this.getAccountIndex() || []
+    return first ? this._newSyncState(addrType, ...first) : this._newSyncState(addrType)
+  }
+
+  _newSyncState (addrType, purpose, account) {
     let path
     if (addrType === INTERNAL_ADDR) path = this.INIT_INTERNAL_PATH
     if (addrType === EXTERNAL_ADDR) path = this.INIT_EXTERNAL_PATH
+    if (account) path = this._accountPath(addrType, purpose, account)
 
     return new SyncState({
       path,
@@ -121,9 +260,9 @@ class HdWallet extends EventEmitter {
   }
 
   async resetSyncState () {
-    let state = this._newSyncState(INTERNAL_ADDR)
+    let state = await this._firstSyncState(INTERNAL_ADDR)
     await this.store.put('sync_state_internal', state)
-    state = this._newSyncState(EXTERNAL_ADDR)
+    state = await this._firstSyncState(EXTERNAL_ADDR)
     await this.store.put('sync_state_external', state)
     await this._updateSyncAddrType(null)
     return state
@@ -148,23 +287,56 @@ class HdWallet extends EventEmitter {
     return this.store.get('addr:' + addr)
   }
 
-  _formatAccountPath (path) {
-    const parsed = HdWallet.parsePath(path)
-    return [
-      parsed.purpose, parsed.account
-    ]
-  }
-
   getAccountIndex () {
     return this.store.get('account_index')
   }
 
-  getLastIntPath () {
-    return this.store.get('current_internal_path')
+  /**
+  * @description account number as a hardened path part. 1 -> 1'
+  */
+  static formatAccount (account) {
+    return HdPath.formatSegment({ index: HdPath.segment(account ?? 0).index, hardened: true })
+  }
+
+  // Store key of the last path of an account. The first account keeps the original keys
+  _pathKey (addrType, purpose, account) {
+    const key = addrType === INTERNAL_ADDR ? 'current_internal_path' : 'current_external_path'
+    if (purpose === this.purpose && account === "0'") return key
+    return `${key}:${purpose}/${account}`
+  }
+
+  // First path of the external or internal chain of an account
+  _accountPath (addrType, purpose, account) {
+    return `m/${purpose}/${this.coinType}/${account}/${addrType === INTERNAL_ADDR ? 1 : 0}/0`
+  }
+
+  _checkPurpose (purpose) {
+    if (!this.purposes.includes(purpose)) {
+      throw new HdWalletError(`purpose is not enabled: ${purpose}`, ERROR_CODES.INVALID_PATH)
+    }
   }
 
-  async getLastExtPath () {
-    return this.store.get('current_external_path')
+  async _getLastPath (addrType, account, purpose = this.purpose) {
+    this._checkPurpose(purpose)
+    account = HdWallet.formatAccount(account)
+    const path = await this.store.get(this._pathKey(addrType, purpose, account))
+    return path || this._accountPath(addrType, purpose, account)
+  }
+
+  /**
+  * @param {Number|String} account - optional. Default 0
+  * @param {String} purpose - optional. Default: preferred purpose
+  */
+  getLastIntPath (account, purpose) {
+    return this._getLastPath(INTERNAL_ADDR, account, purpose)
+  }
+
+  /**
+  * @param {Number|String} account - optional. Default 0
+  * @param {String} purpose - optional. Default: preferred purpose
+  */
+  async getLastExtPath (account, purpose) {
+    return this._getLastPath(EXTERNAL_ADDR, account, purpose)
   }
 
   /**
@@ -172,10 +344,107 @@ class HdWallet extends EventEmitter {
   */
   async updateLastPath (path) {
     const parsed = HdWallet.parsePath(path)
-    if (parsed.change) {
-      return this.store.put('current_internal_path', path)
+    // change can be a hardened string like "0'", compare the index
+    const addrType = HdPath.segment(parsed.change).index === 1 ? INTERNAL_ADDR : EXTERNAL_ADDR
+    return this.store.put(this._pathKey(addrType, parsed.purpose, parsed.account), path)
+  }
+
+  /**
+  * @returns {Array} accounts of the wallet. [{ purpose, account }]
+  */
+  async getAccounts () {
+    const accounts = await this.getAccountIndex()
+    return accounts.map(([purpose, account]) => ({ purpose, account }))
+  }
+
+  async _addAccount (purpose, account) {
+    const accounts = await this.getAccountIndex()
+    if (accounts.some(([p, a]) => p === purpose && a === account)) return false
+    accounts.push([purpose, account])
+    await this.store.put('account_index', accounts)
+    return true
+  }
+
+  async _checkAccount (purpose, account) {
+    const accounts = await this.getAccountIndex() || []
+    if (!accounts.some(([p, a]) => p === purpose && a === account)) {
+      throw new HdWalletError(`account does not exist: ${purpose}/${account}`, ERROR_CODES.INVALID_PATH)
+    }
+  }
+
+  /**
+  * @description Add the next account of a purpose, after its highest account.
+  * @param {Object} opts - optional. { purpose } Default: preferred purpose
+  * @returns {Object} { purpose, account }
+  */
+  async createAccount (opts = {}) {
+    const purpose = opts.purpose || this.purpose
+    this._checkPurpose(purpose)
+    const accounts = await this.getAccountIndex()
+    // Discovered accounts are not added in order
+    const indexes = accounts.filter(([p]) => p === purpose).map(([, a]) => HdPath.segment(a).index)
+    const account = indexes.length ? HdWallet.formatAccount(Math.max(...indexes) + 1) : "0'"
+    await this._addAccount(purpose, account)
+    this.logger.info('account created', { purpose, account })
+    return { purpose, account }
+  }
+
+  /**
+  * @description addresses generated for an account
+  * @param {Number|String} account
+  * @param {String} purpose - optional. Default: preferred purpose
+  * @returns {Array} address records
+  */
+  async getAccountAddresses (account, purpose = this.purpose) {
+    account = HdWallet.formatAccount(account)
+    const res = []
+    for (const address of await this.getAllAddress()) {
+      const addr = await this.getAddress(address)
+      if (!addr?.path) continue
+      const parsed = HdWallet.parsePath(addr.path)
+      if (parsed.purpose === purpose && parsed.account === account) res.push(addr)
     }
-    return this.store.put('current_external_path', path)
+    return res
+  }
+
+  /**
+  * @description BIP44 account discovery for each purpose. Scan the external chain of each account, starting at account 0,
+  * until an account without transactions is found. Accounts with transactions are added to the wallet.
+  * @param {Function} fn - fn(syncState, signal) like eachAccount. Return signal.hasTx when the path has transactions
+  * @param {Object} opts - optional. { signal: AbortSignal } Aborting rejects with ABORTED.
+  * Accounts found before the abort are already added to the wallet.
+  * @returns {Array} accounts with transactions. [{ purpose, account }]
+  */
+  async discoverAccounts (fn, opts = {}) {
+    const found = []
+    const checkAbort = () => {
+      if (opts.signal?.aborted) {
+        throw new HdWalletError('Operation was aborted', ERROR_CODES.ABORTED, { cause: opts.signal.reason })
+      }
+    }
+    for (const purpose of this.purposes) {
+      let account = "0'"
+      while (true) {
+        const state = new SyncState({ path: this._accountPath(EXTERNAL_ADDR, purpose, account) }, this._gapLimit, EXTERNAL_ADDR)
+        let used = false
+        while (!state.isGapLimit()) {
+          checkAbort()
+          const res = await fn(state, this._signal)
+          checkAbort()
+          if (res === this._signal.stop) return found
+          if (res === this._signal.hasTx) {
+            used = true
+            break
+          }
+          state.bump(false)
+        }
+        if (!used) break
+        if (await this._addAccount(purpose, account)) this.logger.info('account discovered', { purpose, account })
+        found.push({ purpose, account })
+        account = HdWallet.parsePath(HdWallet.bumpAccount(state.path)).account
+      }
+    }
+    return found
   }
 
   static setPurpose (path, value) {
@@ -186,65 +455,104 @@ class HdWallet extends EventEmitter {
 
   static setAccount (path, account) {
     const parsed = HdWallet.parsePath(path)
-    parsed.account = account + (account.slice(-1) === "'" ? '' : "'")
+    parsed.account = HdWallet.formatAccount(account)
     return HdWallet.mergePath(parsed)
   }
 
   static bumpAccount (path) {
     const parsed = HdWallet.parsePath(path)
-    parsed.account = (Number.parseInt(parsed.account.split("'").shift()) + 1) + "'"
+    const { index, hardened } = HdPath.segment(parsed.account)
+    parsed.account = HdPath.formatSegment({ index: index + 1, hardened })
     return HdWallet.mergePath(parsed)
   }
 
   static bumpIndex (path) {
     const parsed = HdWallet.parsePath(path)
-    parsed.index += 1
+    const { index, hardened } = HdPath.segment(parsed.index)
+    parsed.index = HdWallet._field({ index: index + 1, hardened })
     return HdWallet.mergePath(parsed)
   }
 
   static setChangeIndex (path, index) {
     const parsed = HdWallet.parsePath(path)
     parsed.change = 1
-    parsed.index = index
+    parsed.index = HdWallet._field(HdPath.segment(index))
     return HdWallet.mergePath(parsed)
   }
 
   static mergePath (path) {
-    return `m/${path.purpose}/${path.coin_type}/${path.account}/${path.change}/${path.index}`
+    return HdPath.serialize([path.purpose, path.coin_type, path.account, path.change, path.index])
   }
 
-  async getNewAddress (inext, newAddrFn) {
+  /**
+  * @param {String} inext - in or ext
+  * @param {Function} newAddrFn - newAddrFn(path) returns { addr: { address, path } }
+  * @param {Object} opts - optional. { account, purpose } Default: account 0 of the preferred purpose.
+  * The account must be in the account index. See createAccount
+  */
+  async getNewAddress (inext, newAddrFn, opts = {}) {
+    if (opts.account !== undefined && opts.account !== null) {
+      await this._checkAccount(opts.purpose || this.purpose, HdWallet.formatAccount(opts.account))
+    }
     let path
     if (inext === 'in') {
-      path = await this.getLastIntPath()
+      path = await this.getLastIntPath(opts.account, opts.purpose)
     } else if (inext === 'ext') {
-      path = await this.getLastExtPath()
+      path = await this.getLastExtPath(opts.account, opts.purpose)
     } else {
-      throw new Error('invalid address path type')
+      throw new HdWalletError('invalid address path type', ERROR_CODES.INVALID_PATH)
     }
 
     const res = await newAddrFn(path)
-    if (!res.addr.path) throw new Error('newAddr function returned invalid response')
+    if (!res.addr.path) throw new HdWalletError('newAddr function returned invalid response', ERROR_CODES.BAD_ARGS)
     const addr = res.addr
     const exists = await this.getAddress(addr.address)
-    if (exists) throw new Error('address already exists in the db')
+    if (exists) throw new HdWalletError('address already exists in the db', ERROR_CODES.ADDRESS_EXISTS)
     path = HdWallet.bumpIndex(addr.path)
     await this.updateLastPath(path)
     await this.addAddress(addr)
     return res
   }
 
+  /**
+  * @description New change address. Change goes to the purpose of the spent inputs when they all have the same purpose,
+  * so spending legacy coins does not mix them with segwit coins. Otherwise it goes to the preferred purpose.
+  * @param {Array} inputPaths - HD paths of the spent inputs
+  * @param {Function} newAddrFn - same as getNewAddress
+  * @param {Object} opts - optional. { account, purpose } purpose overrides the routing
+  */
+  async getChangeAddress (inputPaths, newAddrFn, opts = {}) {
+    const purposes = new Set((inputPaths || []).map((path) => HdWallet.parsePath(path).purpose))
+    let purpose = opts.purpose
+    if (!purpose) {
+      const [inputPurpose] = purposes
+      purpose = purposes.size === 1 && this.purposes.includes(inputPurpose) ? inputPurpose : this.purpose
+    }
+    return this.getNewAddress('in', newAddrFn, { account: opts.account, purpose })
+  }
+
+  // change and index are numbers, unless they are hardened
+  static _field (segment) {
+    return segment.hardened ? HdPath.formatSegment(segment) : segment.index
+  }
+
+  /**
+  * @description parse a BIP44 path. Use HdPath for paths of other depths
+  * @param {String} path - m / purpose' / coin_type' / account' / change / address_index. h and ' are accepted
+  * @returns {Object} { purpose, coin_type, account, change, index }. Hardened parts are written with '
+  */
   static parsePath (path) {
-    const parts = path.split('/')
-    if (parts.length !== 6) {
-      throw new Error('Invalid HD path: ' + path)
+    const segments = HdPath.parse(path)
+    if (segments.length !== 5) {
+      throw new HdWalletError('Invalid HD path: ' + path, ERROR_CODES.INVALID_PATH)
     }
+    const [purpose, coinType, account, change, index] = segments
     return {
-      purpose: parts[1],
-      coin_type: parts[2],
-      account: parts[3],
-      change: +parts[4],
-      index: +parts[5]
+      purpose: HdPath.formatSegment(purpose),
+      coin_type: HdPath.formatSegment(coinType),
+      account: HdPath.formatSegment(account),
+      change: HdWallet._field(change),
+      index: HdWallet._field(index)
     }
   }
 
@@ -252,16 +560,17 @@ class HdWallet extends EventEmitter {
     return this.store.put('current_sync_addr_type', v)
   }
 
-  async _processPath (syncType, fn) {
+  async _processPath (syncType, fn, abortSignal) {
     const _signal = this._signal
 
     const run = async () => {
+      const path = syncType.path
       let res
       try {
         res = await fn(syncType, _signal)
       } catch (err) {
-        console.log('Failed to iterate account:' + syncType.path, err)
-        throw new Error(err)
+        this.logger.error('Failed to iterate account', { path: syncType.path, err })
+        throw err
       }
 
       if (res === _signal.stop) return res
@@ -271,19 +580,19 @@ class HdWallet extends EventEmitter {
       } else if (res === _signal.noTx) {
         syncType.bump(false)
       } else {
-        throw new Error('Invalid signal returned')
+        throw new HdWalletError('Invalid signal returned', ERROR_CODES.BAD_ARGS)
       }
       await this._setSyncState(syncType)
-      if (syncType.isGapLimit()) {
-        await this.resetSyncState()
-        this.emit('reset-sync')
-        return res
-      }
+      this._emitProgress(syncType, path, res === _signal.hasTx)
+      // The account is done. The pass continues with the next account
+      if (syncType.isGapLimit()) return res
       return false
     }
 
     let x = 0
     while (x <= this._max_depth) {
+      // Sync state is saved after every path, so the next run resumes from here
+      if (abortSignal?.aborted) return _signal.stop
       x++
       const res = await run()
       if (res) return res
@@ -299,16 +608,42 @@ class HdWallet extends EventEmitter {
     stop: 2
   }
 
-  async _prepareEachAcct (arg1, arg2) {
-    let addrType, fn
+  /**
+  * @description Report progress of eachAccount. The eta is estimated from the time per path so far,
+  * assuming no more transactions are found: the rest of the current gap, plus a full gap of the internal chain.
+  */
+  _emitProgress (syncType, path, hasTx) {
+    const progress = this._progress
+    if (!progress) return
+    progress.scanned++
+    if (hasTx) progress.tx_found++
+    let remaining = Math.max(syncType.gapEnd - syncType.gap + 1, 0)
+    if (syncType._addrType === EXTERNAL_ADDR) remaining += this._gapLimit + 1
+    const elapsed = Date.now() - progress.started_at
+    this.emit('sync-progress', {
+      addr_type: syncType._addrType,
+      path,
+      gap: syncType.gap,
+      gap_end: syncType.gapEnd,
+      scanned: progress.scanned,
+      tx_found: progress.tx_found,
+      // Estimated ms until the sync is complete
+      eta: Math.round(elapsed / progress.scanned * remaining)
+    })
+  }
+
+  async _prepareEachAcct (arg1, arg2, arg3) {
+    let addrType, fn, opts
     if (typeof arg1 === 'function') {
       fn = arg1
+      opts = arg2
       addrType = await this.store.get('current_sync_addr_type')
     } else if (typeof arg2 === 'function') {
       fn = arg2
+      opts = arg3
       addrType = arg1
     } else {
-      throw new Error('callback function not passed')
+      throw new HdWalletError('callback function not passed', ERROR_CODES.BAD_ARGS)
     }
 
     if (!addrType) {
@@ -318,31 +653,55 @@ class HdWallet extends EventEmitter {
 
     return {
       addrType,
-      fn
+      fn,
+      signal: opts?.signal || null
+    }
+  }
+
+  /**
+  * @description Call fn for each path of the accounts, until the gap limit of the external then the internal chain.
+  * eachAccount([addrType], fn, [opts])
+  * @param {String} addrType - optional. external or internal. Default: continue the last sync
+  * @param {Function} fn - fn(syncState, signal) returns signal.hasTx, signal.noTx or signal.stop
+  * @param {Object} opts - optional. { signal: AbortSignal } stop between paths
+  */
+  async eachAccount (arg1, arg2, arg3) {
+    const { addrType, fn, signal } = await this._prepareEachAcct(arg1, arg2, arg3)
+    this._progress = { started_at: Date.now(), scanned: 0, tx_found: 0 }
+    try {
+      return await this._eachAccount(addrType, fn, signal)
+    } finally {
+      this._progress = null
     }
   }
 
-  async eachAccount (arg1, arg2) {
-    const { addrType, fn } = await this._prepareEachAcct(arg1, arg2)
+  async _eachAccount (addrType, fn, abortSignal) {
     const accounts = await this.getAccountIndex()
-    const syncState = await this.getSyncState(addrType)
-
-    for (const account of accounts) {
-      const [purpose, accountIndex] = account
-      if (!syncState.path) {
-        let path = addrType === EXTERNAL_ADDR ? this.INIT_EXTERNAL_PATH : this.INIT_INTERNAL_PATH
-        path = HdWallet.setPurpose(path, purpose)
-        path = HdWallet.setAccount(path, accountIndex)
-        syncState.setPath(path)
+    let syncState = await this.getSyncState(addrType)
+
+    // Continue from the account of the saved sync state
+    const current = HdWallet.parsePath(syncState.path)
+    const start = Math.max(accounts.findIndex(([purpose, account]) => {
+      return purpose === current.purpose && account === current.account
+    }), 0)
+
+    for (let i = start; i < accounts.length; i++) {
+      const [purpose, account] = accounts[i]
+      if (i > start) {
+        syncState = this._newSyncState(addrType, purpose, account)
+        await this._setSyncState(syncState)
       }
-      const res = await this._processPath(syncState, fn)
+      const res = await this._processPath(syncState, fn, abortSignal)
       if (res === this._signal.stop) return
     }
 
     if (addrType === EXTERNAL_ADDR) {
       await this._updateSyncAddrType(INTERNAL_ADDR)
-      return this.eachAccount(INTERNAL_ADDR, fn)
+      return this._eachAccount(INTERNAL_ADDR, fn, abortSignal)
     }
+    // Every account of both chains is synced. The next pass starts over
+    await this.resetSyncState()
+    this.emit('reset-sync')
   }
 }
 
@@ -16,11 +16,18 @@
 
 const { EventEmitter } = require('events')
 const tls = require('tls')
+const { Logger } = require('../lib/logger.js')
+const { ProviderError, ERROR_CODES } = require('../lib/errors.js')
 
-/** @description TCP <> TLS adaptor **/
+/**
+* @description TCP <> TLS adaptor
+* @event error (ProviderError) - socket error, the original error is err.cause
+* @event end (ProviderError|undefined) - connection closed. The error is set when it was not closed with end()
+**/
 class Client extends EventEmitter {
   constructor (port, host, options, cb) {
     super()
+    this.logger = (options.logger || Logger.silent()).child({ module: 'tls-net', host })
     const socket = tls.connect(port, host, {
       handshakeTimeout: 10000,
       rejectUnauthorized: false
@@ -29,12 +36,13 @@ class Client extends EventEmitter {
     })
 
     socket.on('error', (err) => {
-      console.log(err)
-      this.emit('error', err)
+      this.logger.error('tls socket error', { err })
+      this.emit('error', new ProviderError(`connection to ${host} failed: ${err.message}`, ERROR_CODES.PROVIDER_DISCONNECTED, { cause: err }))
     })
 
     socket.on('close', () => {
-      this.emit('end')
+      this.logger.debug('tls socket closed')
+      this.emit('end', this._ending ? undefined : new ProviderError(`connection to ${host} is closed`, ERROR_CODES.PROVIDER_DISCONNECTED))
     })
 
     socket.on('data', (data) => {
@@ -42,6 +50,7 @@ class Client extends EventEmitter {
     })
 
     this._socket = socket
+    this._ending = false
   }
 
   write (data) {
@@ -49,17 +58,34 @@ class Client extends EventEmitter {
   }
 
   end () {
+    this._ending = true
     this._socket.end()
   }
 }
 
+/**
+* @description Use the class as net module, or an instance to pass options:
+* net: new TlsNet({ logger })
+*/
 class TlsNet {
-  static createConnection (port, host, options = {}, cb) {
+  /**
+  * @param {Object} opts
+  * @param {Logger} opts.logger - optional logger
+  */
+  constructor (opts = {}) {
+    this._opts = opts
+  }
+
+  createConnection (port, host, options = {}, cb) {
     if (typeof options === 'function') {
       cb = options
       options = {}
     }
-    return new Client(port, host, options, cb)
+    return new Client(port, host, { ...this._opts, ...options }, cb)
+  }
+
+  static createConnection (port, host, options, cb) {
+    return new TlsNet().createConnection(port, host, options, cb)
   }
 }
 
@@ -15,20 +15,29 @@
 //
 const { EventEmitter } = require('events')
 const WebSocket = require('./ws-client')
+const { Logger } = require('../lib/logger.js')
+const { ProviderError, ERROR_CODES } = require('../lib/errors.js')
 
-/** @description TCP <> Websocket adaptor **/
+/**
+* @description TCP <> Websocket adaptor
+* @event error (ProviderError) - websocket error, the original error is err.cause
+* @event end (ProviderError|undefined) - connection closed. The error is set when it was not closed with end()
+**/
 
 class Client extends EventEmitter {
-  constructor (port, host, cb) {
+  constructor (port, host, cb, logger) {
     super()
-    const ws = new WebSocket(`${host}:${port}`)
+    this._url = `${host}:${port}`
+    this.logger = logger.child({ url: this._url })
+    const ws = new WebSocket(this._url)
     ws.on('error', (err) => {
-      console.log(err)
-      this.emit('error', err)
+      this.logger.error('websocket error', { err })
+      this.emit('error', new ProviderError(`connection to ${this._url} failed: ${err?.message}`, ERROR_CODES.PROVIDER_DISCONNECTED, { cause: err }))
     })
 
-    ws.on('close', (err) => {
-      this.emit('end', err)
+    ws.on('close', (data) => {
+      this.logger.debug('websocket closed')
+      this.emit('end', this._ending ? undefined : new ProviderError(`connection to ${this._url} is closed`, ERROR_CODES.PROVIDER_DISCONNECTED, { cause: data }))
     })
 
     ws.on('data', (data) => {
@@ -40,6 +49,7 @@ class Client extends EventEmitter {
     })
 
     this._ws = ws
+    this._ending = false
   }
 
   write (data) {
@@ -47,13 +57,30 @@ class Client extends EventEmitter {
   }
 
   end () {
+    this._ending = true
     this._ws.close()
   }
 }
 
+/**
+* @description Use the class as net module, or an instance to pass options:
+* net: new WebsocketNet({ logger })
+*/
 class WebsocketNet {
+  /**
+  * @param {Object} opts
+  * @param {Logger} opts.logger - optional logger
+  */
+  constructor (opts = {}) {
+    this.logger = (opts.logger || Logger.silent()).child({ module: 'ws-net' })
+  }
+
+  createConnection (port, host, cb) {
+    return new Client(port, host, cb, this.logger)
+  }
+
   static createConnection (port, host, cb) {
-    return new Client(port, host, cb)
+    return new WebsocketNet().createConnection(port, host, cb)
   }
 }
 
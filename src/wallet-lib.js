@@ -14,6 +14,7 @@
 // limitations under the License.
 //
 const Wallet = require('./lib/wallet.js')
+const WebsocketNet = require('./modules/ws-net.js')
 
 const { WalletStoreHyperbee } = require('lib-wallet-store')
 const BIP39Seed = require('wallet-seed-bip39')
@@ -24,8 +25,8 @@ const { EthPay, Provider, erc20CurrencyFac, Erc20 } = require('lib-wallet-pay-et
 * this function is an example of how to setup various components of the wallet lib.
 */
 async function main (config = {}) {
-  // Generate seed for our wallet, if non exists.
-  const seed = await BIP39Seed.generate(config?.seed?.mnemonic)
+  // Generate seed for our wallet, if non exists. Watch-only wallets have no seed
+  const seed = config.watch ? null : await BIP39Seed.generate(config?.seed?.mnemonic)
 
   // Setup wallet store class. This is our data store abstraction
   const store = new WalletStoreHyperbee({
@@ -41,7 +42,7 @@ async function main (config = {}) {
     network: config.network || 'regtest',
     electrum: {
       // optional TCP to Websocket adaptor. This will allow you to connect to a websocket electrum node
-      net: require('./modules/ws-net.js'),
+      net: new WebsocketNet({ logger: config.logger }),
       host: config.electrum_host,
       port: config.electrum_port
     }
@@ -79,7 +80,18 @@ async function main (config = {}) {
   const wallet = new Wallet({
     store,
     seed,
-    assets: [btcPay, ethPay]
+    // Optional: watch-only keys by asset name, instead of a seed. { btc: { xpub }, eth: { addresses } }
+    watch: config.watch,
+    // A watch-only wallet only loads the assets it has watch keys for
+    assets: [btcPay, ethPay].filter((asset) => !config.watch || config.watch[asset.assetName]),
+    // Optional: structured logger. Default is silent
+    logger: config.logger,
+    // Optional: lock the wallet after inactivity. Requires wallet.setPassphrase
+    auto_lock: config.auto_lock,
+    // Optional: exchange rates for fiat values. See PriceOracle
+    price_oracle: config.price_oracle,
+    // Optional: sync assets in the background, every sync_interval ms and on new blocks
+    sync_interval: config.sync_interval
   })
 
   await wallet.initialize()
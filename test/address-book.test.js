@@ -0,0 +1,122 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const { FailingStore, newWallet } = require('./mock-pay.js')
+
+async function expectCode (t, promise, code) {
+  try {
+    await promise
+    t.fail('should throw ' + code)
+  } catch (err) {
+    t.is(err.code, code, code)
+  }
+}
+
+test('address book: contacts are saved in the store', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const wallet = await newWallet(null, { store })
+  const book = wallet.addressBook
+
+  await book.addContact('alice', {
+    label: 'Alice',
+    addresses: [{ asset: 'btc', address: 'btc_alice', label: 'savings' }]
+  })
+  await book.addAddress('alice', { asset: 'eth', token: 'USDT', address: 'eth_alice' })
+  await book.updateContact('alice', { note: 'landlord' })
+
+  const restored = await newWallet(null, { store })
+  const alice = await restored.addressBook.get('alice')
+  t.is(alice.label, 'Alice', 'label')
+  t.is(alice.note, 'landlord', 'note')
+  t.alike(alice.addresses, [
+    { asset: 'btc', token: null, address: 'btc_alice', label: 'savings', note: null },
+    { asset: 'eth', token: 'USDT', address: 'eth_alice', label: null, note: null }
+  ], 'addresses')
+  t.is((await restored.addressBook.list()).length, 1, 'list')
+
+  alice.addresses.pop()
+  t.is((await restored.addressBook.get('alice')).addresses.length, 2, 'returned contacts are copies')
+
+  t.ok(await restored.addressBook.removeAddress('alice', { asset: 'btc', address: 'btc_alice' }), 'address removed')
+  t.is(await restored.addressBook.resolve('alice', 'eth', 'USDT'), 'eth_alice', 'resolve token address')
+  await expectCode(t, restored.addressBook.resolve('alice', 'btc'), 'ADDRESS_NOT_FOUND')
+
+  t.ok(await restored.addressBook.removeContact('alice'), 'contact removed')
+  t.absent(await restored.addressBook.get('alice'), 'contact is gone')
+  await wallet.destroy()
+  await restored.destroy()
+})
+
+test('address book: addresses are validated by the asset', async (t) => {
+  const wallet = await newWallet()
+  const book = wallet.addressBook
+
+  await expectCode(t, book.addContact('bob', { addresses: [{ asset: 'btc', address: 'eth_bob' }] }), 'INVALID_ADDRESS')
+  t.absent(await book.get('bob'), 'contact with invalid address is not saved')
+
+  await book.addContact('bob')
+  await expectCode(t, book.addContact('bob'), 'CONTACT_EXISTS')
+  await expectCode(t, book.addAddress('bob', { asset: 'xmr', address: 'xmr_bob' }), 'ASSET_NOT_FOUND')
+  await expectCode(t, book.addAddress('bob', { asset: 'eth', token: 'dai', address: 'eth_bob' }), 'TOKEN_NOT_FOUND')
+  await expectCode(t, book.addAddress('carol', { asset: 'btc', address: 'btc_carol' }), 'CONTACT_NOT_FOUND')
+
+  await book.addAddress('bob', { asset: 'btc', address: 'btc_bob' })
+  await expectCode(t, book.addAddress('bob', { asset: 'btc', address: 'btc_bob' }), 'ADDRESS_EXISTS')
+  await wallet.destroy()
+})
+
+test('address book: send to a contact', async (t) => {
+  const wallet = await newWallet(null, { policy: { btc: { allow: ['btc_alice'] } } })
+  await wallet.addressBook.addContact('alice', {
+    addresses: [
+      { asset: 'btc', address: 'btc_alice' },
+      { asset: 'btc', address: 'btc_alice2' },
+      { asset: 'eth', token: 'USDT', address: 'eth_alice' }
+    ]
+  })
+
+  await wallet.pay.btc.sendTransaction({}, { contact: 'alice', amount: '0.1' })
+  t.is(wallet.pay.btc.sent[0].outgoing.address, 'btc_alice', 'first btc address is used')
+
+  const draft = await wallet.prepareTransaction({ asset: 'eth', token: 'USDT' }, { contact: 'alice', amount: '1' })
+  t.is(draft.recipient, 'eth_alice', 'token address is used')
+
+  await expectCode(t, wallet.pay.eth.sendTransaction({}, { contact: 'alice', amount: '1' }), 'ADDRESS_NOT_FOUND')
+  await expectCode(t, wallet.pay.btc.sendTransaction({}, { contact: 'bob', amount: '1' }), 'CONTACT_NOT_FOUND')
+  t.is(wallet.pay.btc.sent.length, 1, 'failed sends are not broadcast')
+  await wallet.destroy()
+})
+
+test('address book: failed writes', async (t) => {
+  const store = new FailingStore()
+  const wallet = await newWallet(null, { store })
+  const book = wallet.addressBook
+
+  store.failPut = true
+  await t.exception(book.addContact('alice', { addresses: [{ asset: 'btc', address: 'btc_alice' }] }), /store write failed/)
+  t.is(await book.get('alice'), null, 'contact that was not saved is dropped')
+
+  store.failPut = false
+  await book.addContact('alice', { addresses: [{ asset: 'btc', address: 'btc_alice' }] })
+  t.is((await store.get('address_book')).alice.name, 'alice', 'later writes are saved')
+
+  store.failPut = true
+  await t.exception(book.removeContact('alice'), /store write failed/)
+  t.ok(await book.get('alice'), 'contact is kept when the remove was not saved')
+  store.failPut = false
+  await wallet.destroy()
+})
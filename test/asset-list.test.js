@@ -35,7 +35,8 @@ t.test('set method throws error for duplicate assets', () => {
   const list = new AssetList()
   list.set('asset1', 'value1')
   assert.throws(() => list.set('asset1', 'value2'), {
-    name: 'Error',
+    name: 'WalletError',
+    code: 'ASSET_EXISTS',
     message: 'Asset already exists asset1'
   })
 })
@@ -65,3 +66,34 @@ t.test('_define method creates non-enumerable properties', () => {
   assert.strictEqual(Object.keys(list).length, 0)
   assert.strictEqual(list.size, 0)
 })
+
+t.test('delete method removes assets', () => {
+  const list = new AssetList()
+  list.set('asset1', 'value1')
+  list.set('asset2', 'value2')
+  assert.strictEqual(list.delete('asset1'), 'value1')
+  assert.strictEqual(list.size, 1)
+  assert.deepStrictEqual(list.keys, ['asset2'])
+  assert.strictEqual(list.exists('asset1'), false)
+  assert.deepStrictEqual([...list], ['value2'])
+
+  list.set('asset1', 'value3')
+  assert.deepStrictEqual(list.keys, ['asset2', 'asset1'])
+  assert.throws(() => list.delete('asset3'), {
+    code: 'ASSET_NOT_FOUND'
+  })
+})
+
+t.test('replace method keeps the position of the asset', () => {
+  const list = new AssetList()
+  list.set('asset1', 'value1')
+  list.set('asset2', 'value2')
+  assert.strictEqual(list.replace('asset1', 'value3'), 'value3')
+  assert.strictEqual(list.size, 2)
+  assert.deepStrictEqual(list.keys, ['asset1', 'asset2'])
+  assert.deepStrictEqual([...list], ['value3', 'value2'])
+  assert.deepStrictEqual(Object.keys(list), ['asset1', 'asset2'])
+  assert.throws(() => list.replace('asset3', 'value4'), {
+    code: 'ASSET_NOT_FOUND'
+  })
+})
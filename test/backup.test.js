@@ -0,0 +1,120 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const Wallet = require('../src/lib/wallet.js')
+const SecretBox = require('../src/lib/secret-box.js')
+const { MockPay, MockSeed, MNEMONIC, seed } = require('./mock-pay.js')
+
+test('SecretBox: encrypt and decrypt', async (t) => {
+  const box = await SecretBox.encrypt(Buffer.from('secret data'), 'passphrase')
+  t.is(box.version, 1, 'versioned')
+  t.ok(!box.data.includes('secret'), 'data is encrypted')
+  const data = await SecretBox.decrypt(box, 'passphrase')
+  t.is(data.toString(), 'secret data', 'decrypted')
+
+  try {
+    await SecretBox.decrypt(box, 'wrong')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'DECRYPT_FAILED', 'wrong passphrase')
+  }
+
+  try {
+    await SecretBox.decrypt({ ...box, kdf: { ...box.kdf, N: 16384 } }, 'passphrase')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'DECRYPT_FAILED', 'header is authenticated')
+  }
+
+  for (const kdf of [{ N: 2 ** 30 }, { r: 2 ** 20 }, { p: 1000 }, { N: '32768' }, { salt: 'zz' }]) {
+    try {
+      await SecretBox.decrypt({ ...box, kdf: { ...box.kdf, ...kdf } }, 'passphrase')
+      t.fail('should throw')
+    } catch (err) {
+      t.is(err.code, 'DECRYPT_FAILED', `kdf params are rejected before deriving: ${JSON.stringify(kdf)}`)
+    }
+  }
+})
+
+test('exportBackup: watch-only wallet', async (t) => {
+  const watch = { eth: { addresses: ['eth_hot1'] } }
+  const store = new WalletStoreHyperbee()
+  const wallet = new Wallet({ store, watch, assets: [new MockPay({ asset_name: 'eth' })] })
+  await wallet.initialize()
+  await store.put('address_index', ['eth_hot1'])
+
+  const bundle = await wallet.exportBackup('correct horse')
+  await wallet.destroy()
+
+  const newStore = new WalletStoreHyperbee()
+  const restored = await Wallet.restoreBackup(bundle, 'correct horse', {
+    store: newStore,
+    assets: [new MockPay({ asset_name: 'eth' })]
+  })
+  t.ok(restored.isWatchOnly, 'restored wallet is watch-only')
+  t.alike(restored.getWatchKey('eth'), watch.eth, 'watch keys are restored')
+  t.alike(await newStore.get('address_index'), ['eth_hot1'], 'wallet store is restored')
+  await restored.destroy()
+})
+
+test('exportBackup and restoreBackup', async (t) => {
+  const store = new WalletStoreHyperbee()
+  await store.init()
+  const ethStore = new WalletStoreHyperbee()
+  await ethStore.init()
+  const wallet = new Wallet({
+    store,
+    seed,
+    assets: [
+      new MockPay({ asset_name: 'btc' }),
+      new MockPay({ asset_name: 'eth', store: ethStore })
+    ]
+  })
+  await wallet.initialize()
+  await store.put('address_index', ['addr1', 'addr2'])
+  await store.put('sync_state_external', { gap: 2, path: "m/84'/1'/0'/0/2" })
+  await ethStore.put('current_external_path', "m/44'/60'/0'/0/3")
+
+  const bundle = await wallet.exportBackup('correct horse')
+  t.is(typeof bundle, 'string', 'bundle is a string')
+  t.ok(!bundle.includes('sell clock'), 'seed is not in plain text')
+  await wallet.destroy()
+
+  try {
+    await Wallet.restoreBackup(bundle, 'wrong', { store: new WalletStoreHyperbee(), seed_class: MockSeed })
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'DECRYPT_FAILED', 'wrong passphrase is rejected')
+  }
+
+  const newStore = new WalletStoreHyperbee()
+  const newEthStore = new WalletStoreHyperbee()
+  const restored = await Wallet.restoreBackup(bundle, 'correct horse', {
+    store: newStore,
+    seed_class: MockSeed,
+    assets: [
+      new MockPay({ asset_name: 'btc' }),
+      new MockPay({ asset_name: 'eth', store: newEthStore })
+    ]
+  })
+  t.is(restored.state, 'ready', 'restored wallet is ready')
+  t.is(restored.seed.mnemonic, MNEMONIC, 'seed is restored')
+  t.alike(await newStore.get('address_index'), ['addr1', 'addr2'], 'wallet store is restored')
+  t.alike(await newStore.get('sync_state_external'), { gap: 2, path: "m/84'/1'/0'/0/2" }, 'sync state is restored')
+  t.is(await newEthStore.get('current_external_path'), "m/44'/60'/0'/0/3", 'asset store is restored')
+  await restored.destroy()
+})
@@ -104,3 +104,18 @@ test('isUnitOf method', async (t) => {
     t.ok(err.message === 'method not implemented', 'isUnitOf should throw correct error')
   }
 })
+
+test('toFiat', async (t) => {
+  const { currencyFac } = require('./mock-pay.js')
+  const BTC = currencyFac('BTC', 8)
+  const amount = new BTC(150000000, 'base')
+  t.is(amount.toFiat(60000), '90000', 'number rate')
+  t.is(amount.toFiat('0.5'), '0.75', 'string rate')
+  t.is(amount.toFiat({ rate: '2', timestamp: 0 }), '3', 'oracle rate')
+  try {
+    amount.toFiat('abc')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'BAD_ARGS', 'invalid rate')
+  }
+})
@@ -0,0 +1,105 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { ERROR_CODES, WalletError, WalletPayError, HdWalletError, ProviderError } = require('../index.js')
+const WalletPay = require('../src/lib/wallet-pay.js')
+const HdWallet = require('../src/modules/hdwallet.js')
+const TlsNet = require('../src/modules/tls-net.js')
+const WebsocketNet = require('../src/modules/ws-net.js')
+const net = require('net')
+const WS = require('ws')
+
+test('error classes', async (t) => {
+  const err = new WalletPayError('failed', ERROR_CODES.NOT_IMPLEMENTED)
+  t.ok(err instanceof WalletError, 'extends WalletError')
+  t.ok(err instanceof Error, 'extends Error')
+  t.is(err.name, 'WalletPayError', 'name is the class name')
+  t.is(err.code, 'NOT_IMPLEMENTED', 'code is set')
+
+  const cause = new Error('root')
+  t.is(new WalletError('wrapped', ERROR_CODES.BAD_ARGS, { cause }).cause, cause, 'cause is kept')
+})
+
+test('WalletPay error codes', async (t) => {
+  try {
+    const pay = new WalletPay({ network: 'regtest' })
+    t.fail('should throw ' + pay)
+  } catch (err) {
+    t.is(err.code, ERROR_CODES.BAD_ARGS, 'missing asset name')
+  }
+
+  const pay = new WalletPay({ asset_name: 'xyz', network: 'regtest' })
+  try {
+    await pay.getBalance()
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, ERROR_CODES.NOT_IMPLEMENTED, 'not implemented')
+  }
+
+  try {
+    await pay.callToken('getBalance', 'USDT', [])
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, ERROR_CODES.TOKEN_NOT_FOUND, 'token not found')
+  }
+})
+
+test('HdWallet error codes', async (t) => {
+  try {
+    HdWallet.parsePath('invalid')
+    t.fail('should throw')
+  } catch (err) {
+    t.ok(err instanceof HdWalletError, 'HdWalletError')
+    t.is(err.code, ERROR_CODES.INVALID_PATH, 'invalid path')
+  }
+})
+
+test('ProviderError: connection errors and closes', async (t) => {
+  // Port without a server
+  const server = net.createServer()
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  await new Promise((resolve) => server.close(resolve))
+
+  const client = TlsNet.createConnection(port, '127.0.0.1')
+  const [err] = await Promise.all([
+    new Promise((resolve) => client.once('error', resolve)),
+    new Promise((resolve) => client.once('end', resolve))
+  ])
+  t.ok(err instanceof ProviderError, 'tls error is a ProviderError')
+  t.is(err.code, 'PROVIDER_DISCONNECTED', 'code')
+  t.is(err.cause.code, 'ECONNREFUSED', 'original error is the cause')
+
+  const wss = new WS.Server({ port: 0, host: '127.0.0.1' })
+  await new Promise((resolve) => wss.once('listening', resolve))
+  const url = 'ws://127.0.0.1'
+  const wsPort = wss.address().port
+  const connect = () => new Promise((resolve) => {
+    const ws = WebsocketNet.createConnection(wsPort, url, () => resolve(ws))
+  })
+
+  let ws = await connect()
+  let ended = new Promise((resolve) => ws.once('end', resolve))
+  for (const socket of wss.clients) socket.terminate()
+  const closed = await ended
+  t.ok(closed instanceof ProviderError, 'connection closed by the server')
+  t.is(closed.code, 'PROVIDER_DISCONNECTED', 'code')
+
+  ws = await connect()
+  ended = new Promise((resolve) => ws.once('end', resolve))
+  ws.end()
+  t.is(await ended, undefined, 'connection closed with end() has no error')
+  await new Promise((resolve) => wss.close(resolve))
+})
@@ -0,0 +1,129 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const HdPath = require('../src/modules/hd-path.js')
+const { ERROR_CODES } = require('../src/lib/errors.js')
+
+function throwsCode (t, fn, code, msg) {
+  try {
+    fn()
+    t.fail(msg)
+  } catch (err) {
+    t.is(err.code, code, msg)
+  }
+}
+
+test('HdPath.parse', async (t) => {
+  t.alike(HdPath.parse("m/44'/60'/0'/0"), [
+    { index: 44, hardened: true },
+    { index: 60, hardened: true },
+    { index: 0, hardened: true },
+    { index: 0, hardened: false }
+  ], 'path with 4 segments')
+  t.alike(HdPath.parse('m/44h/0H/1\'/2/3'), HdPath.parse("m/44'/0'/1'/2/3"), 'h, H and \' are the same')
+  t.alike(HdPath.parse('m'), [], 'root has no segments')
+  t.alike(HdPath.parse('M/0/1'), [{ index: 0, hardened: false }, { index: 1, hardened: false }], 'M root')
+  t.alike(HdPath.parse("m/13'/2147483647'/2147483647"), [
+    { index: 13, hardened: true },
+    { index: 2147483647, hardened: true },
+    { index: 2147483647, hardened: false }
+  ], 'largest index')
+
+  const invalid = [
+    '',
+    "44'/0'",
+    'x/0',
+    'm/',
+    'm//0',
+    'm/-1',
+    'm/01',
+    'm/1.5',
+    "m/0''",
+    'm/0x',
+    'm/2147483648',
+    "m/2147483648'",
+    'm/0/' + '0/'.repeat(255) + '0'
+  ]
+  for (const path of invalid) {
+    throwsCode(t, () => HdPath.parse(path), ERROR_CODES.INVALID_PATH, `invalid: ${path.slice(0, 20)}`)
+  }
+  throwsCode(t, () => HdPath.parse(44), ERROR_CODES.INVALID_PATH, 'not a string')
+})
+
+test('HdPath.validate and depth', async (t) => {
+  t.ok(HdPath.validate("m/44'/0'/0'/0/0"), 'valid path')
+  t.ok(HdPath.validate("m/9000'/1h/7"), 'custom path')
+  t.absent(HdPath.validate('m/a'), 'invalid segment')
+  t.absent(HdPath.validate(null), 'not a string')
+  t.is(HdPath.depth('m'), 0)
+  t.is(HdPath.depth("m/44'/60'/0'/0"), 4)
+  t.is(HdPath.depth("m/84'/0'/0'/1/5"), 5)
+})
+
+test('HdPath.segment', async (t) => {
+  t.alike(HdPath.segment(5), { index: 5, hardened: false }, 'number')
+  t.alike(HdPath.segment("5'"), { index: 5, hardened: true }, "'")
+  t.alike(HdPath.segment('5h'), { index: 5, hardened: true }, 'h')
+  t.alike(HdPath.segment('5'), { index: 5, hardened: false }, 'string')
+  t.alike(HdPath.segment({ index: 5, hardened: true }), { index: 5, hardened: true }, 'object')
+  throwsCode(t, () => HdPath.segment(-1), ERROR_CODES.INVALID_PATH, 'negative')
+  throwsCode(t, () => HdPath.segment(1.5), ERROR_CODES.INVALID_PATH, 'not an integer')
+  throwsCode(t, () => HdPath.segment(HdPath.HARDENED_OFFSET), ERROR_CODES.INVALID_PATH, 'hardened offset is out of range')
+  throwsCode(t, () => HdPath.segment({ index: '1' }), ERROR_CODES.INVALID_PATH, 'object index is not a number')
+
+  t.ok(HdPath.isHardened("44'"))
+  t.ok(HdPath.isHardened('44h'))
+  t.absent(HdPath.isHardened('44'))
+  t.absent(HdPath.isHardened(44))
+  t.is(HdPath.childNumber("44'"), 0x8000002c, 'hardened child number')
+  t.is(HdPath.childNumber('44'), 44, 'normal child number')
+})
+
+test('HdPath.serialize and normalize', async (t) => {
+  const segments = [{ index: 44, hardened: true }, "60'", '0h', 0, '1']
+  t.is(HdPath.serialize(segments), "m/44'/60'/0'/0/1", "' notation")
+  t.is(HdPath.serialize(segments, { notation: 'h' }), 'm/44h/60h/0h/0/1', 'h notation')
+  t.is(HdPath.serialize([]), 'm', 'root')
+  throwsCode(t, () => HdPath.serialize(segments, { notation: 'H' }), ERROR_CODES.BAD_ARGS, 'invalid notation')
+  throwsCode(t, () => HdPath.serialize([2 ** 31]), ERROR_CODES.INVALID_PATH, 'index out of range')
+
+  t.is(HdPath.normalize('M/44h/0H/0\'/0/0'), "m/44'/0'/0'/0/0", 'normalize to \'')
+  t.is(HdPath.normalize("m/44'/0'/0'/0/0", { notation: 'h' }), 'm/44h/0h/0h/0/0', 'normalize to h')
+  const path = "m/49'/1'/3'/1/9"
+  t.is(HdPath.serialize(HdPath.parse(path)), path, 'parse and serialize round trip')
+})
+
+test('HdPath.compare and equals', async (t) => {
+  t.ok(HdPath.equals("m/44'/0'/0'/0/0", 'm/44h/0h/0h/0/0'), 'same path in other notation')
+  t.absent(HdPath.equals("m/44'/0'/0'/0/0", "m/44'/0'/0'/0/1"))
+  t.absent(HdPath.equals("m/44'/0'/0'/0", "m/44'/0'/0'/0/0"), 'parent is not child')
+  t.absent(HdPath.equals('m/0', "m/0'"), 'hardened is not normal')
+
+  t.is(HdPath.compare('m/0/1', 'm/0/2'), -1)
+  t.is(HdPath.compare('m/0/10', 'm/0/2'), 1, 'numeric order')
+  t.is(HdPath.compare("m/0'", 'm/1'), 1, 'hardened after normal')
+  t.is(HdPath.compare("m/44'/0'", "m/44'/0'/0"), -1, 'parent first')
+  t.is(HdPath.compare('m/1h', "m/1'"), 0)
+
+  const paths = ["m/84'/0'/0'/1/0", "m/44'/0'/0'/0/10", "m/44'/0'/0'/0/2", "m/44'/0'/1'/0/0", "m/44'/0'/0'"]
+  t.alike(paths.slice().sort(HdPath.compare), [
+    "m/44'/0'/0'",
+    "m/44'/0'/0'/0/2",
+    "m/44'/0'/0'/0/10",
+    "m/44'/0'/1'/0/0",
+    "m/84'/0'/0'/1/0"
+  ], 'sort paths')
+})
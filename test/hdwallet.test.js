@@ -196,6 +196,37 @@ test('HdWallet static methods', (t) => {
   })
 })
 
+test('HdWallet paths: notation and hardened indexes', (t) => {
+  t.alike(HdWallet.parsePath('m/44h/0h/1h/0/3'), {
+    purpose: "44'",
+    coin_type: "0'",
+    account: "1'",
+    change: 0,
+    index: 3
+  }, 'h is normalized')
+  t.alike(HdWallet.parsePath("m/44'/0'/0'/0'/7'"), {
+    purpose: "44'",
+    coin_type: "0'",
+    account: "0'",
+    change: "0'",
+    index: "7'"
+  }, 'hardened change and index')
+  t.is(HdWallet.mergePath(HdWallet.parsePath('m/44h/0h/1h/0/3')), "m/44'/0'/1'/0/3", 'merged with \'')
+
+  t.is(HdWallet.bumpIndex("m/44'/0'/0'/0'/7'"), "m/44'/0'/0'/0'/8'", 'hardened index stays hardened')
+  t.is(HdWallet.setChangeIndex("m/44'/0'/0'/0/0", "4'"), "m/44'/0'/0'/1/4'", 'hardened change index')
+  t.is(HdWallet.setAccount("m/44'/0'/0'/0/0", 3), "m/44'/0'/3'/0/0", 'account number')
+  t.is(HdWallet.setAccount("m/44'/0'/0'/0/0", '3h'), "m/44'/0'/3'/0/0", 'account with h')
+  t.is(HdWallet.bumpAccount('m/44h/0h/9h/0/0'), "m/44'/0'/10'/0/0")
+  t.is(HdWallet.formatAccount(2), "2'")
+
+  for (const path of ["m/44'/60'/0'/0", "m/44'/0'/0'/0/0/0", "m/44'/0'/0'/0/x", "m/44'/0'/0'/0/2147483648"]) {
+    t.exception(() => HdWallet.parsePath(path), /Invalid HD path/, `invalid: ${path}`)
+  }
+  t.exception(() => HdWallet.bumpIndex("m/44'/0'/0'/0/2147483647"), /out of range/, 'index overflow')
+  t.exception(() => HdWallet.setAccount("m/44'/0'/0'/0/0", -1), /out of range/, 'negative account')
+})
+
 test('eachAccount: gap limit', async function (t) {
   const store = new WalletStoreHyperbee()
   const hd = new HdWallet({
@@ -214,6 +245,17 @@ test('eachAccount: gap limit', async function (t) {
   })
 })
 
+test('updateLastPath: hardened change segments', async (t) => {
+  const hd = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'" })
+  await hd.init()
+
+  await hd.updateLastPath("m/84'/0'/0'/0'/4")
+  t.is(await hd.getLastExtPath(), "m/84'/0'/0'/0'/4", 'hardened external change is external')
+  t.is(await hd.getLastIntPath(), "m/84'/0'/0'/1/0", 'internal path is not changed')
+  await hd.updateLastPath("m/84'/0'/0'/1h/2")
+  t.is(await hd.getLastIntPath(), "m/84'/0'/0'/1h/2", 'hardened internal change is internal')
+})
+
 test('eachAccount - respects the stop signal', async (t) => {
   const store = new WalletStoreHyperbee()
   const hd = new HdWallet({
@@ -265,3 +307,281 @@ test('eachAccount - handles hasTx signal correctly', async (t) => {
   const lp = await hd.getLastExtPath()
   t.ok(lp === "m/84'/0'/0'/0/2", 'Should bump the path when hasTx signal is returned')
 })
+
+test('eachAccount - sync progress', async (t) => {
+  const hd = new HdWallet({
+    store: new WalletStoreHyperbee(),
+    coinType: "0'",
+    purpose: "84'",
+    gapLimit: 2
+  })
+  await hd.init()
+
+  const events = []
+  hd.on('sync-progress', (progress) => events.push(progress))
+  let count = 0
+  await hd.eachAccount(async (syncType, signal) => {
+    count++
+    return count === 1 ? signal.hasTx : signal.noTx
+  })
+
+  t.is(events.length, count, 'one event per path')
+  t.alike(events[0], {
+    addr_type: 'external',
+    path: "m/84'/0'/0'/0/0",
+    gap: 1,
+    gap_end: 3,
+    scanned: 1,
+    tx_found: 1,
+    eta: events[0].eta
+  }, 'first path')
+  t.ok(Number.isInteger(events[0].eta) && events[0].eta >= 0, 'eta in ms')
+  const last = events[events.length - 1]
+  t.is(last.addr_type, 'internal', 'internal chain is scanned last')
+  t.is(last.path, "m/84'/0'/0'/1/2", 'last path')
+  t.is(last.scanned, count, 'addresses scanned')
+  t.is(last.tx_found, 1, 'transactions found')
+  t.is(last.eta, 0, 'nothing left to scan')
+})
+
+test('eachAccount - abort signal', async (t) => {
+  const hd = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'" })
+  await hd.init()
+
+  const controller = new AbortController()
+  const paths = []
+  await hd.eachAccount(async (syncState, signal) => {
+    paths.push(syncState.path)
+    if (paths.length === 3) controller.abort()
+    return signal.noTx
+  }, { signal: controller.signal })
+  t.is(paths.length, 3, 'stopped after the path that aborted')
+
+  let next
+  await hd.eachAccount('external', async (syncState, signal) => {
+    next = syncState.path
+    return signal.stop
+  }, { signal: new AbortController().signal })
+  t.is(next, "m/84'/0'/0'/0/3", 'next run resumes from the next path')
+
+  let called = false
+  await hd.eachAccount(() => {
+    called = true
+  }, { signal: AbortSignal.abort() })
+  t.absent(called, 'aborted signal stops before the first path')
+})
+
+test('createAccount: addresses and sync per account', async (t) => {
+  const hd = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'", gapLimit: 1 })
+  await hd.init()
+
+  t.alike(await hd.createAccount(), { purpose: "84'", account: "1'" }, 'second account')
+  t.alike(await hd.createAccount(), { purpose: "84'", account: "2'" }, 'third account')
+  t.alike((await hd.getAccounts()).map((a) => a.account), ["0'", "1'", "2'"], 'accounts')
+
+  const newAddrFn = (name) => (path) => ({ addr: { address: name, path } })
+  await t.exception(() => hd.getNewAddress('ext', newAddrFn('acct5'), { account: 5 }), /account does not exist/, 'unknown account rejected')
+  const res = await hd.getNewAddress('ext', newAddrFn('acct1-a'), { account: 1 })
+  t.is(res.addr.path, "m/84'/0'/1'/0/0", 'address of account 1')
+  await hd.getNewAddress('ext', newAddrFn('acct1-b'), { account: "1'" })
+  await hd.getNewAddress('in', newAddrFn('acct1-change'), { account: 1 })
+  await hd.getNewAddress('ext', newAddrFn('acct0'))
+  t.is(await hd.getLastExtPath(1), "m/84'/0'/1'/0/2", 'last path of account 1')
+  t.is(await hd.getLastExtPath(), "m/84'/0'/0'/0/1", 'account 0 is not changed')
+  t.is(await hd.store.get('current_external_path'), "m/84'/0'/0'/0/1", 'account 0 uses the original key')
+  t.alike((await hd.getAccountAddresses(1)).map((a) => a.address), ['acct1-a', 'acct1-b', 'acct1-change'], 'addresses of account 1')
+
+  const paths = []
+  await hd.eachAccount(async (syncState, signal) => {
+    paths.push(syncState.path)
+    return signal.noTx
+  })
+  const accounts = (type) => Array.from(new Set(paths.filter((p) => p.split('/')[4] === type).map((p) => p.split('/')[3])))
+  t.alike(accounts('0'), ["0'", "1'", "2'"], 'external chain of every account is synced')
+  t.alike(accounts('1'), ["0'", "1'", "2'"], 'internal chain of every account is synced')
+
+  // Accounts found by discovery are added out of order
+  await hd._addAccount("84'", "5'")
+  await hd._addAccount("84'", "3'")
+  t.alike(await hd.createAccount(), { purpose: "84'", account: "6'" }, 'next account is after the highest account')
+})
+
+test('eachAccount - resumes in the account it stopped', async (t) => {
+  const hd = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'", gapLimit: 1 })
+  await hd.init()
+  await hd.createAccount()
+
+  let stopped
+  await hd.eachAccount(async (syncState, signal) => {
+    if (syncState.path.startsWith("m/84'/0'/1'")) {
+      stopped = syncState.path
+      return signal.stop
+    }
+    return signal.noTx
+  })
+  let resumed
+  await hd.eachAccount(async (syncState, signal) => {
+    resumed = syncState.path
+    return signal.stop
+  })
+  t.is(stopped, "m/84'/0'/1'/0/0", 'stopped in account 1')
+  t.is(resumed, stopped, 'resumed in account 1')
+
+  // Abort the internal chain of account 1, after every other chain is done
+  const controller = new AbortController()
+  let resets = 0
+  hd.on('reset-sync', () => resets++)
+  await hd.eachAccount(async (syncState, signal) => {
+    if (syncState.path === "m/84'/0'/1'/1/0") controller.abort()
+    return signal.noTx
+  }, { signal: controller.signal })
+  const paths = []
+  await hd.eachAccount(async (syncState, signal) => {
+    paths.push(syncState.path)
+    return signal.noTx
+  })
+  t.is(paths[0], "m/84'/0'/1'/1/1", 'internal chain resumes where it stopped')
+  t.absent(paths.some((p) => p.split('/')[4] === '0'), 'external chain is not synced again')
+  t.is(resets, 1, 'sync state is reset once the pass is done')
+})
+
+test('discoverAccounts', async (t) => {
+  const hd = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'", gapLimit: 3 })
+  await hd.init()
+
+  // Transactions in account 0 and at index 2 of account 1
+  const used = ["m/84'/0'/0'/0/0", "m/84'/0'/1'/0/2"]
+  const scanned = []
+  const found = await hd.discoverAccounts(async (syncState, signal) => {
+    scanned.push(syncState.path)
+    return used.includes(syncState.path) ? signal.hasTx : signal.noTx
+  })
+  t.alike(found, [{ purpose: "84'", account: "0'" }, { purpose: "84'", account: "1'" }], 'accounts with transactions')
+  t.alike((await hd.getAccounts()).map((a) => a.account), ["0'", "1'"], 'accounts are added')
+  t.ok(scanned.includes("m/84'/0'/2'/0/3"), 'account 2 is scanned to the gap limit')
+  t.absent(scanned.some((p) => p.startsWith("m/84'/0'/3'")), 'discovery stops at the first unused account')
+
+  const controller = new AbortController()
+  controller.abort()
+  await t.exception(() => hd.discoverAccounts(() => { throw new Error('not called') }, { signal: controller.signal }), /aborted/, 'abort rejects')
+
+  const running = new AbortController()
+  try {
+    await hd.discoverAccounts(async (syncState, signal) => {
+      if (syncState.path === "m/84'/0'/1'/0/0") running.abort()
+      return signal.hasTx
+    }, { signal: running.signal })
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'ABORTED', 'abort during discovery rejects, partial results are not returned')
+  }
+})
+
+test('purposes: sync and discovery across purposes', async (t) => {
+  const hd = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purposes: ["84'", "44'", "86'"], gapLimit: 1 })
+  await hd.init()
+  t.is(hd.purpose, "84'", 'first purpose is preferred')
+  t.alike(await hd.getAccounts(), [
+    { purpose: "84'", account: "0'" },
+    { purpose: "44'", account: "0'" },
+    { purpose: "86'", account: "0'" }
+  ], 'account 0 of every purpose')
+
+  const paths = []
+  await hd.eachAccount(async (syncState, signal) => {
+    paths.push(syncState.path)
+    return signal.noTx
+  })
+  const purposes = Array.from(new Set(paths.map((p) => p.split('/')[1])))
+  t.alike(purposes, ["84'", "44'", "86'"], 'every purpose is synced')
+
+  // Legacy wallet with two accounts
+  const found = await hd.discoverAccounts(async (syncState, signal) => {
+    const parsed = HdWallet.parsePath(syncState.path)
+    return parsed.purpose === "44'" && parsed.account !== "2'" ? signal.hasTx : signal.noTx
+  })
+  t.alike(found, [{ purpose: "44'", account: "0'" }, { purpose: "44'", account: "1'" }], 'legacy accounts found')
+  t.ok((await hd.getAccounts()).some((a) => a.purpose === "44'" && a.account === "1'"), 'legacy account added')
+
+  t.alike(await hd.createAccount({ purpose: "86'" }), { purpose: "86'", account: "1'" }, 'account of another purpose')
+  await t.exception(() => hd.createAccount({ purpose: "49'" }), /purpose is not enabled/, 'unknown purpose')
+})
+
+test('purposes: new addresses and change routing', async (t) => {
+  const hd = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'", purposes: ["44'", "86'"] })
+  await hd.init()
+  t.alike(hd.purposes, ["84'", "44'", "86'"], 'preferred purpose first')
+
+  let n = 0
+  const newAddrFn = (path) => ({ addr: { address: 'addr' + n++, path } })
+  t.is((await hd.getNewAddress('ext', newAddrFn)).addr.path, "m/84'/0'/0'/0/0", 'receive address of the preferred purpose')
+  t.is((await hd.getNewAddress('ext', newAddrFn, { purpose: "86'" })).addr.path, "m/86'/0'/0'/0/0", 'receive address of a purpose')
+
+  let res = await hd.getChangeAddress(["m/44'/0'/0'/0/3", "m/44'/0'/0'/1/0"], newAddrFn)
+  t.is(res.addr.path, "m/44'/0'/0'/1/0", 'change of legacy inputs stays legacy')
+  res = await hd.getChangeAddress(["m/44'/0'/0'/0/3", "m/86'/0'/0'/0/0"], newAddrFn)
+  t.is(res.addr.path, "m/84'/0'/0'/1/0", 'mixed inputs use the preferred purpose')
+  res = await hd.getChangeAddress(["m/44'/0'/0'/0/3"], newAddrFn, { purpose: "86'" })
+  t.is(res.addr.path, "m/86'/0'/0'/1/0", 'purpose can be set')
+  t.is(await hd.getLastIntPath(0, "44'"), "m/44'/0'/0'/1/1", 'last change path of a purpose')
+})
+
+test('purposes: existing wallets are migrated', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const old = new HdWallet({ store, coinType: "0'", purpose: "84'" })
+  await old.init()
+  await old.getNewAddress('ext', (path) => ({ addr: { address: 'a84', path } }))
+
+  const hd = new HdWallet({ store, coinType: "0'", purpose: "86'", purposes: ["84'"] })
+  await hd.init()
+  t.alike((await hd.getAccounts()).map((a) => a.purpose), ["84'", "86'"], 'new purpose is added')
+  t.is(await hd.getLastExtPath(), "m/86'/0'/0'/0/0", 'preferred purpose starts at 0')
+  t.is(await hd.getLastExtPath(0, "84'"), "m/84'/0'/0'/0/1", 'path of the previous purpose is kept')
+
+  let first
+  await hd.eachAccount(async (syncState, signal) => {
+    first = first || syncState.path
+    return signal.stop
+  })
+  t.is(first, "m/84'/0'/0'/0/0", 'sync starts at the first account of the index')
+})
+
+test('parseExtendedKey', async (t) => {
+  const zpub = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs'
+  const res = HdWallet.parseExtendedKey(zpub)
+  t.is(res.prefix, 'zpub', 'prefix')
+  t.is(res.purpose, "84'", 'zpub is native segwit')
+  t.is(res.network, 'mainnet', 'network')
+
+  t.is(res.account, "0'", 'account')
+  t.is(res.public_key.length, 33, 'public key')
+
+  // The same account key with other versions
+  const xpub = 'xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQY3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V'
+  const vpub = 'vpub5YvMuJNjRSYon44z9QmCfdf8SqJRVNvz6m55Qy5iVjZQxDfUgtiQjnc7CC1fAbED2tAGCZRERUfvtn2DstZGU6HMns6dXXH2wujSc2wfi2x'
+  t.is(HdWallet.parseExtendedKey(xpub).purpose, "44'", 'xpub is legacy')
+  t.is(HdWallet.parseExtendedKey(vpub).network, 'testnet', 'vpub is testnet')
+
+  const master = 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8'
+  t.exception(() => HdWallet.parseExtendedKey(master), /not an account key/, 'master key rejected')
+  t.exception(() => HdWallet.parseExtendedKey('xprv' + xpub.slice(4)), /private keys/, 'private key rejected')
+  t.exception(() => HdWallet.parseExtendedKey(zpub.slice(0, 50)), /invalid extended public key/, 'short key rejected')
+  t.exception(() => HdWallet.parseExtendedKey('abcd' + zpub.slice(4)), /invalid extended public key/, 'unknown prefix rejected')
+  t.exception(() => HdWallet.parseExtendedKey('v' + zpub.slice(1)), /invalid extended public key/, 'prefix must match the key version')
+  t.exception(() => HdWallet.parseExtendedKey(zpub.slice(0, -1) + 't'), /invalid extended public key/, 'bad checksum rejected')
+
+  const wallet = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'", watch_key: zpub })
+  t.ok(wallet.isWatchOnly, 'hd wallet with a watch key')
+  t.exception(() => new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'", watch_key: xpub }), /not a key for purpose 84'/, 'key of another purpose rejected')
+  const taproot = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "86'", watch_key: xpub })
+  t.is(taproot.watchKey.prefix, 'xpub', 'taproot uses xpub')
+})
+
+test('importAddresses', async (t) => {
+  const wallet = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "60'", purpose: "44'" })
+  await wallet.init()
+  t.is(await wallet.importAddresses(['0xabc', '0xdef']), 2, 'addresses added')
+  t.is(await wallet.importAddresses(['0xabc', '0x123']), 1, 'existing address skipped')
+  t.alike(await wallet.getAllAddress(), ['0xabc', '0xdef', '0x123'], 'address index')
+  t.alike(await wallet.getAddress('0xabc'), { address: '0xabc', path: null, imported: true }, 'address record')
+})
@@ -0,0 +1,158 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const { FailingStore, newWallet } = require('./mock-pay.js')
+
+const HOUR = 60 * 60 * 1000
+
+// Simulate a payment to an invoice address
+async function pay (wallet, invoice, amount) {
+  const asset = wallet.pay[invoice.asset]
+  const target = invoice.token ? asset.getTokens().get(invoice.token) : asset
+  target.addrBalances[invoice.address] = amount
+  asset.emit('new-tx', { address: invoice.address })
+  // checks run in the background
+  await wallet.invoices._checking.idle()
+}
+
+test('invoices: payments update invoice status', async (t) => {
+  const clock = { time: 1000, now () { return this.time } }
+  const wallet = await newWallet(null, { clock })
+  const paid = []
+  wallet.on('invoice-paid', (inv) => paid.push(inv))
+
+  const inv = await wallet.invoices.create({ asset: 'btc', amount: '0.5', label: 'order 1' })
+  t.is(inv.address, 'btc_addr1', 'new address for invoice')
+  t.is(inv.status, 'unpaid', 'unpaid')
+  t.is(inv.amount.toBaseUnit(), '50000000', 'amount')
+  t.is(inv.expires_at, 1000 + HOUR, 'default expiry')
+
+  const other = await wallet.invoices.create({ asset: 'btc', amount: '1' })
+  t.is(other.address, 'btc_addr2', 'each invoice has its own address')
+
+  await pay(wallet, inv, '0.2')
+  let res = await wallet.invoices.get(inv.id)
+  t.is(res.status, 'partially_paid', 'partially paid')
+  t.is(res.received.toMainUnit(), '0.2', 'received')
+  t.is(paid.length, 0, 'not paid yet')
+
+  await pay(wallet, inv, '0.5')
+  res = await wallet.invoices.get(inv.id)
+  t.is(res.status, 'paid', 'paid')
+  t.is(res.paid_at, 1000, 'paid at')
+  t.is(paid.length, 1, 'invoice-paid emitted')
+  t.is(paid[0].id, inv.id, 'paid invoice')
+
+  await pay(wallet, other, '1.5')
+  t.is((await wallet.invoices.get(other.id)).status, 'overpaid', 'overpaid')
+  t.is(paid.length, 2, 'overpaid invoices are paid')
+
+  await pay(wallet, inv, '0')
+  res = await wallet.invoices.get(inv.id)
+  t.is(res.status, 'paid', 'paid invoices stay paid')
+  t.is(paid.length, 2, 'invoice-paid is emitted once')
+  await wallet.destroy()
+})
+
+test('invoices: expiry', async (t) => {
+  const clock = { time: 1000, now () { return this.time } }
+  const wallet = await newWallet(null, { clock })
+
+  const unpaid = await wallet.invoices.create({ asset: 'btc', amount: '1', expires_in: 1000 })
+  const late = await wallet.invoices.create({ asset: 'btc', amount: '1', expires_in: 1000 })
+  clock.time = 3000
+  t.is((await wallet.invoices.get(unpaid.id)).status, 'expired', 'expired')
+  t.is((await wallet.invoices.list({ status: 'expired' })).length, 2, 'list by status')
+
+  // A full payment seen after the expiry still pays the invoice
+  await pay(wallet, late, '1')
+  t.is((await wallet.invoices.check(late.id)).status, 'paid', 'paid')
+  t.is((await wallet.invoices.check(unpaid.id)).status, 'expired', 'check marks expired')
+
+  // Payment sent just before the expiry, seen after the invoice is marked expired
+  await pay(wallet, unpaid, '0.4')
+  t.is((await wallet.invoices.get(unpaid.id)).received.toMainUnit(), '0.4', 'expired invoice is checked in the grace period')
+  await pay(wallet, unpaid, '1')
+  t.is((await wallet.invoices.get(unpaid.id)).status, 'paid', 'late payment pays the expired invoice')
+
+  const old = await wallet.invoices.create({ asset: 'btc', amount: '1', expires_in: 1000 })
+  clock.time += 1000 + 25 * HOUR
+  await pay(wallet, old, '1')
+  t.is((await wallet.invoices.get(old.id)).status, 'expired', 'not checked after the grace period')
+
+  try {
+    await wallet.invoices.check('nope')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'INVOICE_NOT_FOUND', 'unknown invoice')
+  }
+  await wallet.destroy()
+})
+
+test('invoices: token invoices are kept in the store', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const wallet = await newWallet(null, { store })
+  const inv = await wallet.invoices.create({ asset: 'eth', token: 'USDT', amount: '25' })
+  t.is(inv.amount.toBaseUnit(), '25000000', 'token amount')
+
+  await pay(wallet, inv, '25')
+  t.is((await wallet.invoices.get(inv.id)).status, 'paid', 'token invoice paid')
+
+  const restored = await newWallet(null, { store })
+  const list = await restored.invoices.list({ asset: 'eth', token: 'USDT' })
+  t.is(list.length, 1, 'invoice restored')
+  t.is(list[0].status, 'paid', 'status restored')
+  t.is(list[0].received.toMainUnit(), '25', 'received restored')
+
+  try {
+    await wallet.invoices.create({ asset: 'btc', amount: '0' })
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'BAD_ARGS', 'amount must be positive')
+  }
+  await wallet.destroy()
+  await restored.destroy()
+})
+
+test('invoices: removed assets', async (t) => {
+  const wallet = await newWallet()
+  const btc = await wallet.invoices.create({ asset: 'btc', amount: '0.5' })
+  const eth = await wallet.invoices.create({ asset: 'eth', amount: '1' })
+  await wallet.removeAsset('btc')
+
+  const list = await wallet.invoices.list()
+  t.is(list.length, 2, 'invoices of removed assets are listed')
+  t.is(list[0].amount, '50000000', 'amount of a removed asset is in base unit')
+  t.is(list[1].amount.toMainUnit(), '1', 'other assets are not affected')
+  t.is((await wallet.invoices.get(btc.id)).id, btc.id, 'get invoice of a removed asset')
+  t.is((await wallet.invoices.get(eth.id)).status, 'unpaid', 'get invoice of another asset')
+  await wallet.destroy()
+})
+
+test('invoices: failed writes', async (t) => {
+  const store = new FailingStore()
+  const wallet = await newWallet(null, { store })
+
+  store.failPut = true
+  await t.exception(wallet.invoices.create({ asset: 'btc', amount: '1' }), /store write failed/)
+  t.is((await wallet.invoices.list()).length, 0, 'invoice that was not saved is dropped')
+
+  store.failPut = false
+  const inv = await wallet.invoices.create({ asset: 'btc', amount: '1' })
+  t.alike(await store.get('invoice_index'), [inv.id], 'later writes are saved')
+  await wallet.destroy()
+})
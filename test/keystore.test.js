@@ -0,0 +1,119 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const Keystore = require('../src/lib/keystore.js')
+const { MockPay, MNEMONIC, newWallet } = require('./mock-pay.js')
+
+function lockWallet (opts) {
+  return newWallet([new MockPay({ asset_name: 'btc', balance: '1' })], opts)
+}
+
+test('Keystore: encrypt seed', async (t) => {
+  const box = await Keystore.encryptSeed({ mnemonic: MNEMONIC }, 'pass')
+  t.ok(!JSON.stringify(box).includes('sell'), 'seed is encrypted')
+  t.alike(await Keystore.decryptSeed(box, 'pass'), { mnemonic: MNEMONIC }, 'seed is decrypted')
+})
+
+test('lock and unlock', async (t) => {
+  const wallet = await lockWallet()
+
+  try {
+    await wallet.lock()
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'INVALID_STATE', 'passphrase is required to lock')
+  }
+
+  await wallet.setPassphrase('pass')
+  await wallet.lock()
+  t.ok(wallet.isLocked, 'wallet is locked')
+  t.is(wallet.seed, null, 'seed is removed from memory')
+  t.is(wallet.pay.btc.keyManager.seed, null, 'seed is removed from the asset key manager')
+
+  try {
+    await wallet.pay.btc.sendTransaction({}, { address: 'addr', amount: 1 })
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'LOCKED', 'signing is rejected while locked')
+  }
+  t.is(wallet.pay.btc.sent.length, 0, 'nothing was sent')
+
+  try {
+    wallet.exportSeed()
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'LOCKED', 'seed export is rejected while locked')
+  }
+
+  const balance = await wallet.pay.btc.getBalance()
+  t.is(balance.confirmed.toMainUnit(), '1', 'read only calls work while locked')
+
+  try {
+    await wallet.unlock('wrong')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'DECRYPT_FAILED', 'wrong passphrase')
+  }
+  t.ok(wallet.isLocked, 'still locked')
+
+  await wallet.unlock('pass')
+  t.absent(wallet.isLocked, 'unlocked')
+  t.is(wallet.seed.mnemonic, MNEMONIC, 'seed is restored')
+  t.is(wallet.pay.btc.keyManager.seed, wallet.seed, 'seed is given back to the asset key manager')
+  await wallet.pay.btc.sendTransaction({}, { address: 'addr', amount: 1 })
+  t.is(wallet.pay.btc.sent.length, 1, 'signing works after unlock')
+  await wallet.destroy()
+})
+
+test('unlock: stored kdf params are checked', async (t) => {
+  const wallet = await lockWallet()
+  await wallet.setPassphrase('pass')
+  await wallet.lock()
+
+  const box = await wallet.store.get('wallet_keystore')
+  await wallet.store.put('wallet_keystore', { ...box, kdf: { ...box.kdf, N: 2 ** 30 } })
+  try {
+    await wallet.unlock('pass')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'DECRYPT_FAILED', 'kdf params of the store are rejected')
+  }
+  t.ok(wallet.isLocked, 'still locked')
+  await wallet.destroy()
+})
+
+test('lock: assets added while locked get the seed on unlock', async (t) => {
+  const wallet = await lockWallet()
+  await wallet.setPassphrase('pass')
+  await wallet.lock()
+  const eth = new MockPay({ asset_name: 'eth' })
+  await wallet.addAsset(eth)
+  t.is(eth.keyManager.seed, null, 'no seed while locked')
+  await wallet.unlock('pass')
+  t.is(eth.keyManager.seed, wallet.seed, 'seed after unlock')
+  await wallet.destroy()
+})
+
+test('auto lock', async (t) => {
+  const wallet = await lockWallet({ auto_lock: 50 })
+  await wallet.setPassphrase('pass')
+  // Auto lock timer does not keep the process alive
+  const keepAlive = setTimeout(() => {}, 1000)
+  await new Promise((resolve) => wallet.once('lock', resolve))
+  clearTimeout(keepAlive)
+  t.ok(wallet.isLocked, 'wallet locks after timeout')
+  await wallet.destroy()
+})
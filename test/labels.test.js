@@ -0,0 +1,126 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const Labels = require('../src/lib/labels.js')
+const { MockPay, FailingStore, newWallet } = require('./mock-pay.js')
+
+function labelWallet (store) {
+  return newWallet([
+    new MockPay({
+      asset_name: 'btc',
+      txs: [
+        { txid: 'b1', amount: 1000, direction: 0, timestamp: 1700000100 },
+        { txid: 'b2', amount: 2000, direction: 1, timestamp: 1700000300 }
+      ]
+    })
+  ], { store })
+}
+
+test('labels: set, update and remove', async (t) => {
+  const labels = new Labels({ store: new WalletStoreHyperbee() })
+  let res = await labels.set('tx', 'b1', { label: 'Rent', tags: ['housing', ' bills ', 'housing'] })
+  t.alike(res, { type: 'tx', ref: 'b1', label: 'Rent', note: null, tags: ['housing', 'bills'] }, 'record')
+
+  res = await labels.set('tx', 'b1', { note: 'march' })
+  t.is(res.label, 'Rent', 'fields that are not passed are kept')
+  t.is(res.note, 'march', 'note')
+
+  res = await labels.set('tx', 'b1', { label: null })
+  t.is(res.label, null, 'null clears a field')
+
+  await labels.set('addr', 'btc_alice', { label: 'Alice', tags: ['bills'] })
+  t.alike((await labels.findByTag('bills')).map((r) => r.ref), ['b1', 'btc_alice'], 'search by tag')
+  t.alike((await labels.findByTag('bills', 'addr')).map((r) => r.ref), ['btc_alice'], 'search by tag and type')
+
+  t.ok(await labels.remove('tx', 'b1'), 'removed')
+  t.absent(await labels.get('tx', 'b1'), 'record is gone')
+
+  try {
+    await labels.set('block', 'x', { label: 'x' })
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'BAD_ARGS', 'unknown type')
+  }
+})
+
+test('labels: transactions are enriched and searchable by tag', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const wallet = await labelWallet(store)
+  await wallet.labels.set('tx', 'b2', { label: 'Coffee', note: 'with bob', tags: ['food'] })
+
+  const restored = await labelWallet(store)
+  const { transactions } = await restored.getTransactions()
+  const b2 = transactions.find((tx) => tx.txid === 'b2')
+  t.is(b2.label, 'Coffee', 'label')
+  t.is(b2.note, 'with bob', 'note')
+  t.alike(b2.tags, ['food'], 'tags')
+  const b1 = transactions.find((tx) => tx.txid === 'b1')
+  t.is(b1.label, null, 'no label')
+  t.alike(b1.tags, [], 'no tags')
+
+  const tagged = await restored.getTransactions({ tag: 'food' })
+  t.alike(tagged.transactions.map((tx) => tx.txid), ['b2'], 'filter by tag')
+  await wallet.destroy()
+  await restored.destroy()
+})
+
+test('labels: BIP-329 export and import', async (t) => {
+  const labels = new Labels({ store: new WalletStoreHyperbee() })
+  await labels.set('tx', 'b1', { label: 'Rent', tags: ['housing'] })
+  await labels.set('addr', 'btc_alice', { label: 'Alice', spendable: false })
+
+  const jsonl = await labels.exportBip329()
+  t.is(jsonl,
+    '{"type":"tx","ref":"b1","label":"Rent","tags":["housing"]}\n' +
+    '{"type":"addr","ref":"btc_alice","label":"Alice","spendable":false}\n',
+    'json lines')
+
+  const other = new Labels({ store: new WalletStoreHyperbee() })
+  await other.set('tx', 'b1', { label: 'Old' })
+  const extra = '{"type":"output","ref":"b1:0","label":"change","origin":"wpkh([d34db33f/84\'/0\'/0\'])"}\n'
+  t.is(await other.importBip329(jsonl + '\n' + extra), 2, 'existing records are kept')
+  t.is((await other.get('tx', 'b1')).label, 'Old', 'not overwritten')
+  t.is((await other.get('output', 'b1:0')).origin, "wpkh([d34db33f/84'/0'/0'])", 'other types are kept')
+
+  t.is(await other.importBip329(jsonl, { overwrite: true }), 2, 'overwrite')
+  t.is((await other.get('tx', 'b1')).label, 'Rent', 'overwritten')
+
+  try {
+    await other.importBip329('{"type":"tx","ref":"b9"}\nnot json')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'BAD_ARGS', 'invalid line')
+    t.ok(err.message.includes('line 2'), 'line number in error')
+  }
+  t.absent(await other.get('tx', 'b9'), 'nothing is imported from an invalid file')
+})
+
+test('labels: failed writes', async (t) => {
+  const store = new FailingStore()
+  const labels = new Labels({ store })
+  await labels.set('tx', 'b1', { label: 'Rent' })
+
+  store.failPut = true
+  await t.exception(labels.set('tx', 'b1', { label: 'Food' }), /store write failed/)
+  t.is((await labels.get('tx', 'b1')).label, 'Rent', 'change that was not saved is dropped')
+  await t.exception(labels.set('tx', 'b2', { label: 'Gift' }), /store write failed/)
+  t.is(await labels.get('tx', 'b2'), null, 'new record that was not saved is dropped')
+
+  store.failPut = false
+  await labels.set('tx', 'b2', { label: 'Gift' })
+  t.alike(Object.keys(await store.get('labels')), ['tx:b1', 'tx:b2'], 'later writes are saved')
+})
@@ -0,0 +1,94 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const { Logger, MemoryLogger } = require('../src/lib/logger.js')
+const Wallet = require('../src/lib/wallet.js')
+const HdWallet = require('../src/modules/hdwallet.js')
+const { MockPay, seed } = require('./mock-pay.js')
+
+test('Logger: levels and context', async (t) => {
+  const records = []
+  const logger = new Logger({ level: 'warn', write: (r) => records.push(r) })
+  logger.info('hidden')
+  logger.warn('shown', { a: 1 })
+  t.is(records.length, 1, 'records below level are dropped')
+  t.is(records[0].level, 'warn', 'level')
+  t.is(records[0].msg, 'shown', 'message')
+  t.alike(records[0].data, { a: 1 }, 'data')
+  t.ok(records[0].time, 'time')
+
+  logger.child({ asset: 'btc' }).child({ module: 'hdwallet' }).error('failed')
+  t.is(records[1].asset, 'btc', 'child context')
+  t.is(records[1].module, 'hdwallet', 'nested child context')
+
+  const silent = Logger.silent()
+  t.absent(silent.isLevelEnabled('error'), 'silent logger writes nothing')
+  await t.exception(() => new Logger({ level: 'loud' }), /invalid log level: loud/, 'invalid log level')
+})
+
+test('MemoryLogger: find records', async (t) => {
+  const logger = new MemoryLogger()
+  logger.debug('a')
+  logger.child({ asset: 'btc' }).error('b')
+  t.is(logger.records.length, 2, 'child records are kept in parent')
+  t.alike(logger.find({ level: 'error', asset: 'btc' }).map((r) => r.msg), ['b'], 'find by fields')
+  logger.clear()
+  t.is(logger.records.length, 0, 'clear')
+})
+
+test('Wallet: asset errors are logged with asset context', async (t) => {
+  const logger = new MemoryLogger()
+  const wallet = new Wallet({
+    store: new WalletStoreHyperbee(),
+    seed,
+    logger,
+    assets: [
+      new MockPay({ asset_name: 'btc', fail_init: true }),
+      new MockPay({ asset_name: 'eth' })
+    ]
+  })
+  await wallet.initialize()
+  const [record] = logger.find({ level: 'error' })
+  t.is(record.msg, 'asset failed to initialize', 'error is logged')
+  t.is(record.data.asset, 'btc', 'asset name')
+  t.is(record.data.err.message, 'failed to connect', 'error')
+
+  wallet.pay.eth.logger.info('from asset')
+  t.is(logger.find({ msg: 'from asset' })[0].asset, 'eth', 'assets use a child of the wallet logger')
+  await wallet.destroy()
+})
+
+test('HdWallet: sync errors are logged', async (t) => {
+  const logger = new MemoryLogger()
+  const hd = new HdWallet({
+    store: new WalletStoreHyperbee(),
+    coinType: "0'",
+    purpose: "84'",
+    logger
+  })
+  await hd.init()
+  try {
+    await hd.eachAccount(async () => {
+      throw new Error('provider failed')
+    })
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.message, 'provider failed', 'error is thrown')
+  }
+  const [record] = logger.find({ level: 'error', module: 'hdwallet' })
+  t.is(record.data.path, "m/84'/0'/0'/0/0", 'path is logged')
+})
@@ -0,0 +1,266 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+// In memory assets and wallet fixtures used to test the Wallet class without a block source.
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const Currency = require('../src/lib/currency.js')
+const WalletPay = require('../src/lib/wallet-pay.js')
+const Wallet = require('../src/lib/wallet.js')
+
+const MNEMONIC = 'sell clock better horn digital prevent image toward sort first voyage detail inner regular improve'
+
+function currencyFac (name, decimals) {
+  return class MockCurrency extends Currency {
+    constructor () {
+      super(...arguments)
+      this.name = name
+      this.base_name = name.toLowerCase()
+      this.decimal_places = decimals
+    }
+
+    toBaseUnit () {
+      if (this.isBaseUnit()) return this.amount
+      return Currency.toBaseUnit(this.amount, this.decimal_places)
+    }
+
+    toMainUnit () {
+      if (this.isMainUnit()) return this.amount
+      return Currency.toMainUnit(this.amount, this.decimal_places)
+    }
+
+    isUnitOf (amount) {
+      if (!(amount instanceof MockCurrency)) throw new Error('Amount must be an instance of ' + name)
+    }
+  }
+}
+
+class MockToken {
+  constructor (config) {
+    this.name = config.name
+    this.currency = currencyFac(config.name, config.decimals || 6)
+    this._balance = config.balance || 0
+    this._fail = config.fail || false
+    this._txs = config.txs || []
+    this._Balance = WalletPay.createBalance(this.currency)
+    // Balance of each address, in main unit
+    this.addrBalances = {}
+  }
+
+  async init () {}
+
+  getTokenInfo () {
+    return { contractAddress: '0x0000000000000000000000000000000000000001' }
+  }
+
+  async getBalance (opts, addr) {
+    if (this._fail) throw new Error('token balance failed')
+    const Curr = this.currency
+    if (addr) return new this._Balance(new Curr(this.addrBalances[addr] || 0, 'main'))
+    return new this._Balance(new Curr(this._balance, 'main'))
+  }
+
+  async getTransactions (opts, fn) {
+    for (const tx of this._txs) await fn(tx)
+  }
+}
+
+class MockKeyManager {
+  constructor () {
+    this.seed = null
+  }
+
+  setSeed (seed) {
+    this.seed = seed
+  }
+
+  setWatchKey (key) {
+    this.watchKey = key
+  }
+}
+
+class MockPay extends WalletPay {
+  constructor (config) {
+    super({
+      network: 'regtest',
+      key_manager: new MockKeyManager(),
+      ...config
+    })
+    this._setCurrency(currencyFac(config.currency || config.asset_name.toUpperCase(), 8))
+    this._balance = config.balance || 0
+    this._fail = config.fail || false
+    this._failInit = config.fail_init || false
+    this._txs = config.txs || []
+    this._failSend = config.fail_send || false
+    this._batch = config.batch || false
+    this.batches = []
+    this.sent = []
+    this.watchKey = null
+    // Number of syncs that fail before syncs work
+    this._failSync = config.fail_sync || 0
+    this.syncs = []
+    // Balance of each address, in main unit
+    this.addrBalances = {}
+  }
+
+  async initialize (ctx) {
+    if (this._failInit) throw new Error('failed to connect')
+    await super.initialize(ctx)
+  }
+
+  async _destroy () {}
+
+  async loadWatchKey (key) {
+    this.watchKey = key
+  }
+
+  async getBalance (opts = {}, addr) {
+    if (opts.token) return this.callToken('getBalance', opts.token, [opts, addr])
+    if (this._fail) throw new Error('balance failed')
+    if (addr) return new this._Balance(new this._Curr(this.addrBalances[addr] || 0, 'main'))
+    return new this._Balance(new this._Curr(this._balance, 'main'))
+  }
+
+  async syncTransactions (opts = {}) {
+    if (this._failSync > 0) {
+      this._failSync--
+      throw new Error('provider unavailable')
+    }
+    this.syncs.push(opts)
+  }
+
+  async getTransactions (opts = {}, fn) {
+    if (opts.token) return this.callToken('getTransactions', opts.token, [opts, fn])
+    // Transactions are returned in batches, like a block of transactions
+    for (const tx of this._txs) await fn([tx])
+  }
+
+  async _buildTransaction (opts = {}, outgoing) {
+    if (this._failSend) throw new Error('failed to build transaction')
+    return {
+      fee: new this._Curr(1000, 'base'),
+      change: new this._Curr(0, 'base'),
+      tx: { raw: 'signed-tx' }
+    }
+  }
+
+  async _broadcastTransaction (draft, tx) {
+    if (this._failBroadcast) throw new Error('broadcast failed')
+    this.sent.push({ opts: draft.opts, outgoing: draft.outgoing, tx })
+    return { txid: 'tx' + this.sent.length }
+  }
+
+  async getNewAddress () {
+    this._addrCount = (this._addrCount || 0) + 1
+    return { address: `${this.assetName}_addr${this._addrCount}` }
+  }
+
+  // Mock addresses are prefixed with the asset name. example: btc_alice
+  async isValidAddress (address) {
+    return address.startsWith(this.assetName + '_')
+  }
+
+  // Mock sends batches of the asset in one transaction. Token payments are not batched
+  canBatch (opts = {}) {
+    return this._batch && !opts.token
+  }
+
+  async sendBatch (opts = {}, outgoing) {
+    if (this._failSend) throw new Error('broadcast failed')
+    this.batches.push({ opts, outgoing })
+    return { txid: 'batch' + this.batches.length }
+  }
+
+  async sendTransaction (opts = {}, outgoing) {
+    if (this._failSend) throw new Error('broadcast failed')
+    this.sent.push({ opts, outgoing })
+    return { txid: 'tx' + this.sent.length }
+  }
+}
+
+// Store with writes that fail while failPut is true
+class FailingStore extends WalletStoreHyperbee {
+  constructor () {
+    super()
+    this.failPut = false
+    this.failGet = false
+  }
+
+  async get (key) {
+    if (this.failGet) throw new Error('store read failed')
+    return super.get(key)
+  }
+
+  async put (key, value) {
+    if (this.failPut) throw new Error('store write failed')
+    return super.put(key, value)
+  }
+}
+
+// Seed class passed to the wallet as seed_class. Mock assets do not derive keys
+const MockSeed = {
+  async generate (mnemonic) {
+    return {
+      mnemonic,
+      exportSeed () {
+        return JSON.stringify({ mnemonic })
+      }
+    }
+  }
+}
+
+const seed = {
+  mnemonic: MNEMONIC,
+  exportSeed () {
+    return JSON.stringify({ mnemonic: this.mnemonic })
+  }
+}
+
+// btc, and eth with a USDT token
+function mockAssets () {
+  return [
+    new MockPay({ asset_name: 'btc' }),
+    new MockPay({ asset_name: 'eth', token: [new MockToken({ name: 'USDT' })] })
+  ]
+}
+
+/**
+* @description create and initialize a wallet with a new store and the test seed
+* @param {Array} assets - optional. Default mockAssets()
+* @param {Object} opts - optional wallet config
+*/
+async function newWallet (assets, opts = {}) {
+  const wallet = new Wallet({
+    seed,
+    seed_class: MockSeed,
+    ...opts,
+    store: opts.store || new WalletStoreHyperbee(),
+    assets: assets || mockAssets()
+  })
+  await wallet.initialize()
+  return wallet
+}
+
+module.exports = {
+  MockPay,
+  MockToken,
+  MockSeed,
+  FailingStore,
+  MNEMONIC,
+  seed,
+  currencyFac,
+  mockAssets,
+  newWallet
+}
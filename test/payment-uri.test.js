@@ -0,0 +1,127 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const PaymentUri = require('../src/lib/payment-uri.js')
+const TetherCurrency = require('../src/tether-currency.js')
+const { MockPay, MockToken, newWallet } = require('./mock-pay.js')
+
+function uriWallet (tokens = [new MockToken({ name: 'USDT' })], network = 'regtest') {
+  return newWallet([
+    new MockPay({ asset_name: 'btc', network }),
+    new MockPay({ asset_name: 'eth', token: tokens, network })
+  ])
+}
+
+async function expectCode (t, promise, code) {
+  try {
+    await promise
+    t.fail('should throw ' + code)
+  } catch (err) {
+    t.is(err.code, code, code)
+  }
+}
+
+test('PaymentUri: BIP21', async (t) => {
+  const uri = PaymentUri.bip21({ address: 'bc1qabc', amount: '0.001', label: 'Shop', message: 'Order #1' })
+  t.is(uri, 'bitcoin:bc1qabc?amount=0.001&label=Shop&message=Order%20%231', 'create')
+  t.is(PaymentUri.bip21({ address: 'bc1qabc' }), 'bitcoin:bc1qabc', 'no parameters')
+
+  const res = PaymentUri.parse('BITCOIN:bc1qabc?amount=20.3&label=Luke-Jr&unknown=1')
+  t.is(res.scheme, 'bitcoin', 'scheme is case insensitive')
+  t.is(res.address, 'bc1qabc', 'address')
+  t.is(res.amount, '20.3', 'amount')
+  t.is(res.label, 'Luke-Jr', 'label')
+
+  t.exception(() => PaymentUri.parse('bitcoin:bc1qabc?req-somethingyoudontunderstand=50'), 'unknown required parameter')
+  t.exception(() => PaymentUri.parse('bitcoin:bc1qabc?amount=1e3'), 'amount with exponent')
+  t.exception(() => PaymentUri.parse('bitcoin:?amount=1'), 'missing address')
+  t.exception(() => PaymentUri.parse('litecoin:abc'), 'unsupported scheme')
+})
+
+test('PaymentUri: EIP-681', async (t) => {
+  t.is(PaymentUri.eip681({ address: '0xabc', amount: '1000' }), 'ethereum:0xabc?value=1000', 'ether')
+  t.is(
+    PaymentUri.eip681({ address: '0xabc', amount: '1000', contract: '0xdef', chain_id: 1 }),
+    'ethereum:0xdef@1/transfer?address=0xabc&uint256=1000',
+    'token transfer'
+  )
+
+  const eth = PaymentUri.parse('ethereum:pay-0xabc@1?value=2.014e18')
+  t.is(eth.address, '0xabc', 'address')
+  t.is(eth.chain_id, 1, 'chain id')
+  t.is(eth.amount, '2014000000000000000', 'value with exponent')
+
+  const token = PaymentUri.parse('ethereum:0xdef/transfer?address=0xabc&uint256=1')
+  t.is(token.contract, '0xdef', 'contract')
+  t.is(token.address, '0xabc', 'recipient')
+  t.is(token.amount, '1', 'amount')
+
+  t.exception(() => PaymentUri.parse('ethereum:0xdef/approve?address=0xabc'), 'unsupported function')
+  t.exception(() => PaymentUri.parse('ethereum:0xdef/transfer?uint256=1'), 'missing recipient')
+})
+
+test('createPaymentRequest and parsePaymentUri', async (t) => {
+  const wallet = await uriWallet()
+
+  const btcUri = await wallet.createPaymentRequest({ asset: 'btc', amount: '0.5', label: 'Alice' })
+  t.is(btcUri, 'bitcoin:btc_addr1?amount=0.5&label=Alice', 'new address is used')
+  const btc = await wallet.parsePaymentUri(btcUri)
+  t.is(btc.asset, 'btc', 'asset')
+  t.is(btc.token, null, 'no token')
+  t.is(btc.address, 'btc_addr1', 'address')
+  t.is(btc.amount.toBaseUnit(), '50000000', 'amount is currency')
+
+  const usdtUri = await wallet.createPaymentRequest({ asset: 'eth', token: 'USDT', amount: '12.5', address: 'eth_bob' })
+  t.is(usdtUri, 'ethereum:0x0000000000000000000000000000000000000001/transfer?address=eth_bob&uint256=12500000', 'token uri')
+  const usdt = await wallet.parsePaymentUri(usdtUri)
+  t.is(usdt.token, 'USDT', 'token is found by contract')
+  t.is(usdt.amount.toMainUnit(), '12.5', 'token amount')
+
+  await wallet.pay.btc.sendTransaction({}, btc)
+  t.is(wallet.pay.btc.sent[0].outgoing.address, 'btc_addr1', 'parsed uri can be sent')
+
+  await expectCode(t, wallet.parsePaymentUri('bitcoin:eth_bob'), 'INVALID_ADDRESS')
+  await expectCode(t, wallet.parsePaymentUri('ethereum:0x02/transfer?address=eth_bob'), 'TOKEN_NOT_FOUND')
+  await expectCode(t, wallet.parsePaymentUri('bitcoin:btc_bob?req-x=1'), 'INVALID_PAYMENT_URI')
+  await expectCode(t, wallet.parsePaymentUri('ethereum:eth_bob@1?value=1'), 'INVALID_PAYMENT_URI')
+  await expectCode(t, wallet.createPaymentRequest({ asset: 'btc', token: 'USDT' }), 'BAD_ARGS')
+  await wallet.destroy()
+})
+
+test('createPaymentRequest and parsePaymentUri: chain id of the asset', async (t) => {
+  const wallet = await newWallet([new MockPay({ asset_name: 'eth', network: 'sepolia', chain_id: 11155111 })])
+  const uri = await wallet.createPaymentRequest({ asset: 'eth', amount: '1', address: 'eth_bob' })
+  t.is(uri, 'ethereum:eth_bob@11155111?value=100000000', 'uri has the chain id of the asset')
+  t.is((await wallet.parsePaymentUri(uri)).chain_id, 11155111, 'chain id of the asset')
+  t.is((await wallet.parsePaymentUri('ethereum:eth_bob')).chain_id, null, 'uri without chain id')
+  await expectCode(t, wallet.parsePaymentUri('ethereum:eth_bob@1'), 'INVALID_PAYMENT_URI')
+  await wallet.destroy()
+})
+
+test('createPaymentRequest: USDT without token info uses the Tether contract on mainnet', async (t) => {
+  const token = new MockToken({ name: 'USDT' })
+  token.getTokenInfo = null
+  const wallet = await uriWallet([token], 'mainnet')
+  const uri = await wallet.createPaymentRequest({ asset: 'eth', token: 'USDT', address: 'eth_bob' })
+  t.is(uri, `ethereum:${TetherCurrency.ERC20().contractAddress}/transfer?address=eth_bob`, 'tether contract')
+  t.is((await wallet.parsePaymentUri(uri)).token, 'USDT', 'parsed')
+  await wallet.destroy()
+
+  const testnet = await uriWallet([token])
+  await expectCode(t, testnet.createPaymentRequest({ asset: 'eth', token: 'USDT', address: 'eth_bob' }), 'BAD_ARGS')
+  await expectCode(t, testnet.parsePaymentUri(uri), 'TOKEN_NOT_FOUND')
+  await testnet.destroy()
+})
@@ -0,0 +1,137 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { PriceOracle, StaticPriceOracle } = require('../src/lib/price-oracle.js')
+const { MockPay, MockToken, newWallet } = require('./mock-pay.js')
+
+const MINUTE = 60 * 1000
+
+function oracleWallet (opts) {
+  return newWallet([
+    new MockPay({ asset_name: 'btc', balance: 2 }),
+    new MockPay({ asset_name: 'eth', balance: 1, token: [new MockToken({ name: 'USDT', balance: 100 })] })
+  ], opts)
+}
+
+test('StaticPriceOracle', async (t) => {
+  const clock = { time: 1000, now () { return this.time } }
+  const oracle = new StaticPriceOracle({ rates: { 'BTC/USD': 60000 }, clock })
+
+  t.alike(await oracle.getRate('BTC', 'USD'), { rate: '60000', timestamp: 1000 }, 'rate')
+  t.alike(await oracle.getRate('btc', 'usd'), { rate: '60000', timestamp: 1000 }, 'names are case insensitive')
+  t.is((await oracle.getRate('USD', 'BTC')).rate, '0.00001666666666666667', 'inverse rate')
+  t.is((await oracle.getRate('USD', 'USD')).rate, '1', 'same currency')
+
+  clock.time = 2000
+  oracle.setRate('BTC', 'USD', '61000')
+  t.alike(await oracle.getRate('BTC', 'USD'), { rate: '61000', timestamp: 2000 }, 'updated rate')
+  clock.time = 3000
+  t.is((await oracle.getRate('BTC', 'USD')).timestamp, 3000, 'rates without a timestamp are current when read')
+  oracle.setRate('BTC', 'USD', '62000', 2500)
+  t.is((await oracle.getRate('USD', 'BTC')).timestamp, 2500, 'explicit timestamp is kept')
+
+  try {
+    await oracle.getRate('ETH', 'USD')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'RATE_NOT_FOUND', 'unknown pair')
+  }
+  t.exception(() => oracle.setRate('ETH', 'USD', -1), 'negative rate')
+
+  try {
+    await new PriceOracle().getRate('BTC', 'USD')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'NOT_IMPLEMENTED', 'base class')
+  }
+})
+
+test('getFiatValue: balances and amounts', async (t) => {
+  const clock = { time: 10 * MINUTE, now () { return this.time } }
+  const oracle = new StaticPriceOracle({ rates: { 'BTC/USD': 60000, 'BTC/EUR': 55000 }, timestamp: clock.time, clock })
+  const wallet = await oracleWallet({ price_oracle: oracle, clock })
+
+  const balance = await wallet.pay.btc.getBalance()
+  const value = await wallet.getFiatValue(balance)
+  t.is(value.base, 'BTC', 'base')
+  t.is(value.quote, 'USD', 'default quote')
+  t.is(value.rate, '60000', 'rate')
+  t.is(value.timestamp, 10 * MINUTE, 'rate timestamp')
+  t.is(value.consolidated, '120000', 'consolidated')
+  t.is(value.confirmed, '120000', 'confirmed')
+  t.is(value.pending, '0', 'pending')
+
+  const amount = new (wallet.pay.btc.getCurrency())('0.1', 'main')
+  const eur = await wallet.getFiatValue(amount, { quote: 'EUR' })
+  t.is(eur.amount, '5500', 'amount in EUR')
+
+  clock.time += 11 * MINUTE
+  try {
+    await wallet.getFiatValue(amount)
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'STALE_RATE', 'stale rate')
+  }
+  t.is((await wallet.getFiatValue(amount, { max_age: 30 * MINUTE })).amount, '6000', 'max age per call')
+
+  const fixture = new StaticPriceOracle({ rates: { 'BTC/USD': 60000 }, clock })
+  wallet.priceOracle = fixture
+  clock.time += 60 * MINUTE
+  t.is((await wallet.getFiatValue(amount)).timestamp, clock.time, 'rates without a timestamp do not get stale')
+  wallet.priceOracle = oracle
+
+  for (const timestamp of [undefined, 'now']) {
+    oracle.getRate = async () => ({ rate: '60000', timestamp })
+    try {
+      await wallet.getFiatValue(amount)
+      t.fail('should throw')
+    } catch (err) {
+      t.is(err.code, 'STALE_RATE', `rate with timestamp ${timestamp} is stale`)
+    }
+  }
+
+  await wallet.destroy()
+  try {
+    await wallet.getFiatValue(amount)
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'WALLET_DESTROYED', 'destroyed wallet')
+  }
+})
+
+test('getFiatValue: wallet without price oracle', async (t) => {
+  const wallet = await oracleWallet()
+  try {
+    await wallet.getFiatValue(await wallet.pay.btc.getBalance())
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'INVALID_STATE', 'price oracle is required')
+  }
+  await wallet.destroy()
+})
+
+test('getPortfolio: rates from price oracle', async (t) => {
+  const clock = { time: 20 * MINUTE, now () { return this.time } }
+  const oracle = new StaticPriceOracle({ rates: { 'BTC/USD': 60000, 'USDT/USD': 1 }, clock })
+  oracle.setRate('ETH', 'USD', 3000, 0)
+  const wallet = await oracleWallet({ price_oracle: oracle, clock })
+
+  const { total } = await wallet.getPortfolio({ currency: 'USD' })
+  t.is(total.currency, 'USD', 'currency')
+  t.is(total.amount, '120100', 'total of assets with fresh rates')
+  t.alike(total.missing, ['eth'], 'stale rate is missing')
+  await wallet.destroy()
+})
@@ -0,0 +1,177 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const Scheduler = require('../src/lib/scheduler.js')
+const { FailingStore, newWallet } = require('./mock-pay.js')
+
+const DAY = 24 * 60 * 60 * 1000
+
+function fakeClock (time) {
+  return { time, now () { return this.time } }
+}
+
+function schedWallet (clock, opts = {}) {
+  // Payments are run by the test
+  return newWallet(null, { clock, schedule_interval: 0, ...opts })
+}
+
+test('scheduler: one-off payment', async (t) => {
+  const clock = fakeClock(1000)
+  const wallet = await schedWallet(clock)
+  const events = []
+  wallet.on('scheduled-payment', (res) => events.push(res))
+
+  const schedule = await wallet.scheduler.create({ asset: 'eth', token: 'USDT', address: 'eth_bob', amount: '10', at: 5000 })
+  t.is(schedule.status, 'active', 'active')
+  t.is(schedule.next_run, 5000, 'next run')
+
+  t.alike(await wallet.scheduler.runDue(), [], 'not due yet')
+
+  clock.time = 5000
+  const [res] = await wallet.scheduler.runDue()
+  t.is(res.status, 'sent', 'sent')
+  t.is(res.txid, 'tx1', 'txid')
+  t.is(res.schedule.status, 'completed', 'one-off is completed')
+  t.alike(wallet.pay.eth.sent[0], { opts: { token: 'USDT' }, outgoing: { amount: '10000000', unit: 'base', address: 'eth_bob' } }, 'sent with sendTransaction')
+  t.is(events.length, 1, 'scheduled-payment emitted')
+
+  clock.time = 10000
+  t.alike(await wallet.scheduler.runDue(), [], 'completed schedules do not run again')
+  await wallet.destroy()
+})
+
+test('scheduler: monthly payments until the end date', async (t) => {
+  const start = Date.UTC(2024, 0, 31, 9)
+  const clock = fakeClock(start)
+  const wallet = await schedWallet(clock)
+  const schedule = await wallet.scheduler.create({
+    asset: 'btc',
+    address: 'btc_landlord',
+    amount: '0.01',
+    repeat: 'monthly',
+    end_at: Date.UTC(2024, 3, 1)
+  })
+  t.is(schedule.next_run, start, 'first payment now')
+
+  await wallet.scheduler.runDue()
+  let res = await wallet.scheduler.get(schedule.id)
+  t.is(new Date(res.next_run).toISOString(), '2024-02-29T09:00:00.000Z', 'capped at the end of february')
+
+  clock.time = res.next_run
+  await wallet.scheduler.runDue()
+  res = await wallet.scheduler.get(schedule.id)
+  t.is(new Date(res.next_run).toISOString(), '2024-03-31T09:00:00.000Z', 'day of month is kept')
+
+  clock.time = res.next_run
+  await wallet.scheduler.runDue()
+  res = await wallet.scheduler.get(schedule.id)
+  t.is(res.status, 'completed', 'no payments after the end date')
+  t.is(res.runs, 3, 'runs')
+  t.is(wallet.pay.btc.sent.length, 3, 'payments sent')
+  await wallet.destroy()
+})
+
+test('scheduler: missed payments are paid once after restart', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const clock = fakeClock(0)
+  const wallet = await schedWallet(clock, { store })
+  const schedule = await wallet.scheduler.create({ asset: 'btc', address: 'btc_bob', amount: '0.1', at: DAY, repeat: 'daily' })
+  await wallet.destroy()
+
+  clock.time = 5 * DAY + 10
+  const restored = await schedWallet(clock, { store })
+  const results = await restored.scheduler.runDue()
+  t.is(results.length, 1, 'paid once')
+  const res = await restored.scheduler.get(schedule.id)
+  t.is(res.next_run, 6 * DAY, 'next run is in the future')
+  t.is(restored.pay.btc.sent.length, 1, 'one payment sent')
+  await restored.destroy()
+})
+
+test('scheduler: failures, contacts and cancel', async (t) => {
+  const clock = fakeClock(1000)
+  const wallet = await schedWallet(clock, { policy: { btc: { max_payment: '1' } } })
+  await wallet.addressBook.addContact('alice', { addresses: [{ asset: 'btc', address: 'btc_alice' }] })
+  const events = []
+  wallet.on('scheduled-payment', (res) => events.push(res))
+
+  const big = await wallet.scheduler.create({ asset: 'btc', address: 'btc_bob', amount: '2' })
+  const rent = await wallet.scheduler.create({ asset: 'btc', contact: 'alice', amount: '0.5', repeat: 'weekly' })
+  const results = await wallet.scheduler.runDue()
+  t.alike(results.map((r) => r.status), ['failed', 'sent'], 'status')
+  t.is(results[0].error.code, 'POLICY_VIOLATION', 'payments use the normal send path')
+  t.is((await wallet.scheduler.get(big.id)).status, 'failed', 'failed one-off payment')
+  t.is(wallet.pay.btc.sent[0].outgoing.address, 'btc_alice', 'contact is resolved when sent')
+  t.is(events.length, 2, 'events for success and failure')
+
+  t.ok(await wallet.scheduler.cancel(rent.id), 'cancelled')
+  t.absent(await wallet.scheduler.cancel(rent.id), 'already cancelled')
+  clock.time += 8 * DAY
+  t.alike(await wallet.scheduler.runDue(), [], 'cancelled schedules do not run')
+
+  try {
+    await wallet.scheduler.create({ asset: 'btc', address: 'btc_bob', amount: '1', repeat: 'yearly' })
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'BAD_ARGS', 'invalid repeat')
+  }
+  await wallet.destroy()
+})
+
+test('scheduler: payments wait while the wallet is locked', async (t) => {
+  const clock = fakeClock(1000)
+  const wallet = await schedWallet(clock, { auto_lock: 60 * 60 * 1000 })
+  await wallet.setPassphrase('pass')
+  const rent = await wallet.scheduler.create({ asset: 'btc', address: 'btc_alice', amount: '0.5', repeat: 'weekly' })
+  const once = await wallet.scheduler.create({ asset: 'btc', address: 'btc_bob', amount: '0.1' })
+
+  await wallet.lock()
+  t.alike(await wallet.scheduler.runDue(), [], 'nothing is sent while locked')
+  t.is((await wallet.scheduler.get(once.id)).status, 'active', 'one-off payment is still due')
+  t.is((await wallet.scheduler.get(rent.id)).runs, 0, 'recurring payment does not skip a run')
+
+  await wallet.unlock('pass')
+  const timer = wallet._autoLockTimer
+  const results = await wallet.scheduler.runDue()
+  t.alike(results.map((r) => r.status), ['sent', 'sent'], 'due payments are sent after unlock')
+  t.is(wallet._autoLockTimer, timer, 'scheduled sends do not reset the auto lock timer')
+
+  await wallet.pay.btc.sendTransaction({}, { address: 'btc_carol', amount: '0.1' })
+  t.not(wallet._autoLockTimer, timer, 'user sends reset the auto lock timer')
+  await wallet.destroy()
+})
+
+test('Scheduler.occurrence', async (t) => {
+  const start = Date.UTC(2024, 0, 1)
+  t.is(Scheduler.occurrence({ start_at: start, repeat: 'weekly' }, 2), start + 14 * DAY, 'weekly')
+  t.is(Scheduler.occurrence({ start_at: start, repeat: null }, 1), null, 'one-off has one occurrence')
+  t.is(new Date(Scheduler.occurrence({ start_at: start, repeat: 'monthly' }, 13)).toISOString(), '2025-02-01T00:00:00.000Z', 'monthly across years')
+})
+
+test('scheduler: failed writes', async (t) => {
+  const store = new FailingStore()
+  const wallet = await schedWallet(fakeClock(1000), { store })
+
+  store.failPut = true
+  await t.exception(wallet.scheduler.create({ asset: 'btc', address: 'btc_bob', amount: '1', at: 5000 }), /store write failed/)
+  t.is((await wallet.scheduler.list()).length, 0, 'schedule that was not saved is dropped')
+
+  store.failPut = false
+  const schedule = await wallet.scheduler.create({ asset: 'btc', address: 'btc_bob', amount: '1', at: 5000 })
+  t.alike(await store.get('schedule_index'), [schedule.id], 'later writes are saved')
+  await wallet.destroy()
+})
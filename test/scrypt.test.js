@@ -0,0 +1,35 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+const { test } = require('brittle')
+const crypto = require('crypto')
+const scrypt = require('../src/lib/scrypt.js')
+
+test('scrypt', async (t) => {
+  // RFC 7914 test vectors
+  let key = await scrypt('', Buffer.alloc(0), 64, { N: 16, r: 1, p: 1 })
+  t.is(key.toString('hex'), '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906')
+  key = await scrypt('password', Buffer.from('NaCl'), 64, { N: 1024, r: 8, p: 16 })
+  t.is(key.toString('hex'), 'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640')
+
+  const salt = Buffer.from('b1f6d3c2a4e5f60718293a4b5c6d7e8f', 'hex')
+  const opts = { N: 32768, r: 8, p: 1 }
+  const expected = crypto.scryptSync('correct horse', salt, 32, { ...opts, maxmem: 256 * opts.N * opts.r })
+  t.alike(await scrypt('correct horse', salt, 32, opts), expected, 'same key as node crypto, so existing keystores can be opened')
+  await t.exception(scrypt('pass', salt, 32, { N: 1000, r: 8, p: 1 }), /power of 2/)
+  await t.exception(scrypt('pass', salt, 32, { N: 2 ** 20, r: 8, p: 1 }), /memory limit/, 'memory of N and r is limited')
+  await t.exception(scrypt('pass', salt, 32, { N: 16, r: 1, p: 2 ** 20 }), /memory limit/, 'memory of p is limited')
+})
@@ -0,0 +1,183 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const SpendingPolicy = require('../src/lib/spending-policy.js')
+const { MockPay, FailingStore, currencyFac, newWallet } = require('./mock-pay.js')
+const { MemoryLogger } = require('../src/lib/logger.js')
+
+const HOUR = 60 * 60 * 1000
+
+function policyWallet (policy, clock, store) {
+  return newWallet(null, { policy, clock, store })
+}
+
+async function expectViolation (t, promise, rule) {
+  try {
+    await promise
+    t.fail('should violate ' + rule)
+  } catch (err) {
+    t.is(err.code, 'POLICY_VIOLATION', 'policy error')
+    t.is(err.rule, rule, 'violated rule: ' + rule)
+  }
+}
+
+test('policy: max payment and daily limit', async (t) => {
+  const clock = { time: Date.now(), now () { return this.time } }
+  const wallet = await policyWallet({
+    btc: { max_payment: '0.5', daily_limit: '1', weekly_limit: '1.5' }
+  }, clock)
+  const btc = wallet.pay.btc
+
+  await expectViolation(t, btc.sendTransaction({}, { address: 'a', amount: '0.6', unit: 'main' }), 'max_payment')
+  await btc.sendTransaction({}, { address: 'a', amount: '0.5', unit: 'main' })
+  await btc.sendTransaction({}, { address: 'a', amount: '40000000', unit: 'base' })
+  await expectViolation(t, btc.sendTransaction({}, { address: 'a', amount: '0.2', unit: 'main' }), 'daily_limit')
+  t.is(await wallet.policy.getSpent('btc'), '90000000', 'spent amount in base unit')
+
+  clock.time += 25 * HOUR
+  await btc.sendTransaction({}, { address: 'a', amount: '0.5', unit: 'main' })
+  await expectViolation(t, btc.sendTransaction({}, { address: 'a', amount: '0.2', unit: 'main' }), 'weekly_limit')
+  t.is(btc.sent.length, 3, 'only allowed payments are sent')
+
+  await wallet.pay.eth.sendTransaction({}, { address: 'a', amount: '10', unit: 'main' })
+  t.pass('rules of other assets do not apply')
+  await wallet.destroy()
+})
+
+test('policy: allow and deny lists', async (t) => {
+  const wallet = await policyWallet({
+    '*': { deny: ['0xBAD'] },
+    'eth:USDT': { allow: ['0xabc'] }
+  })
+  await expectViolation(t, wallet.pay.btc.sendTransaction({}, { address: '0xbad', amount: 1 }), 'denylist')
+  await expectViolation(t, wallet.pay.eth.sendTransaction({ token: 'USDT' }, { address: '0xdef', amount: 1 }), 'allowlist')
+  await wallet.pay.eth.sendTransaction({ token: 'USDT' }, { address: '0xABC', amount: 1 })
+  t.is(wallet.pay.eth.sent.length, 1, 'allowed recipient')
+  await wallet.destroy()
+})
+
+test('policy: velocity limit', async (t) => {
+  const clock = { time: Date.now(), now () { return this.time } }
+  const wallet = await policyWallet({
+    btc: { velocity: { max_count: 2, window: HOUR } }
+  }, clock)
+  const btc = wallet.pay.btc
+  await btc.sendTransaction({}, { address: 'a', amount: 1 })
+  await btc.sendTransaction({}, { address: 'a', amount: 1 })
+  await expectViolation(t, btc.sendTransaction({}, { address: 'a', amount: 1 }), 'velocity')
+  clock.time += HOUR
+  await btc.sendTransaction({}, { address: 'a', amount: 1 })
+  t.is(btc.sent.length, 3, 'payments allowed after window')
+  await wallet.destroy()
+})
+
+test('policy: concurrent payments count towards the limit', async (t) => {
+  const wallet = await policyWallet({ btc: { daily_limit: '1' } })
+  const btc = wallet.pay.btc
+  const res = await Promise.allSettled([
+    btc.sendTransaction({}, { address: 'a', amount: '0.6' }),
+    btc.sendTransaction({}, { address: 'a', amount: '0.6' })
+  ])
+  t.alike(res.map((r) => r.status), ['fulfilled', 'rejected'], 'second payment is rejected')
+  await wallet.destroy()
+})
+
+test('policy: failed payments are not counted', async (t) => {
+  const wallet = await policyWallet({ btc: { daily_limit: '1' } })
+  await wallet.replaceAsset('btc', new MockPay({ asset_name: 'btc', fail_send: true }))
+  try {
+    await wallet.pay.btc.sendTransaction({}, { address: 'a', amount: '0.8' })
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.message, 'broadcast failed', 'send failed')
+  }
+  t.is(await wallet.policy.getSpent('btc'), '0', 'failed payment is not counted')
+  await wallet.destroy()
+})
+
+test('policy: spent totals are persisted', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const wallet = await policyWallet({ btc: { daily_limit: '1' } }, Date, store)
+  await wallet.pay.btc.sendTransaction({}, { address: 'a', amount: '0.8' })
+
+  const policy = new SpendingPolicy({ store, rules: { btc: { daily_limit: '1' } } })
+  t.is(await policy.getSpent('btc'), '80000000', 'spent total is loaded from store')
+  await wallet.destroy()
+})
+
+test('policy: a failed write does not stop later writes', async (t) => {
+  const store = new FailingStore()
+  const policy = new SpendingPolicy({ store, rules: { btc: { daily_limit: '1' } } })
+  const Curr = currencyFac('BTC', 8)
+
+  store.failPut = true
+  const first = await policy.reserve({ asset: 'btc', address: 'a', amount: new Curr('0.1', 'main') })
+  await t.exception(policy.commit(first), /store write failed/, 'failed write is returned to the caller')
+
+  store.failPut = false
+  const second = await policy.reserve({ asset: 'btc', address: 'a', amount: new Curr('0.2', 'main') })
+  await policy.commit(second)
+  t.is(await policy.getSpent('btc'), '30000000', 'failed payment is still counted in memory')
+  t.alike((await store.get('policy_spent:btc')).length, 2, 'later write saves both payments')
+})
+
+test('policy: a failed read is retried', async (t) => {
+  const store = new FailingStore()
+  await store.put('policy_spent:btc', [{ time: Date.now(), amount: '50000000' }])
+  const policy = new SpendingPolicy({ store, rules: { btc: { daily_limit: '1' } } })
+
+  store.failGet = true
+  await t.exception(policy.getSpent('btc'), /store read failed/, 'failed read is returned to the caller')
+  store.failGet = false
+  t.is(await policy.getSpent('btc'), '50000000', 'history is read again from the store')
+})
+
+test('policy: payment is sent when the spent amount can not be saved', async (t) => {
+  const store = new FailingStore()
+  const logger = new MemoryLogger()
+  const wallet = await newWallet(null, { policy: { btc: { daily_limit: '1' } }, store, logger })
+  store.failPut = true
+  const res = await wallet.pay.btc.sendTransaction({}, { address: 'a', amount: '0.8' })
+  t.is(res.txid, 'tx1', 'send resolves with the txid')
+  t.is(wallet.pay.btc.sent.length, 1, 'payment is sent once')
+  t.is(logger.find({ msg: 'failed to save spent amount' }).length, 1, 'failed save is logged')
+  await expectViolation(t, wallet.pay.btc.sendTransaction({}, { address: 'a', amount: '0.8' }), 'daily_limit')
+  store.failPut = false
+  await wallet.destroy()
+})
+
+test('policy: velocity window longer than a week', async (t) => {
+  const clock = { time: Date.now(), now () { return this.time } }
+  const wallet = await policyWallet({ btc: { velocity: { max_count: 2, window: 10 * 24 * HOUR } } }, clock)
+  await wallet.pay.btc.sendTransaction({}, { address: 'a', amount: 1 })
+  clock.time += 8 * 24 * HOUR
+  await wallet.pay.btc.sendTransaction({}, { address: 'a', amount: 1 })
+  clock.time += 24 * HOUR
+  await expectViolation(t, wallet.pay.btc.sendTransaction({}, { address: 'a', amount: 1 }), 'velocity')
+  await wallet.destroy()
+})
+
+test('policy: drafts are checked on prepare and counted on confirm', async (t) => {
+  const wallet = await policyWallet({ btc: { daily_limit: '1' } })
+  await expectViolation(t, wallet.prepareTransaction({ asset: 'btc' }, { address: 'a', amount: '2' }), 'daily_limit')
+
+  const draft = await wallet.prepareTransaction({ asset: 'btc' }, { address: 'a', amount: '0.6' })
+  t.is(await wallet.policy.getSpent('btc'), '0', 'draft is not counted')
+  await wallet.confirmTransaction(draft.id)
+  t.is(await wallet.policy.getSpent('btc'), '60000000', 'confirmed draft is counted')
+  await wallet.destroy()
+})
@@ -0,0 +1,155 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const Wallet = require('../src/lib/wallet.js')
+const SyncManager = require('../src/lib/sync-manager.js')
+const { MockPay, seed, newWallet } = require('./mock-pay.js')
+
+// Sync timers do not keep the process alive, so the timeout also keeps the test running
+function waitFor (emitter, evName, count = 1) {
+  return new Promise((resolve, reject) => {
+    const seen = []
+    const timeout = setTimeout(() => reject(new Error('timed out waiting for ' + evName)), 5000)
+    const fn = (...args) => {
+      seen.push(args)
+      if (seen.length < count) return
+      clearTimeout(timeout)
+      emitter.off(evName, fn)
+      resolve(seen)
+    }
+    emitter.on(evName, fn)
+  })
+}
+
+function sleep (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+test('sync manager: off by default, syncNow', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc' })
+  const eth = new MockPay({ asset_name: 'eth' })
+  const wallet = await newWallet([btc, eth])
+
+  t.absent(wallet.syncManager.isStarted, 'background sync is off')
+  t.is(btc.syncs.length, 0, 'nothing synced on initialize')
+  const manager = new SyncManager({ wallet })
+  manager.start()
+  t.absent(manager.isStarted, 'sync manager has the same default as the wallet')
+
+  await wallet.syncManager.syncNow('btc')
+  t.is(btc.syncs.length, 1, 'btc synced')
+  t.is(eth.syncs.length, 0, 'eth not synced')
+  t.ok(wallet.syncManager.status().btc.last_sync, 'last sync time')
+
+  await wallet.syncManager.syncNow()
+  t.is(eth.syncs.length, 1, 'all assets synced')
+  await t.exception(() => wallet.syncManager.syncNow('xyz'), /asset does not exist/, 'unknown asset')
+  await wallet.destroy()
+})
+
+test('sync manager: interval and new blocks', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc' })
+  const wallet = new Wallet({
+    store: new WalletStoreHyperbee(),
+    seed,
+    assets: [btc],
+    schedule_interval: 0,
+    sync_interval: 20
+  })
+  const synced = waitFor(wallet, 'asset-synced')
+  await wallet.initialize()
+  t.ok(wallet.syncManager.isStarted, 'started on initialize')
+
+  await synced
+  t.is(btc.syncs.length, 1, 'synced right away')
+  await waitFor(wallet, 'asset-synced', 2)
+  t.ok(btc.syncs.length >= 3, 'synced again on the interval')
+
+  await wallet.syncManager.pause()
+  t.ok(btc.isSyncPaused, 'asset sync is paused')
+  const count = btc.syncs.length
+  btc.emit('new-block', { height: 1 })
+  await sleep(50)
+  t.is(btc.syncs.length, count, 'no sync while paused')
+  await t.exception(() => wallet.syncManager.syncNow('btc'), /paused/, 'syncNow rejects while paused')
+  await t.exception(() => btc.syncTransactions(), /paused/, 'asset sync rejects while paused')
+  await t.exception(() => wallet.syncHistory({ asset: 'btc' }), /paused/, 'syncHistory rejects while paused')
+  t.is(btc.syncs.length, count, 'asset does not sync while paused')
+
+  const resumed = waitFor(wallet, 'asset-synced')
+  await wallet.syncManager.resume()
+  t.absent(btc.isSyncPaused, 'asset sync resumed')
+  await resumed
+  t.ok(btc.syncs.length > count, 'synced after resume')
+  await wallet.destroy()
+})
+
+test('sync manager: new block starts a sync', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc' })
+  const wallet = await newWallet([btc], { sync_interval: 60 * 60 * 1000 })
+  await waitFor(wallet, 'asset-synced')
+  t.is(btc.syncs.length, 1, 'first sync')
+
+  const synced = waitFor(wallet, 'asset-synced')
+  btc.emit('new-block', { height: 2 })
+  await synced
+  t.is(btc.syncs.length, 2, 'synced on new block')
+  await wallet.destroy()
+})
+
+test('sync manager: failed syncs back off', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc', fail_sync: 3 })
+  const wallet = new Wallet({
+    store: new WalletStoreHyperbee(),
+    seed,
+    assets: [btc],
+    schedule_interval: 0,
+    sync_interval: 60 * 60 * 1000,
+    sync_backoff: 10,
+    sync_max_backoff: 30
+  })
+  const failed = waitFor(wallet, 'sync-error', 3)
+  await wallet.initialize()
+
+  const res = await failed
+  t.alike(res.map(([asset]) => asset), ['btc', 'btc', 'btc'], 'errors reported with asset name')
+  t.alike(res.map(([, , retryIn]) => retryIn), [10, 20, 30], 'retry time doubles up to the max')
+  t.is(res[0][1].message, 'provider unavailable', 'sync error')
+
+  await waitFor(wallet, 'asset-synced')
+  // Status is updated after the asset emits asset-synced
+  await sleep(0)
+  const status = wallet.syncManager.status().btc
+  t.is(status.failures, 0, 'failures reset after a sync')
+  t.is(status.last_error, null, 'error cleared')
+  t.is(btc.syncs.length, 1, 'synced after retries')
+  await wallet.destroy()
+})
+
+test('sync manager: assets added and removed at runtime', async (t) => {
+  const wallet = await newWallet([new MockPay({ asset_name: 'btc' })], { sync_interval: 60 * 60 * 1000 })
+  await waitFor(wallet, 'asset-synced')
+
+  const eth = new MockPay({ asset_name: 'eth' })
+  const synced = waitFor(wallet, 'asset-synced')
+  await wallet.addAsset(eth)
+  t.alike((await synced)[0], ['eth'], 'new asset is synced')
+
+  await wallet.removeAsset('btc')
+  t.absent(wallet.syncManager.status().btc, 'removed asset is not synced')
+  await wallet.destroy()
+})
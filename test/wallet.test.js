@@ -0,0 +1,828 @@
+'use strict'
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { test } = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const Wallet = require('../src/lib/wallet.js')
+const HdWallet = require('../src/modules/hdwallet.js')
+const WalletPay = require('../src/lib/wallet-pay.js')
+const { MockPay, MockToken, seed, newWallet } = require('./mock-pay.js')
+
+test('getPortfolio: balances of assets and tokens', async (t) => {
+  const wallet = await newWallet([
+    new MockPay({ asset_name: 'btc', balance: '0.5' }),
+    new MockPay({
+      asset_name: 'eth',
+      balance: '2',
+      token: [new MockToken({ name: 'USDT', balance: '100' })]
+    })
+  ])
+
+  const res = await wallet.getPortfolio()
+  t.alike(Object.keys(res.assets), ['btc', 'eth'], 'all assets are listed')
+  t.is(res.assets.btc.balance.consolidated.toMainUnit(), '0.5', 'btc balance')
+  t.is(res.assets.eth.balance.consolidated.toMainUnit(), '2', 'eth balance')
+  t.is(res.assets.eth.tokens.USDT.balance.consolidated.toMainUnit(), '100', 'token balance')
+  t.is(res.total, null, 'no total without rates')
+  await wallet.destroy()
+})
+
+test('getPortfolio: errors are reported per entry', async (t) => {
+  const wallet = await newWallet([
+    new MockPay({ asset_name: 'btc', fail: true }),
+    new MockPay({
+      asset_name: 'eth',
+      balance: '1',
+      token: [new MockToken({ name: 'USDT', fail: true })]
+    })
+  ])
+
+  const res = await wallet.getPortfolio()
+  t.is(res.assets.btc.balance, null, 'failed asset has no balance')
+  t.is(res.assets.btc.error.message, 'balance failed', 'asset error is returned')
+  t.ok(res.assets.eth.balance, 'other assets still load')
+  t.is(res.assets.eth.tokens.USDT.error.message, 'token balance failed', 'token error is returned')
+  await wallet.destroy()
+})
+
+test('getPortfolio: total in reference currency', async (t) => {
+  const wallet = await newWallet([
+    new MockPay({ asset_name: 'btc', balance: '0.5' }),
+    new MockPay({
+      asset_name: 'eth',
+      balance: '2',
+      token: [new MockToken({ name: 'USDT', balance: '100.5' })]
+    })
+  ])
+
+  const res = await wallet.getPortfolio({
+    currency: 'USD',
+    rates: { btc: 60000, USDT: 1 }
+  })
+  t.is(res.total.currency, 'USD', 'reference currency')
+  t.is(res.total.amount, '30100.5', 'total of priced entries')
+  t.alike(res.total.missing, ['eth'], 'entries without a rate are listed')
+  await wallet.destroy()
+})
+
+function historyWallet () {
+  return newWallet([
+    new MockPay({
+      asset_name: 'btc',
+      txs: [
+        { txid: 'b1', amount: 1000, fee: 100, direction: 0, height: 10, timestamp: 1700000100 },
+        { txid: 'b2', amount: 2000, fee: 100, direction: 1, height: 11, timestamp: 1700000300 },
+        { txid: 'b3', amount: 3000, direction: 0 }
+      ]
+    }),
+    new MockPay({
+      asset_name: 'eth',
+      txs: [
+        { hash: 'e1', value: '10', direction: 'in', blockNumber: 5, timestamp: 1700000200 }
+      ],
+      token: [new MockToken({
+        name: 'USDT',
+        txs: [{ txid: 't1', amount: '5000000', direction: 1, height: 6, timestamp: 1700000400 }]
+      })]
+    })
+  ])
+}
+
+test('getTransactions: merged feed across assets and tokens', async (t) => {
+  const wallet = await historyWallet()
+  const { transactions, cursor } = await wallet.getTransactions()
+  t.alike(transactions.map((tx) => tx.txid), ['b3', 't1', 'b2', 'e1', 'b1'], 'ordered newest first, mempool on top')
+  t.is(cursor, null, 'single page')
+
+  const usdt = transactions[1]
+  t.is(usdt.asset, 'eth', 'token record has asset name')
+  t.is(usdt.token, 'USDT', 'token record has token name')
+  t.is(usdt.amount.toMainUnit(), '5', 'amount is a currency of the token')
+  t.is(usdt.direction, 'outgoing', 'direction is normalized')
+  t.is(usdt.timestamp, 1700000400000, 'timestamp is in milliseconds')
+
+  const eth = transactions[3]
+  t.is(eth.height, 5, 'height is normalized')
+  t.is(eth.fee, null, 'missing fee is null')
+  await wallet.destroy()
+})
+
+test('getTransactions: filters', async (t) => {
+  const wallet = await historyWallet()
+  let res = await wallet.getTransactions({ assets: ['btc'] })
+  t.alike(res.transactions.map((tx) => tx.txid), ['b3', 'b2', 'b1'], 'filter by asset')
+
+  res = await wallet.getTransactions({ tokens: ['USDT'] })
+  t.alike(res.transactions.map((tx) => tx.txid), ['t1'], 'filter by token')
+
+  res = await wallet.getTransactions({ direction: 'incoming' })
+  t.alike(res.transactions.map((tx) => tx.txid), ['b3', 'e1', 'b1'], 'filter by direction')
+
+  res = await wallet.getTransactions({ from: 1700000200000, to: 1700000300000 })
+  t.alike(res.transactions.map((tx) => tx.txid), ['b2', 'e1'], 'filter by time range')
+  await wallet.destroy()
+})
+
+test('getTransactions: cursor pagination', async (t) => {
+  const wallet = await historyWallet()
+  const seen = []
+  let cursor
+  let pages = 0
+  do {
+    const res = await wallet.getTransactions({ limit: 2, cursor })
+    seen.push(...res.transactions.map((tx) => tx.txid))
+    cursor = res.cursor
+    pages++
+  } while (cursor)
+  t.is(pages, 3, 'number of pages')
+  t.alike(seen, ['b3', 't1', 'b2', 'e1', 'b1'], 'pages do not overlap')
+  await wallet.destroy()
+})
+
+test('getTransactions: records with the same sort key', async (t) => {
+  // A transaction to self listed as incoming and outgoing, and mempool transactions without txid
+  const txs = [
+    { txid: 'b1', amount: 1000, direction: 0, height: 1, timestamp: 1700000000 },
+    { txid: 'b1', amount: 1000, direction: 1, height: 1, timestamp: 1700000000 },
+    { amount: 2000, direction: 0 },
+    { amount: 3000, direction: 0 }
+  ]
+  const btc = new MockPay({ asset_name: 'btc', txs })
+  // Callbacks are not awaited
+  btc.getTransactions = async (opts, fn) => {
+    for (const tx of txs) fn([tx])
+  }
+  const wallet = await newWallet([btc])
+
+  const amounts = []
+  let cursor
+  do {
+    const res = await wallet.getTransactions({ limit: 1, cursor })
+    amounts.push(...res.transactions.map((tx) => tx.amount.toBaseUnit()))
+    cursor = res.cursor
+  } while (cursor)
+  t.alike(amounts, ['2000', '3000', '1000', '1000'], 'every record is on a page')
+  await wallet.destroy()
+})
+
+test('getTransactions: next pages do not read the assets again', async (t) => {
+  const wallet = await historyWallet()
+  const btc = wallet.pay.btc
+  let reads = 0
+  const getTransactions = btc.getTransactions.bind(btc)
+  btc.getTransactions = (opts, fn) => {
+    reads++
+    return getTransactions(opts, fn)
+  }
+
+  let res = await wallet.getTransactions({ limit: 2 })
+  await wallet.labels.set('tx', 'e1', { tags: ['food'] })
+  res = await wallet.getTransactions({ limit: 2, cursor: res.cursor })
+  t.is(reads, 1, 'assets are read once')
+  t.alike(res.transactions[1].tags, ['food'], 'labels changed between pages are used')
+
+  btc._txs.push({ txid: 'b4', amount: 1000, direction: 0, height: 12, timestamp: 1700000500 })
+  btc.emit('new-tx', { txid: 'b4' })
+  res = await wallet.getTransactions({ limit: 2, cursor: res.cursor })
+  t.is(reads, 2, 'assets are read again after a new transaction')
+  t.alike(res.transactions.map((tx) => tx.txid), ['b1'], 'last page')
+  await wallet.destroy()
+})
+
+test('lifecycle: states of a healthy wallet', async (t) => {
+  const wallet = new Wallet({
+    store: new WalletStoreHyperbee(),
+    seed,
+    assets: [new MockPay({ asset_name: 'btc' })]
+  })
+  const states = []
+  wallet.on('state-change', (state) => states.push(state))
+  t.is(wallet.state, 'created', 'initial state')
+
+  await wallet.initialize()
+  t.is(wallet.state, 'ready', 'ready state')
+  t.alike(wallet.assetStatus, { btc: { state: 'ready', error: null } }, 'asset status')
+
+  await wallet.destroy()
+  t.is(wallet.state, 'destroyed', 'destroyed state')
+  t.alike(states, ['initializing', 'ready', 'destroying', 'destroyed'], 'state-change events')
+})
+
+test('lifecycle: tolerant initialization reports failed assets', async (t) => {
+  const wallet = new Wallet({
+    store: new WalletStoreHyperbee(),
+    seed,
+    assets: [
+      new MockPay({ asset_name: 'btc', fail_init: true }),
+      new MockPay({ asset_name: 'eth' })
+    ]
+  })
+  const assetErrors = []
+  wallet.on('asset-error', (name, err) => assetErrors.push([name, err.message]))
+
+  await wallet.initialize()
+  t.is(wallet.state, 'degraded', 'degraded state')
+  t.alike(assetErrors, [['btc', 'failed to connect']], 'asset-error event')
+  t.is(wallet.assetStatus.btc.state, 'failed', 'failed asset status')
+  t.is(wallet.assetStatus.btc.error.message, 'failed to connect', 'asset error is kept')
+  t.ok(wallet.pay.eth, 'other assets are loaded')
+  await wallet.destroy()
+})
+
+test('lifecycle: strict initialization rejects', async (t) => {
+  const eth = new MockPay({ asset_name: 'eth' })
+  let destroyed = false
+  eth._destroy = async () => { destroyed = true }
+  const wallet = new Wallet({
+    store: new WalletStoreHyperbee(),
+    seed,
+    strict: true,
+    assets: [new MockPay({ asset_name: 'btc', fail_init: true }), eth]
+  })
+  let ready = false
+  wallet.on('ready', () => { ready = true })
+  try {
+    await wallet.initialize()
+    t.fail('should reject')
+  } catch (err) {
+    t.is(err.code, 'ASSET_INIT_FAILED', 'error code')
+    t.is(err.cause.message, 'failed to connect', 'asset error is the cause')
+  }
+  t.is(wallet.state, 'destroyed', 'wallet is destroyed')
+  t.ok(destroyed, 'initialized asset is destroyed')
+  t.absent(ready, 'ready is not emitted')
+  await wallet.destroy()
+})
+
+test('lifecycle: calls on a destroyed wallet fail', async (t) => {
+  const wallet = await newWallet([new MockPay({ asset_name: 'btc' })])
+  await wallet.destroy()
+  await wallet.destroy()
+  t.pass('destroy can be called twice')
+
+  for (const fn of ['getPortfolio', 'getTransactions', 'syncHistory', 'exportSeed']) {
+    try {
+      await wallet[fn]()
+      t.fail(fn + ' should throw')
+    } catch (err) {
+      t.is(err.code, 'WALLET_DESTROYED', fn + ' fails with WALLET_DESTROYED')
+    }
+  }
+})
+
+test('removeAsset: destroys asset and detaches events', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc' })
+  const wallet = await newWallet([btc, new MockPay({ asset_name: 'eth' })])
+  let events = 0
+  wallet.on('new-tx', () => events++)
+  let destroyed = false
+  btc._destroy = async () => { destroyed = true }
+
+  await wallet.removeAsset('btc')
+  t.ok(destroyed, 'asset is destroyed')
+  t.absent(wallet.pay.btc, 'asset is removed from wallet')
+  t.is(wallet.pay.size, 1, 'asset list size')
+  t.alike(wallet.pay.keys, ['eth'], 'asset list keys')
+  t.absent(wallet.assetStatus.btc, 'asset status removed')
+
+  btc.emit('new-tx', {})
+  t.is(events, 0, 'events of removed asset are not forwarded')
+
+  try {
+    await wallet.removeAsset('btc')
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'ASSET_NOT_FOUND', 'removing unknown asset fails')
+  }
+  await wallet.destroy()
+})
+
+test('removeAsset: removing a failed asset restores ready state', async (t) => {
+  const wallet = await newWallet([
+    new MockPay({ asset_name: 'btc', fail_init: true }),
+    new MockPay({ asset_name: 'eth' })
+  ])
+  t.is(wallet.state, 'degraded', 'degraded')
+  await wallet.removeAsset('btc')
+  t.is(wallet.state, 'ready', 'ready after removing failed asset')
+  await wallet.destroy()
+})
+
+test('replaceAsset: swap asset at runtime', async (t) => {
+  const wallet = await newWallet([new MockPay({ asset_name: 'btc', balance: '1' }), new MockPay({ asset_name: 'eth' })])
+  const first = wallet.pay.btc
+  const next = new MockPay({ asset_name: 'btc', network: 'testnet', balance: '2' })
+  await wallet.replaceAsset('btc', next)
+  t.is(wallet.pay.btc, next, 'new asset is loaded')
+  t.is(first.listenerCount('new-block'), 0, 'old asset is destroyed')
+  t.is(wallet.pay.size, 2, 'asset list size')
+  t.alike(wallet.pay.keys, ['btc', 'eth'], 'asset keeps its position in the list')
+
+  let events = 0
+  wallet.on('new-block', () => events++)
+  next.emit('new-block', {})
+  t.is(events, 1, 'events of new asset are forwarded')
+
+  try {
+    await wallet.replaceAsset('btc', new MockPay({ asset_name: 'eth' }))
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'BAD_ARGS', 'asset name must match')
+  }
+
+  await t.exception(() => wallet.replaceAsset('btc', new MockPay({ asset_name: 'btc', fail_init: true })), /failed to connect/, 'init error is thrown')
+  t.is(wallet.pay.btc, next, 'old asset is kept when the new one fails')
+  t.is(wallet.assetStatus.btc.state, 'ready', 'status of old asset')
+  next.emit('new-block', {})
+  t.is(events, 2, 'events of old asset are still forwarded')
+
+  await wallet.destroy()
+  await t.exception(() => wallet.replaceAsset('btc', new MockPay({ asset_name: 'btc' })), /destroyed/, 'destroyed wallet')
+})
+
+test('prepareTransaction: review then confirm', async (t) => {
+  const wallet = await newWallet([new MockPay({ asset_name: 'btc' })])
+  const btc = wallet.pay.btc
+  const draft = await wallet.prepareTransaction({ asset: 'btc' }, { address: 'addr1', amount: '0.1', unit: 'main' })
+
+  t.is(draft.asset, 'btc', 'asset')
+  t.is(draft.recipient, 'addr1', 'recipient')
+  t.is(draft.amount.toMainUnit(), '0.1', 'amount')
+  t.is(draft.fee.toBaseUnit(), '1000', 'fee')
+  t.is(draft.total.toBaseUnit(), '10001000', 'total includes fee')
+  t.is(draft.change.toBaseUnit(), '0', 'change')
+  t.ok(draft.expires_at > draft.created_at, 'expiry')
+  t.ok(Object.isFrozen(draft), 'draft is immutable')
+  t.is(btc.sent.length, 0, 'nothing is sent before confirmation')
+
+  const [res, second] = await Promise.allSettled([wallet.confirmTransaction(draft.id), wallet.confirmTransaction(draft.id)])
+  t.is(second.reason?.code, 'DRAFT_CONFIRMING', 'draft is not confirmed twice at the same time')
+  t.is(res.value.txid, 'tx1', 'transaction is broadcast')
+  t.is(btc.sent[0].tx.raw, 'signed-tx', 'built transaction is broadcast')
+
+  try {
+    await wallet.confirmTransaction(draft.id)
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'DRAFT_NOT_FOUND', 'draft can only be confirmed once')
+  }
+  await wallet.destroy()
+})
+
+test('prepareTransaction: discard and expiry', async (t) => {
+  const clock = { time: Date.now(), now () { return this.time } }
+  const wallet = await newWallet([new MockPay({ asset_name: 'btc', draft_ttl: 10 })], { clock })
+  const btc = wallet.pay.btc
+
+  const draft = await wallet.prepareTransaction({ asset: 'btc' }, { address: 'addr1', amount: '0.1' })
+  t.ok(wallet.discardTransaction(draft.id), 'draft is discarded')
+  t.absent(wallet.discardTransaction(draft.id), 'draft no longer exists')
+
+  const expiring = await wallet.prepareTransaction({ asset: 'btc' }, { address: 'addr1', amount: '0.1' })
+  t.is(expiring.created_at, clock.time, 'draft uses wallet clock')
+  clock.time += 20
+  try {
+    await wallet.confirmTransaction(expiring.id)
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'DRAFT_EXPIRED', 'expired draft is rejected')
+  }
+  t.is(btc.sent.length, 0, 'nothing is sent')
+  t.absent(btc.getDraft(expiring.id), 'expired draft is removed')
+  await wallet.destroy()
+})
+
+test('confirmTransaction: draft is kept when broadcast fails', async (t) => {
+  const wallet = await newWallet([new MockPay({ asset_name: 'btc' })])
+  const btc = wallet.pay.btc
+  t.ok(btc.canPrepare(), 'asset supports drafts')
+
+  const draft = await wallet.prepareTransaction({ asset: 'btc' }, { address: 'addr1', amount: '0.1' })
+  btc._failBroadcast = true
+  await t.exception(() => wallet.confirmTransaction(draft.id), /broadcast failed/, 'broadcast fails')
+  t.ok(btc.getDraft(draft.id), 'draft can be confirmed again')
+
+  btc._failBroadcast = false
+  const res = await wallet.confirmTransaction(draft.id)
+  t.is(res.txid, 'tx1', 'sent on retry')
+  t.absent(btc.getDraft(draft.id), 'draft is removed after broadcast')
+  await wallet.destroy()
+})
+
+async function collect (gen) {
+  let out = ''
+  for await (const chunk of gen) out += chunk
+  return out
+}
+
+test('exportHistory: csv', async (t) => {
+  const wallet = await newWallet([
+    new MockPay({
+      asset_name: 'btc',
+      txs: [
+        { txid: 'b1', amount: 150000000, fee: 1000, direction: 0, height: 10, timestamp: 1700000100, from: 'btc_sender', to: 'btc_me' },
+        { txid: 'b2', amount: 2000, direction: 1, height: 11, timestamp: 1700000300, to: ['btc_a', 'btc_b'] },
+        { txid: 'b3', amount: 3000, direction: 0, from: '=cmd,"x"' }
+      ]
+    })
+  ])
+  await wallet.labels.set('tx', 'b1', { label: 'Salary', tags: ['income', 'work'] })
+  const lines = (await collect(wallet.exportHistory({ format: 'csv' }))).split('\r\n')
+  t.is(lines[0], 'date,timestamp,height,asset,token,currency,txid,direction,amount,amount_base,fee,fee_base,counterparty,label,note,tags', 'header')
+  t.is(lines[1], '2023-11-14T22:15:00.000Z,1700000100000,10,btc,,BTC,b1,incoming,1.5,150000000,0.00001,1000,btc_sender,Salary,,income;work', 'oldest first, incoming counterparty is the sender')
+  t.is(lines[2], '2023-11-14T22:18:20.000Z,1700000300000,11,btc,,BTC,b2,outgoing,0.00002,2000,,,btc_a btc_b,,,', 'outgoing counterparty is the recipient')
+  t.is(lines[3], ',,,btc,,BTC,b3,incoming,0.00003,3000,,,"\'=cmd,""x""",,,', 'fields are quoted and formulas escaped')
+  t.is(lines[4], '', 'ends with a new line')
+  t.is(lines.length, 5, 'one row per transaction')
+  await wallet.destroy()
+})
+
+test('exportHistory: json with filters', async (t) => {
+  const wallet = await historyWallet()
+  const rows = JSON.parse(await collect(wallet.exportHistory({ format: 'json', assets: ['eth'] })))
+  t.alike(rows.map((r) => r.txid), ['e1', 't1'], 'oldest first, filtered by asset')
+  t.is(rows[1].token, 'USDT', 'token')
+  t.is(rows[1].amount, '5', 'main unit')
+  t.is(rows[1].amount_base, '5000000', 'base unit')
+  t.is(rows[0].height, 5, 'height')
+
+  const ranged = JSON.parse(await collect(wallet.exportHistory({ format: 'json', from: 1700000200000, to: 1700000300000 })))
+  t.alike(ranged.map((r) => r.txid), ['e1', 'b2'], 'filter by time range')
+
+  t.alike(JSON.parse(await collect(wallet.exportHistory({ format: 'json', assets: ['eth'], tokens: ['DAI'] }))), [], 'empty export')
+
+  try {
+    await collect(wallet.exportHistory({ format: 'xml' }))
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'BAD_ARGS', 'unknown format')
+  }
+  await wallet.destroy()
+})
+
+test('exportHistory: transactions are read while the export is written', async (t) => {
+  const txs = []
+  for (let i = 0; i < 100; i++) txs.push({ txid: 'b' + i, amount: 1000, direction: 0, height: i, timestamp: 1700000000 + i })
+  const btc = new MockPay({ asset_name: 'btc', txs })
+  const eth = new MockPay({ asset_name: 'eth', txs: [{ txid: 'e1', amount: 10, direction: 0, height: 1, timestamp: 1700000050 }] })
+  const wallet = await newWallet([btc, eth])
+  let read = 0
+  const getTransactions = btc.getTransactions.bind(btc)
+  btc.getTransactions = (opts, fn) => getTransactions(opts, (tx) => {
+    read++
+    return fn(tx)
+  })
+
+  const rows = []
+  for await (const chunk of wallet.exportHistory({ format: 'json' })) {
+    if (chunk.startsWith(',')) rows.push(JSON.parse(chunk.slice(1)).txid)
+    if (rows.length === 60) break
+  }
+  t.ok(read <= 62, 'only the exported transactions are read')
+  t.is(rows[49], 'e1', 'assets are merged oldest first')
+
+  const stopped = read
+  const all = JSON.parse(await collect(wallet.exportHistory({ format: 'json' })))
+  t.is(all.length, 101, 'every transaction is exported')
+  t.is(read - stopped, 100, 'stopped export does not read the rest of the history')
+  await wallet.destroy()
+})
+
+test('exportHistory: producers that do not await the callback', async (t) => {
+  const txs = [1, 2, 3, 4].map((i) => ({ txid: 'b' + i, amount: 1000, direction: 0, height: i, timestamp: 1700000000 + i }))
+  const btc = new MockPay({ asset_name: 'btc', txs })
+  const reads = []
+  btc.getTransactions = async (opts, fn) => {
+    for (const tx of txs) reads.push(fn([tx]))
+  }
+  const wallet = await newWallet([btc])
+
+  const rows = JSON.parse(await collect(wallet.exportHistory({ format: 'json' })))
+  t.alike(rows.map((r) => r.txid), ['b1', 'b2', 'b3', 'b4'], 'every transaction is exported')
+  await Promise.all(reads)
+  t.pass('every callback resolves')
+
+  reads.length = 0
+  const gen = wallet.exportHistory({ format: 'json' })
+  while (!(await gen.next()).value.includes('b1'));
+  await gen.return()
+  const settled = await Promise.allSettled(reads)
+  t.alike(settled.map((r) => r.status), ['fulfilled', 'rejected', 'rejected', 'rejected'], 'stopped export rejects the unread callbacks')
+  await wallet.destroy()
+})
+
+function batchWallet (opts) {
+  return newWallet([
+    new MockPay({ asset_name: 'btc', balance: '1', batch: true }),
+    new MockPay({ asset_name: 'eth', balance: '1', token: [new MockToken({ name: 'USDT', balance: '100' })] })
+  ], opts)
+}
+
+test('sendBatch: native batches and sequential fallback', async (t) => {
+  const wallet = await batchWallet()
+  await wallet.addressBook.addContact('carol', { addresses: [{ asset: 'eth', token: 'USDT', address: 'eth_carol' }] })
+
+  const { ok, results } = await wallet.sendBatch([
+    { asset: 'btc', address: 'btc_alice', amount: '0.2' },
+    { asset: 'eth', token: 'USDT', address: 'eth_bob', amount: '10' },
+    { asset: 'btc', address: 'btc_bob', amount: '20000', unit: 'base', fee: 5 },
+    { asset: 'eth', token: 'USDT', contact: 'carol', amount: '15' }
+  ])
+  t.ok(ok, 'all payments sent')
+  t.alike(results.map((r) => r.status), ['sent', 'sent', 'sent', 'sent'], 'status of each payment')
+  t.alike(results.map((r) => r.txid), ['batch1', 'tx1', 'batch1', 'tx2'], 'txid of each payment')
+  t.is(results[3].address, 'eth_carol', 'contact is resolved')
+  t.is(results[2].amount.toMainUnit(), '0.0002', 'amount is currency')
+
+  const btc = wallet.pay.btc
+  t.is(btc.batches.length, 1, 'btc payments are sent in one transaction')
+  t.alike(btc.batches[0].outgoing, [
+    { address: 'btc_alice', amount: '0.2', unit: 'main' },
+    { fee: 5, address: 'btc_bob', amount: '0.0002', unit: 'main' }
+  ], 'batch outputs')
+  t.is(btc.sent.length, 0, 'no single btc sends')
+  t.alike(wallet.pay.eth.sent.map((s) => s.opts), [{ token: 'USDT' }, { token: 'USDT' }], 'token payments are sent one by one')
+  await wallet.destroy()
+})
+
+test('sendBatch: nothing is sent when a payment is invalid', async (t) => {
+  const wallet = await batchWallet()
+  const { ok, results } = await wallet.sendBatch([
+    { asset: 'btc', address: 'btc_alice', amount: '0.6' },
+    { asset: 'btc', address: 'btc_bob', amount: '0.6' },
+    { asset: 'eth', token: 'USDT', address: 'btc_bob', amount: '1' },
+    { asset: 'eth', token: 'USDT', address: 'eth_bob', amount: '1' },
+    { asset: 'xmr', address: 'xmr_bob', amount: '1' }
+  ])
+  t.absent(ok, 'batch failed')
+  t.alike(results.map((r) => r.status), ['invalid', 'invalid', 'invalid', 'skipped', 'invalid'], 'status of each payment')
+  t.alike(results.map((r) => r.error?.code || null), ['INSUFFICIENT_FUNDS', 'INSUFFICIENT_FUNDS', 'INVALID_ADDRESS', null, 'ASSET_NOT_FOUND'], 'errors')
+  t.is(wallet.pay.btc.batches.length + wallet.pay.eth.sent.length, 0, 'nothing is sent')
+  await wallet.destroy()
+})
+
+test('sendBatch: failed payments are reported', async (t) => {
+  const wallet = await batchWallet({ policy: { 'eth:USDT': { deny: ['eth_bob'] } } })
+  const { ok, results } = await wallet.sendBatch([
+    { asset: 'eth', token: 'USDT', address: 'eth_alice', amount: '1' },
+    { asset: 'eth', token: 'USDT', address: 'eth_bob', amount: '1' },
+    { asset: 'eth', token: 'USDT', address: 'eth_carol', amount: '1' }
+  ])
+  t.absent(ok, 'not all payments are sent')
+  t.alike(results.map((r) => r.status), ['sent', 'failed', 'sent'], 'other payments are sent')
+  t.is(results[1].error.code, 'POLICY_VIOLATION', 'policy applies to each payment')
+  t.is(await wallet.policy.getSpent('eth', 'USDT'), '2000000', 'sent payments are counted')
+
+  wallet.pay.btc._failSend = true
+  const res = await wallet.sendBatch([
+    { asset: 'btc', address: 'btc_alice', amount: '0.1' },
+    { asset: 'btc', address: 'btc_bob', amount: '0.1' }
+  ])
+  t.alike(res.results.map((r) => r.status), ['failed', 'failed'], 'failed batch transaction fails every payment')
+
+  await wallet.destroy()
+})
+
+test('watch-only: reads work and signing is rejected', async (t) => {
+  const watch = {
+    btc: { xpub: 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs' },
+    eth: { addresses: ['eth_hot1', 'eth_hot2'] }
+  }
+  const btc = new MockPay({ asset_name: 'btc', balance: '1.5' })
+  const eth = new MockPay({ asset_name: 'eth', balance: '3' })
+  const wallet = await newWallet([btc, eth], { seed: null, watch })
+
+  t.ok(wallet.isWatchOnly, 'wallet is watch-only')
+  t.is(wallet.state, Wallet.STATES.READY, 'assets initialize without a seed')
+  t.alike(btc.watchKey, watch.btc, 'xpub is passed to the asset')
+  t.alike(eth.watchKey, watch.eth, 'address list is passed to the asset')
+  t.ok(btc.watchOnly, 'asset is watch-only')
+
+  const res = await wallet.getPortfolio()
+  t.is(res.assets.btc.balance.consolidated.toMainUnit(), '1.5', 'balance can be read')
+
+  await t.exception(() => btc.sendTransaction({}, { address: 'btc_x', amount: 1 }), /watch-only/, 'send rejected')
+  await t.exception(() => wallet.prepareTransaction({ asset: 'btc' }, { address: 'btc_x', amount: 1 }), /watch-only/, 'prepare rejected')
+  await t.exception(() => wallet.sendBatch([{ asset: 'btc', address: 'btc_x', amount: 1 }]), /watch-only/, 'batch rejected')
+  await t.exception(() => wallet.scheduler.create({ asset: 'btc', address: 'btc_x', amount: 1 }), /watch-only/, 'schedule rejected')
+  t.exception(() => wallet.exportSeed(), /watch-only/, 'no seed to export')
+  await t.exception(() => wallet.setPassphrase('pass'), /watch-only/, 'no seed to encrypt')
+  t.is(btc.sent.length, 0, 'nothing was sent')
+
+  try {
+    wallet.exportSeed()
+  } catch (err) {
+    t.is(err.code, 'WATCH_ONLY', 'error code')
+  }
+  await wallet.destroy()
+})
+
+test('watch-only: config is validated', async (t) => {
+  const store = new WalletStoreHyperbee()
+  t.exception(() => new Wallet({ store, assets: [] }), /Seed not provided/, 'seed or watch keys are required')
+  t.exception(() => new Wallet({ store, seed, assets: [], watch: { btc: { xpub: 'zpub' } } }), /can not have a seed/, 'not both')
+  t.exception(() => new Wallet({ store, assets: [], watch: { eth: { addresses: [] } } }), /xpub or a list of addresses/, 'empty key')
+  const xpub = 'xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQY3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V'
+  t.exception(() => new Wallet({ store, assets: [], watch: { btc: { xpub: xpub.slice(0, -1) + 'X' } } }), /invalid watch key for btc/, 'xpub checksum is checked')
+
+  const wallet = await newWallet([
+    new MockPay({ asset_name: 'btc' }),
+    new MockPay({ asset_name: 'eth' })
+  ], { seed: null, watch: { btc: { xpub } } })
+  t.is(wallet.state, Wallet.STATES.DEGRADED, 'asset without a watch key fails')
+  t.is(wallet.assetStatus.eth.error.message, 'watch key is missing for asset: eth', 'error of the asset')
+  await wallet.destroy()
+})
+
+test('watch-only: default loadWatchKey', async (t) => {
+  const vpub = 'vpub5YvMuJNjRSYon44z9QmCfdf8SqJRVNvz6m55Qy5iVjZQxDfUgtiQjnc7CC1fAbED2tAGCZRERUfvtn2DstZGU6HMns6dXXH2wujSc2wfi2x'
+  const zpub = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs'
+  const loadWatchKey = WalletPay.prototype.loadWatchKey
+
+  const plain = new MockPay({ asset_name: 'btc' })
+  t.absent(plain.canWatch({ xpub: vpub }), 'asset without an HD wallet can not watch')
+  await t.exception(() => loadWatchKey.call(plain, { xpub: vpub }), /does not support watch-only/, 'rejected')
+
+  const btc = new MockPay({ asset_name: 'btc' })
+  btc._hdWallet = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "1'", purpose: "84'" })
+  await btc._hdWallet.init()
+  await t.exception(() => loadWatchKey.call(btc, { xpub: zpub }), /can not be used on regtest/, 'mainnet key rejected on regtest')
+  t.absent(btc._hdWallet.isWatchOnly, 'rejected key is not used')
+  await loadWatchKey.call(btc, { xpub: vpub })
+  t.ok(btc._hdWallet.isWatchOnly, 'hd wallet is watch-only')
+  t.is(btc.keyManager.watchKey.account, "0'", 'parsed key is passed to the key manager')
+
+  const eth = new MockPay({ asset_name: 'eth' })
+  eth._hdWallet = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "60'", purpose: "44'" })
+  await eth._hdWallet.init()
+  await loadWatchKey.call(eth, { addresses: ['eth_hot1', 'eth_hot2'] })
+  t.alike(await eth._hdWallet.getAllAddress(), ['eth_hot1', 'eth_hot2'], 'addresses are imported')
+})
+
+test('watch-only: xpub needs key manager support', async (t) => {
+  const vpub = 'vpub5YvMuJNjRSYon44z9QmCfdf8SqJRVNvz6m55Qy5iVjZQxDfUgtiQjnc7CC1fAbED2tAGCZRERUfvtn2DstZGU6HMns6dXXH2wujSc2wfi2x'
+  const watchAsset = async (name, keyManager) => {
+    const asset = new MockPay({ asset_name: name })
+    asset.loadWatchKey = WalletPay.prototype.loadWatchKey
+    if (keyManager) asset.keyManager = keyManager
+    asset._hdWallet = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "1'", purpose: "84'" })
+    await asset._hdWallet.init()
+    return asset
+  }
+
+  // Key manager without setWatchKey, like the assets published so far
+  const btc = await watchAsset('btc', { setSeed () {} })
+  const eth = await watchAsset('eth')
+  const wallet = await newWallet([btc, eth], { seed: null, watch: { btc: { xpub: vpub }, eth: { xpub: vpub } } })
+  t.is(wallet.state, Wallet.STATES.DEGRADED, 'wallet starts without the asset')
+  t.is(wallet.assetStatus.btc.error.code, 'NOT_IMPLEMENTED', 'asset without key manager support fails')
+  t.absent(btc._hdWallet.isWatchOnly, 'xpub is not used')
+
+  t.is(wallet.assetStatus.eth.state, 'ready', 'asset with key manager support is ready')
+  t.ok(eth._hdWallet.isWatchOnly, 'hd wallet uses the xpub')
+  t.is(eth.keyManager.watchKey.public_key.length, 33, 'key manager gets the parsed key')
+  t.ok(eth.watchOnly, 'asset is watch-only')
+  await wallet.destroy()
+})
+
+test('syncHistory: sync progress of assets and tokens', async (t) => {
+  const eth = new MockPay({ asset_name: 'eth', token: [new MockToken({ name: 'USDT' })] })
+  eth._hdWallet = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "60'", purpose: "44'", gapLimit: 1 })
+  await eth._hdWallet.init()
+  eth.syncTransactions = async () => {
+    await eth._hdWallet.eachAccount(async (syncType, signal) => signal.noTx)
+  }
+  const wallet = await newWallet([eth])
+
+  const events = []
+  wallet.on('sync-progress', (assetName, progress) => events.push([assetName, progress]))
+  await wallet.syncHistory({ all: true })
+
+  t.ok(events.length > 0, 'progress reported')
+  t.ok(events.every(([assetName, p]) => assetName === 'eth' && p.asset === 'eth'), 'asset name')
+  const tokens = new Set(events.map(([, p]) => p.token))
+  t.alike(Array.from(tokens), [null, 'USDT'], 'token being synced')
+  t.is(events[0][1].addr_type, 'external', 'address type')
+  t.is(events[0][1].gap_end, 1, 'gap end')
+  await wallet.destroy()
+})
+
+test('syncHistory: abort signal', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc' })
+  btc._hdWallet = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'" })
+  await btc._hdWallet.init()
+  const paths = []
+  btc.syncTransactions = async (opts) => {
+    await btc._hdWallet.eachAccount(async (syncState, signal) => {
+      paths.push(syncState.path)
+      if (paths.length === 2) controller.abort()
+      return signal.noTx
+    }, { signal: opts.signal })
+  }
+  const wallet = await newWallet([btc])
+  const controller = new AbortController()
+  const synced = []
+  wallet.on('asset-synced', (name) => synced.push(name))
+
+  await t.exception(() => wallet.syncHistory({ signal: controller.signal }), /aborted/, 'sync rejects')
+  t.is(paths.length, 2, 'sync stopped between addresses')
+  t.is(synced.length, 0, 'asset is not reported synced')
+  t.absent(btc.isSyncPaused, 'asset can sync again')
+
+  paths.length = 0
+  await wallet.syncHistory({ asset: 'btc', signal: new AbortController().signal })
+  t.is(paths[0], "m/84'/0'/0'/0/2", 'next sync resumes from the same path')
+  t.alike(synced, ['btc'], 'synced')
+
+  try {
+    await wallet.syncHistory({ signal: AbortSignal.abort() })
+  } catch (err) {
+    t.is(err.code, 'ABORTED', 'error code')
+  }
+  await wallet.destroy()
+})
+
+test('syncHistory: paused assets', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc' })
+  const eth = new MockPay({ asset_name: 'eth' })
+  const wallet = await newWallet([btc, eth])
+  const synced = []
+  wallet.on('asset-synced', (name) => synced.push(name))
+
+  await eth.pauseSync()
+  try {
+    await wallet.syncHistory()
+    t.fail('should throw')
+  } catch (err) {
+    t.is(err.code, 'INVALID_STATE', 'sync of a paused asset rejects')
+  }
+  t.alike(synced, ['btc'], 'paused asset is not reported synced')
+
+  // Paused while running
+  synced.length = 0
+  await eth.resumeSync()
+  eth.syncTransactions = async () => eth.pauseSync()
+  await t.exception(() => wallet.syncHistory({ asset: 'eth' }), /paused/, 'sync paused while running rejects')
+  t.alike(synced, [], 'not reported synced')
+  await wallet.destroy()
+})
+
+test('destroy: aborts running syncs', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc' })
+  const events = []
+  let started
+  const running = new Promise((resolve) => { started = resolve })
+  // Asset that does not read opts.signal. It is stopped with pauseSync
+  btc.syncTransactions = async () => {
+    started()
+    while (!btc.isSyncPaused) await new Promise((resolve) => setTimeout(resolve, 5))
+    events.push('sync stopped')
+  }
+  btc._destroy = async () => events.push('asset destroyed')
+  const wallet = await newWallet([btc])
+
+  const sync = wallet.syncHistory()
+  await running
+  await wallet.destroy()
+  await t.exception(() => sync, /aborted/, 'sync rejects')
+  t.alike(events, ['sync stopped', 'asset destroyed'], 'sync stops before the asset is destroyed')
+  t.is(wallet.state, Wallet.STATES.DESTROYED, 'destroyed')
+})
+
+test('accounts: balance per account and discovery', async (t) => {
+  const btc = new MockPay({ asset_name: 'btc' })
+  btc._hdWallet = new HdWallet({ store: new WalletStoreHyperbee(), coinType: "0'", purpose: "84'" })
+  await btc._hdWallet.init()
+  btc.discoverAccounts = (opts) => btc._hdWallet.discoverAccounts(async (syncState, signal) => {
+    return syncState.path.split('/')[3] === "0'" ? signal.hasTx : signal.noTx
+  }, opts)
+  const wallet = await newWallet([btc, new MockPay({ asset_name: 'eth' })])
+
+  t.alike(await wallet.discoverAccounts(), { btc: [{ purpose: "84'", account: "0'" }], eth: null }, 'assets without discovery are skipped')
+
+  const { account } = await btc.createAccount()
+  t.is(account, "1'", 'account created')
+  const newAddr = (address) => (path) => ({ addr: { address, path } })
+  await btc._hdWallet.getNewAddress('ext', newAddr('btc_a0'))
+  await btc._hdWallet.getNewAddress('ext', newAddr('btc_a1'), { account: 1 })
+  await btc._hdWallet.getNewAddress('in', newAddr('btc_a1c'), { account: 1 })
+  btc.addrBalances = { btc_a0: '1', btc_a1: '0.25', btc_a1c: '0.5' }
+
+  const bal = await btc.getAccountBalance({ account: 1 })
+  t.is(bal.consolidated.toMainUnit(), '0.75', 'balance of account 1')
+  t.is((await btc.getAccountBalance()).consolidated.toMainUnit(), '1', 'default is account 0')
+  await t.exception(() => wallet.pay.eth.createAccount(), /not implemented/, 'asset without HdWallet')
+  await wallet.destroy()
+})